@@ -34,6 +34,20 @@ db.getAsync = (sql, params = []) => {
   });
 };
 
+// Several statements in one call; nothing else on the shared connection runs in between.
+// exec can't bind parameters, so only interpolate values that were coerced to numbers.
+db.execAsync = (sql) => {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+};
+
 db.allAsync = (sql, params = []) => {
   return new Promise((resolve, reject) => {
     db.all(sql, params, (err, rows) => {
@@ -46,6 +60,14 @@ db.allAsync = (sql, params = []) => {
   });
 };
 
+// Add a column to a table created by an older version of the schema
+const addColumnIfMissing = async (table, column, definition) => {
+  const columns = await db.allAsync(`PRAGMA table_info(${table})`);
+  if (!columns.some(c => c.name === column)) {
+    await db.runAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
 // Initialize database tables
 export const initializeDatabase = async () => {
   try {
@@ -60,6 +82,7 @@ export const initializeDatabase = async () => {
         email TEXT UNIQUE NOT NULL,
         password_hash TEXT NOT NULL,
         auth_provider TEXT DEFAULT 'local',
+        settings TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
@@ -78,6 +101,13 @@ export const initializeDatabase = async () => {
         processed BOOLEAN DEFAULT FALSE,
         processing_status TEXT DEFAULT 'pending',
         processing_error TEXT,
+        progress TEXT,
+        chunk_version INTEGER NOT NULL DEFAULT 0,
+        content_hash TEXT,
+        ocr_languages TEXT,
+        ocr_report TEXT,
+        chunk_strategy TEXT,
+        chunk_size INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
       )
@@ -92,11 +122,120 @@ export const initializeDatabase = async () => {
         chunk_index INTEGER NOT NULL,
         embedding_id TEXT,
         embedding_vector TEXT,
+        embedding BLOB,
+        embedding_model TEXT,
+        embedding_dimension INTEGER,
+        ivf_list_id INTEGER,
+        page_start INTEGER,
+        page_end INTEGER,
+        section_heading TEXT,
+        slide_number INTEGER,
+        sheet_name TEXT,
+        row_start INTEGER,
+        row_end INTEGER,
+        chapter_title TEXT,
+        ocr_confidence REAL,
+        ocr_words TEXT,
+        chunk_type TEXT NOT NULL DEFAULT 'text',
+        table_caption TEXT,
+        start_offset INTEGER,
+        end_offset INTEGER,
+        version INTEGER NOT NULL DEFAULT 0,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE
       )
     `);
 
+    // Inverted-file vector index: one row per cluster, centroids stored as Float32 BLOBs
+    await db.runAsync(`
+      CREATE TABLE IF NOT EXISTS vector_index_lists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        centroid BLOB NOT NULL,
+        size INTEGER NOT NULL DEFAULT 0,
+        embedding_model TEXT,
+        FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Embeddings by SHA-256 of the embedded text and the model that made them, so text seen
+    // before (reprocessing, a copy chunked differently) is not sent to the provider again
+    await db.runAsync(`
+      CREATE TABLE IF NOT EXISTS embedding_cache (
+        content_hash TEXT NOT NULL,
+        embedding_model TEXT NOT NULL,
+        embedding BLOB NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (content_hash, embedding_model)
+      )
+    `);
+
+    // Re-embedding runs that move chunks (all of them, or one user's or document's) to another
+    // embedding model. New vectors are staged in embedding_migration_chunks and swapped in
+    // together when every chunk has one; until then the old ones keep serving search.
+    await db.runAsync(`
+      CREATE TABLE IF NOT EXISTS embedding_migrations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        model TEXT NOT NULL,
+        user_id INTEGER,
+        document_id INTEGER,
+        status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+        total INTEGER NOT NULL DEFAULT 0,
+        done INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        requested_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE,
+        FOREIGN KEY (requested_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+    await db.runAsync(`
+      CREATE TABLE IF NOT EXISTS embedding_migration_chunks (
+        migration_id INTEGER NOT NULL,
+        chunk_id INTEGER NOT NULL,
+        embedding BLOB NOT NULL,
+        PRIMARY KEY (migration_id, chunk_id),
+        FOREIGN KEY (migration_id) REFERENCES embedding_migrations (id) ON DELETE CASCADE,
+        FOREIGN KEY (chunk_id) REFERENCES document_chunks (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Full-text index over chunk text for BM25 keyword search, kept in sync by triggers
+    const existingFts = await db.getAsync(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'document_chunks_fts'"
+    );
+    await db.runAsync(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS document_chunks_fts USING fts5(
+        chunk_text,
+        content = 'document_chunks',
+        content_rowid = 'id',
+        tokenize = 'porter unicode61'
+      )
+    `);
+    await db.runAsync(`
+      CREATE TRIGGER IF NOT EXISTS document_chunks_fts_insert AFTER INSERT ON document_chunks BEGIN
+        INSERT INTO document_chunks_fts (rowid, chunk_text) VALUES (new.id, new.chunk_text);
+      END
+    `);
+    await db.runAsync(`
+      CREATE TRIGGER IF NOT EXISTS document_chunks_fts_delete AFTER DELETE ON document_chunks BEGIN
+        INSERT INTO document_chunks_fts (document_chunks_fts, rowid, chunk_text) VALUES ('delete', old.id, old.chunk_text);
+      END
+    `);
+    await db.runAsync(`
+      CREATE TRIGGER IF NOT EXISTS document_chunks_fts_update AFTER UPDATE OF chunk_text ON document_chunks BEGIN
+        INSERT INTO document_chunks_fts (document_chunks_fts, rowid, chunk_text) VALUES ('delete', old.id, old.chunk_text);
+        INSERT INTO document_chunks_fts (rowid, chunk_text) VALUES (new.id, new.chunk_text);
+      END
+    `);
+    if (!existingFts) {
+      // Index chunks stored before the full-text table existed
+      await db.runAsync("INSERT INTO document_chunks_fts (document_chunks_fts) VALUES ('rebuild')");
+    }
+
     // Conversations table
     await db.runAsync(`
       CREATE TABLE IF NOT EXISTS conversations (
@@ -104,6 +243,7 @@ export const initializeDatabase = async () => {
         user_id INTEGER NOT NULL,
         document_id INTEGER,
         title TEXT,
+        settings TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
@@ -118,16 +258,80 @@ export const initializeDatabase = async () => {
         conversation_id INTEGER NOT NULL,
         role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
         content TEXT NOT NULL,
+        sources TEXT,
+        model TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (conversation_id) REFERENCES conversations (id) ON DELETE CASCADE
       )
     `);
 
+    // Background jobs (document processing); run_at is epoch milliseconds
+    await db.runAsync(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        document_id INTEGER,
+        status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        run_at INTEGER NOT NULL,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Schema upgrades for databases created before these columns existed
+    await addColumnIfMissing('document_chunks', 'embedding', 'BLOB');
+    await addColumnIfMissing('document_chunks', 'ivf_list_id', 'INTEGER');
+    await addColumnIfMissing('document_chunks', 'page_start', 'INTEGER');
+    await addColumnIfMissing('document_chunks', 'page_end', 'INTEGER');
+    await addColumnIfMissing('document_chunks', 'section_heading', 'TEXT');
+    await addColumnIfMissing('document_chunks', 'start_offset', 'INTEGER');
+    await addColumnIfMissing('document_chunks', 'end_offset', 'INTEGER');
+    await addColumnIfMissing('messages', 'sources', 'TEXT');
+    await addColumnIfMissing('messages', 'model', 'TEXT');
+    await addColumnIfMissing('users', 'settings', 'TEXT');
+    await addColumnIfMissing('conversations', 'settings', 'TEXT');
+    await addColumnIfMissing('documents', 'progress', 'TEXT');
+    await addColumnIfMissing('documents', 'chunk_version', 'INTEGER NOT NULL DEFAULT 0');
+    await addColumnIfMissing('document_chunks', 'version', 'INTEGER NOT NULL DEFAULT 0');
+    await addColumnIfMissing('documents', 'content_hash', 'TEXT');
+    await addColumnIfMissing('document_chunks', 'slide_number', 'INTEGER');
+    await addColumnIfMissing('document_chunks', 'sheet_name', 'TEXT');
+    await addColumnIfMissing('document_chunks', 'row_start', 'INTEGER');
+    await addColumnIfMissing('document_chunks', 'row_end', 'INTEGER');
+    await addColumnIfMissing('document_chunks', 'chapter_title', 'TEXT');
+    await addColumnIfMissing('document_chunks', 'ocr_confidence', 'REAL');
+    await addColumnIfMissing('document_chunks', 'ocr_words', 'TEXT');
+    await addColumnIfMissing('document_chunks', 'chunk_type', "TEXT NOT NULL DEFAULT 'text'");
+    await addColumnIfMissing('document_chunks', 'table_caption', 'TEXT');
+    await addColumnIfMissing('documents', 'ocr_languages', 'TEXT');
+    await addColumnIfMissing('documents', 'ocr_report', 'TEXT');
+    await addColumnIfMissing('documents', 'chunk_strategy', 'TEXT');
+    await addColumnIfMissing('documents', 'chunk_size', 'INTEGER');
+    await addColumnIfMissing('document_chunks', 'embedding_model', 'TEXT');
+    await addColumnIfMissing('document_chunks', 'embedding_dimension', 'INTEGER');
+    await addColumnIfMissing('vector_index_lists', 'embedding_model', 'TEXT');
+    // Embeddings stored before models were recorded keep an unknown model, but their dimension
+    // is the length of the Float32 BLOB
+    await db.runAsync(
+      'UPDATE document_chunks SET embedding_dimension = length(embedding) / 4 WHERE embedding IS NOT NULL AND embedding_dimension IS NULL'
+    );
+
     // Create indexes for better performance
     await db.runAsync('CREATE INDEX IF NOT EXISTS idx_documents_user_id ON documents (user_id)');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_documents_content_hash ON documents (content_hash)');
     await db.runAsync('CREATE INDEX IF NOT EXISTS idx_document_chunks_document_id ON document_chunks (document_id)');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_document_chunks_ivf_list_id ON document_chunks (ivf_list_id)');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_vector_index_lists_document_id ON vector_index_lists (document_id)');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_embedding_migration_chunks_chunk_id ON embedding_migration_chunks (chunk_id)');
     await db.runAsync('CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations (user_id)');
     await db.runAsync('CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages (conversation_id)');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs (status, run_at)');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_jobs_document_id ON jobs (document_id)');
 
     console.log('✅ Database tables initialized successfully');
   } catch (error) {
@@ -156,15 +360,55 @@ export const dbUtils = {
     return await db.getAsync('SELECT * FROM users WHERE id = ?', [id]);
   },
 
+  // Generation settings (model, temperature, maxTokens, topP) are stored as JSON
+  async getUserSettings(userId) {
+    const row = await db.getAsync('SELECT settings FROM users WHERE id = ?', [userId]);
+    return row?.settings ? JSON.parse(row.settings) : {};
+  },
+
+  async updateUserSettings(userId, settings) {
+    await db.runAsync(
+      'UPDATE users SET settings = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [JSON.stringify(settings), userId]
+    );
+  },
+
   // Document operations
-  async createDocument(userId, filename, originalName, filePath, fileSize, mimeType) {
+  // ocrLanguages are Tesseract codes joined with "+" ("hin+eng"); null uses the default.
+  // chunking is { strategy, size }; either left null uses the default.
+  async createDocument(userId, filename, originalName, filePath, fileSize, mimeType, contentHash = null, ocrLanguages = null, chunking = {}) {
+    const { strategy = null, size = null } = chunking;
     const result = await db.runAsync(
-      'INSERT INTO documents (user_id, filename, original_name, file_path, file_size, mime_type) VALUES (?, ?, ?, ?, ?, ?)',
-      [userId, filename, originalName, filePath, fileSize, mimeType]
+      `INSERT INTO documents (user_id, filename, original_name, file_path, file_size, mime_type, content_hash, ocr_languages, chunk_strategy, chunk_size)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, filename, originalName, filePath, fileSize, mimeType, contentHash, ocrLanguages, strategy, size]
     );
     return result.lastID;
   },
 
+  // The user's own earlier upload of the same content, if any
+  async getDocumentByUserAndHash(userId, contentHash) {
+    return await db.getAsync(
+      'SELECT * FROM documents WHERE user_id = ? AND content_hash = ? ORDER BY id LIMIT 1',
+      [userId, contentHash]
+    );
+  },
+
+  // Any document with this content, preferring one that finished processing
+  async getDocumentByHash(contentHash) {
+    return await db.getAsync(
+      `SELECT * FROM documents WHERE content_hash = ?
+       ORDER BY processing_status = 'ready' DESC, id LIMIT 1`,
+      [contentHash]
+    );
+  },
+
+  // How many documents point at a stored file (deduplicated uploads share one)
+  async countDocumentsByFilePath(filePath) {
+    const row = await db.getAsync('SELECT COUNT(*) AS count FROM documents WHERE file_path = ?', [filePath]);
+    return row.count;
+  },
+
   async getDocumentsByUserId(userId) {
     return await db.allAsync('SELECT * FROM documents WHERE user_id = ? ORDER BY created_at DESC', [userId]);
   },
@@ -188,21 +432,241 @@ export const dbUtils = {
     );
   },
 
+  // Status of a processing run that has not succeeded (yet): 'pending', 'processing' or
+  // 'failed'. A document whose active chunk version has chunks is being reprocessed and keeps
+  // answering from that version, so it stays ready (the run shows in its progress and job, and
+  // an error is still recorded); only a document that never processed takes the status.
+  // Resolves with the status it was left in.
+  async updateProcessingStatus(id, status, error = null) {
+    const row = await db.getAsync(
+      `SELECT EXISTS (
+         SELECT 1 FROM document_chunks dc
+         JOIN documents d ON d.id = dc.document_id AND dc.version = d.chunk_version
+         WHERE d.id = ?
+       ) AS hasActiveVersion`,
+      [id]
+    );
+    const next = row.hasActiveVersion ? 'ready' : status;
+    await dbUtils.updateDocumentStatus(id, next, error);
+    return next;
+  },
+
+  // progress is { stage, current, total, etaSeconds, updatedAt }, stored as JSON
+  async updateDocumentProgress(id, progress) {
+    await db.runAsync('UPDATE documents SET progress = ? WHERE id = ?', [JSON.stringify(progress), id]);
+  },
+
+  async updateDocumentOcrLanguages(id, ocrLanguages) {
+    await db.runAsync('UPDATE documents SET ocr_languages = ? WHERE id = ?', [ocrLanguages, id]);
+  },
+
+  async updateDocumentChunking(id, { strategy = null, size = null }) {
+    await db.runAsync('UPDATE documents SET chunk_strategy = ?, chunk_size = ? WHERE id = ?', [strategy, size, id]);
+  },
+
+  // report is the last OCR run's { languages, totalPages, skippedPages, failedPages, ... }, or
+  // null when the document was not OCR'd
+  async updateDocumentOcrReport(id, report) {
+    await db.runAsync('UPDATE documents SET ocr_report = ? WHERE id = ?', [report ? JSON.stringify(report) : null, id]);
+  },
+
   async deleteDocument(id) {
     await db.runAsync('DELETE FROM documents WHERE id = ?', [id]);
   },
 
-  // Document chunks operations
-  async createDocumentChunk(documentId, chunkText, chunkIndex, embeddingId = null, embeddingVector = null) {
+  // Document chunks operations. Chunks belong to a version of the document; only the
+  // document's chunk_version is visible to search. Without a version, the active one is used.
+  // embeddingModel is the "provider:model" id that produced the embedding (a Float32 BLOB).
+  async createDocumentChunk(documentId, chunkText, chunkIndex, embeddingId = null, embedding = null, location = {}, version = null, embeddingModel = null) {
+    const {
+      pageStart = null, pageEnd = null, heading = null, slide = null, sheet = null,
+      rowStart = null, rowEnd = null, chapter = null, startOffset = null, endOffset = null,
+      ocrConfidence = null, ocrWords = null, chunkType = 'text', tableCaption = null
+    } = location;
     const result = await db.runAsync(
-      'INSERT INTO document_chunks (document_id, chunk_text, chunk_index, embedding_id, embedding_vector) VALUES (?, ?, ?, ?, ?)',
-      [documentId, chunkText, chunkIndex, embeddingId, embeddingVector]
+      `INSERT INTO document_chunks
+        (document_id, chunk_text, chunk_index, embedding_id, embedding, embedding_model, embedding_dimension,
+         page_start, page_end, section_heading, slide_number, sheet_name, row_start, row_end, chapter_title,
+         start_offset, end_offset, ocr_confidence, ocr_words, chunk_type, table_caption, version)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, (SELECT chunk_version FROM documents WHERE id = ?)))`,
+      [
+        documentId, chunkText, chunkIndex, embeddingId, embedding,
+        embedding ? embeddingModel : null, embedding ? embedding.length / Float32Array.BYTES_PER_ELEMENT : null,
+        pageStart, pageEnd, heading,
+        slide, sheet, rowStart, rowEnd, chapter, startOffset, endOffset,
+        ocrConfidence, ocrWords ? JSON.stringify(ocrWords) : null, chunkType, tableCaption, version, documentId
+      ]
     );
     return result.lastID;
   },
 
   async getDocumentChunks(documentId) {
-    return await db.allAsync('SELECT * FROM document_chunks WHERE document_id = ? ORDER BY chunk_index', [documentId]);
+    return await db.allAsync(
+      `SELECT dc.* FROM document_chunks dc
+       JOIN documents d ON d.id = dc.document_id AND dc.version = d.chunk_version
+       WHERE dc.document_id = ?
+       ORDER BY dc.chunk_index`,
+      [documentId]
+    );
+  },
+
+  // Copy the active chunks of one document (text, location and embeddings) into another's
+  // active version, so identical content is not extracted and embedded twice
+  async copyDocumentChunks(sourceId, targetId) {
+    await db.runAsync(
+      `INSERT INTO document_chunks
+        (document_id, chunk_text, chunk_index, embedding_id, embedding, embedding_model, embedding_dimension,
+         page_start, page_end, section_heading, slide_number, sheet_name, row_start, row_end, chapter_title,
+         start_offset, end_offset, ocr_confidence, ocr_words, chunk_type, table_caption, version)
+       SELECT ?, dc.chunk_text, dc.chunk_index, dc.embedding_id, dc.embedding, dc.embedding_model,
+         dc.embedding_dimension, dc.page_start, dc.page_end,
+         dc.section_heading, dc.slide_number, dc.sheet_name, dc.row_start, dc.row_end, dc.chapter_title,
+         dc.start_offset, dc.end_offset, dc.ocr_confidence, dc.ocr_words, dc.chunk_type, dc.table_caption,
+         (SELECT chunk_version FROM documents WHERE id = ?)
+       FROM document_chunks dc
+       JOIN documents d ON d.id = dc.document_id AND dc.version = d.chunk_version
+       WHERE dc.document_id = ?
+       ORDER BY dc.chunk_index`,
+      [targetId, targetId, sourceId]
+    );
+    return await dbUtils.getDocumentChunks(targetId);
+  },
+
+  // A version number no chunks use yet, for building a new set of chunks beside the active one
+  async getNextChunkVersion(documentId) {
+    const row = await db.getAsync(
+      `SELECT MAX(
+         (SELECT chunk_version FROM documents WHERE id = ?),
+         COALESCE((SELECT MAX(version) FROM document_chunks WHERE document_id = ?), 0)
+       ) + 1 AS version`,
+      [documentId, documentId]
+    );
+    return row.version;
+  },
+
+  // Make a fully built version the one search sees, and drop every other version and the
+  // vector index built over the old chunks, in a single transaction
+  async activateChunkVersion(documentId, version) {
+    const id = Number(documentId);
+    const next = Number(version);
+    if (!Number.isInteger(id) || !Number.isInteger(next)) {
+      throw new Error('activateChunkVersion requires integer ids');
+    }
+
+    try {
+      await db.execAsync(`
+        BEGIN;
+        UPDATE documents SET chunk_version = ${next} WHERE id = ${id};
+        DELETE FROM document_chunks WHERE document_id = ${id} AND version <> ${next};
+        DELETE FROM vector_index_lists WHERE document_id = ${id};
+        COMMIT;
+      `);
+    } catch (error) {
+      await db.execAsync('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  },
+
+  // Move a finished re-embedding's staged vectors onto their chunks and mark it completed, all
+  // at once so search never sees half a migration. Returns the IDs of the documents touched.
+  async applyEmbeddingMigration(migrationId) {
+    const id = Number(migrationId);
+    if (!Number.isInteger(id)) {
+      throw new Error('applyEmbeddingMigration requires an integer id');
+    }
+
+    const documents = await db.allAsync(
+      `SELECT DISTINCT dc.document_id FROM embedding_migration_chunks s
+       JOIN document_chunks dc ON dc.id = s.chunk_id
+       WHERE s.migration_id = ?`,
+      [id]
+    );
+
+    try {
+      await db.execAsync(`
+        BEGIN;
+        UPDATE document_chunks SET
+          embedding = (SELECT s.embedding FROM embedding_migration_chunks s WHERE s.migration_id = ${id} AND s.chunk_id = document_chunks.id),
+          embedding_dimension = (SELECT length(s.embedding) / 4 FROM embedding_migration_chunks s WHERE s.migration_id = ${id} AND s.chunk_id = document_chunks.id),
+          embedding_model = (SELECT model FROM embedding_migrations WHERE id = ${id}),
+          ivf_list_id = NULL
+        WHERE id IN (SELECT chunk_id FROM embedding_migration_chunks WHERE migration_id = ${id});
+        DELETE FROM embedding_migration_chunks WHERE migration_id = ${id};
+        UPDATE embedding_migrations SET status = 'completed', done = total, updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP WHERE id = ${id};
+        COMMIT;
+      `);
+    } catch (error) {
+      await db.execAsync('ROLLBACK').catch(() => {});
+      throw error;
+    }
+
+    return documents.map(row => row.document_id);
+  },
+
+  // Throw away a version that failed to build; the active version is never touched
+  async discardChunkVersion(documentId, version) {
+    await db.runAsync(
+      `DELETE FROM document_chunks
+       WHERE document_id = ? AND version = ?
+         AND version <> (SELECT chunk_version FROM documents WHERE id = ?)`,
+      [documentId, version, documentId]
+    );
+  },
+
+  // IDs of the documents the user is allowed to read, optionally narrowed to a given set
+  async getAccessibleDocumentIds(userId, documentIds = null) {
+    if (Array.isArray(documentIds) && documentIds.length === 0) {
+      return [];
+    }
+
+    let sql = 'SELECT id FROM documents WHERE user_id = ?';
+    const params = [userId];
+
+    if (documentIds) {
+      sql += ` AND id IN (${documentIds.map(() => '?').join(', ')})`;
+      params.push(...documentIds);
+    }
+
+    const rows = await db.allAsync(sql, params);
+    return rows.map(row => row.id);
+  },
+
+  // Cached embeddings of these text hashes by any of the models, as [{ content_hash, embedding_model, embedding }]
+  async getCachedEmbeddings(contentHashes, models) {
+    if (contentHashes.length === 0 || models.length === 0) {
+      return [];
+    }
+
+    return await db.allAsync(
+      `SELECT content_hash, embedding_model, embedding FROM embedding_cache
+       WHERE content_hash IN (${contentHashes.map(() => '?').join(', ')})
+       AND embedding_model IN (${models.map(() => '?').join(', ')})`,
+      [...contentHashes, ...models]
+    );
+  },
+
+  async cacheEmbeddings(entries) {
+    for (const { contentHash, model, embedding } of entries) {
+      await db.runAsync(
+        'INSERT OR REPLACE INTO embedding_cache (content_hash, embedding_model, embedding) VALUES (?, ?, ?)',
+        [contentHash, model, embedding]
+      );
+    }
+  },
+
+  // The embedding models of the documents' active chunks as [{ embedding_model, embedding_dimension }];
+  // chunks embedded before models were recorded have a null model
+  async getChunkEmbeddingModels(documentIds) {
+    if (documentIds.length === 0) {
+      return [];
+    }
+
+    return await db.allAsync(
+      `SELECT DISTINCT dc.embedding_model, dc.embedding_dimension FROM document_chunks dc
+       JOIN documents d ON d.id = dc.document_id AND dc.version = d.chunk_version
+       WHERE dc.embedding IS NOT NULL AND dc.document_id IN (${documentIds.map(() => '?').join(', ')})`,
+      documentIds
+    );
   },
 
   // Conversation operations
@@ -229,6 +693,14 @@ export const dbUtils = {
     await db.runAsync('UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
   },
 
+  async updateConversationSettings(id, settings) {
+    await db.runAsync('UPDATE conversations SET settings = ? WHERE id = ?', [JSON.stringify(settings), id]);
+  },
+
+  async deleteConversation(id) {
+    await db.runAsync('DELETE FROM conversations WHERE id = ?', [id]);
+  },
+
   async updateConversationTitle(id, title) {
     await db.runAsync(
       'UPDATE conversations SET title = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
@@ -237,10 +709,10 @@ export const dbUtils = {
   },
 
   // Message operations
-  async createMessage(conversationId, role, content) {
+  async createMessage(conversationId, role, content, sources = null, model = null) {
     const result = await db.runAsync(
-      'INSERT INTO messages (conversation_id, role, content) VALUES (?, ?, ?)',
-      [conversationId, role, content]
+      'INSERT INTO messages (conversation_id, role, content, sources, model) VALUES (?, ?, ?, ?, ?)',
+      [conversationId, role, content, sources ? JSON.stringify(sources) : null, model]
     );
     return result.lastID;
   },
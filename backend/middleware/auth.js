@@ -83,6 +83,26 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Admins are the users whose email is listed in ADMIN_EMAILS (comma-separated)
+export const isAdmin = (user) => {
+  const emails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  return Boolean(user?.email) && emails.includes(user.email.toLowerCase());
+};
+
+// Middleware for admin-only endpoints; goes after authenticateToken
+export const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      error: 'Admin access required',
+      code: 'ADMIN_REQUIRED'
+    });
+  }
+  next();
+};
+
 // Generate JWT token
 export const generateToken = (userId) => {
   return jwt.sign(
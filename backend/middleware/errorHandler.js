@@ -12,9 +12,19 @@ export const errorHandler = (err, req, res, next) => {
   let statusCode = 500;
   let message = 'Internal server error';
   let code = 'INTERNAL_ERROR';
+  let extra = {};
 
   // Handle specific error types
-  if (err.name === 'ValidationError') {
+  if (err instanceof AppError) {
+    statusCode = err.statusCode;
+    message = err.message;
+    code = err.code;
+    // Tell clients whether trying again later can succeed, and when
+    if (err.retryable !== undefined) {
+      extra = { retryable: Boolean(err.retryable), retryAfter: err.retryAfter ?? null };
+      if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    }
+  } else if (err.name === 'ValidationError') {
     statusCode = 400;
     message = 'Validation error';
     code = 'VALIDATION_ERROR';
@@ -44,6 +54,7 @@ export const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     error: message,
     code,
+    ...extra,
     ...(process.env.NODE_ENV === 'development' && {
       details: err.message,
       stack: err.stack
@@ -0,0 +1,49 @@
+import { body } from 'express-validator';
+import { GENERATION_LIMITS, isKnownModel } from '../services/llm/models.js';
+
+// express-validator rules for generation settings found under `prefix` in the request body
+// (e.g. "settings." for { settings: { model, temperature, maxTokens, topP } }). null clears a value.
+export const generationSettingsRules = (prefix = '') => {
+  const { temperature, maxTokens, topP } = GENERATION_LIMITS;
+  return [
+    ...(prefix ? [
+      body(prefix.replace(/\.$/, ''))
+        .optional({ values: 'null' })
+        .isObject()
+        .withMessage('Settings must be an object')
+    ] : []),
+
+    body(`${prefix}model`)
+      .optional({ values: 'null' })
+      .isString()
+      .custom(isKnownModel)
+      .withMessage('Unknown model; see GET /api/models'),
+
+    body(`${prefix}temperature`)
+      .optional({ values: 'null' })
+      .isFloat(temperature)
+      .withMessage(`Temperature must be between ${temperature.min} and ${temperature.max}`)
+      .toFloat(),
+
+    body(`${prefix}maxTokens`)
+      .optional({ values: 'null' })
+      .isInt(maxTokens)
+      .withMessage(`Max tokens must be an integer between ${maxTokens.min} and ${maxTokens.max}`)
+      .toInt(),
+
+    body(`${prefix}topP`)
+      .optional({ values: 'null' })
+      .isFloat(topP)
+      .withMessage(`Top P must be between ${topP.min} and ${topP.max}`)
+      .toFloat()
+  ];
+};
+
+// Only the recognised settings keys of an already validated object
+export const pickGenerationSettings = (settings = {}) => {
+  const picked = {};
+  for (const key of ['model', 'temperature', 'maxTokens', 'topP']) {
+    if (settings?.[key] !== undefined) picked[key] = settings[key];
+  }
+  return picked;
+};
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+// Re-embed stored chunks with another embedding model, in the foreground:
+//   npm run reembed -- [--model provider:model] [--user ID] [--document ID]
+//   npm run reembed -- --resume MIGRATION_ID
+// Without --model the current EMBEDDING_PROVIDER's model is used. Stopping it (Ctrl+C, a
+// crash) keeps the chunks already embedded; --resume carries on from there.
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { initializeDatabase } from './config/database.js';
+import {
+  createEmbeddingMigration,
+  getActiveMigrationJob,
+  getEmbeddingMigration,
+  runEmbeddingMigration,
+  setMigrationStatus
+} from './services/embeddingMigrations.js';
+
+const { values: options } = parseArgs({
+  options: {
+    model: { type: 'string' },
+    user: { type: 'string' },
+    document: { type: 'string' },
+    resume: { type: 'string' }
+  }
+});
+
+const toId = (value) => value === undefined ? null : parseInt(value);
+
+async function reembed() {
+  await initializeDatabase();
+
+  let migration;
+  if (options.resume) {
+    migration = await getEmbeddingMigration(toId(options.resume));
+    if (!migration) throw new Error(`Embedding migration ${options.resume} not found`);
+    if (await getActiveMigrationJob(migration.id)) {
+      throw new Error(`Embedding migration ${migration.id} is already queued on the server`);
+    }
+  } else {
+    migration = await createEmbeddingMigration({
+      model: options.model || null,
+      userId: toId(options.user),
+      documentId: toId(options.document)
+    });
+  }
+
+  console.log(`🔁 Re-embedding chunks with ${migration.model} (migration ${migration.id})`);
+  try {
+    const finished = await runEmbeddingMigration(migration.id, {
+      onProgress: ({ total, done }) => console.log(`   ${done}/${total} chunks`)
+    });
+    console.log(`✅ Migration ${finished.id} ${finished.status}: ${finished.total} chunks now use ${finished.model}`);
+  } catch (error) {
+    await setMigrationStatus(migration.id, 'failed', error.message);
+    throw new Error(`${error.message}\n   Resume with: npm run reembed -- --resume ${migration.id}`);
+  }
+}
+
+reembed()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Re-embedding failed:', error.message);
+    process.exit(1);
+  });
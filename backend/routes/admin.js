@@ -0,0 +1,111 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import {
+  createEmbeddingMigration,
+  enqueueEmbeddingMigration,
+  getEmbeddingMigration,
+  getActiveMigrationJob,
+  listEmbeddingMigrations
+} from '../services/embeddingMigrations.js';
+
+const router = express.Router();
+
+// Target model and scope of a re-embedding; without a scope every chunk is re-embedded
+const validateMigration = [
+  body('model')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('model must be a model id such as "gemini:text-embedding-004"'),
+  body('userId')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('userId must be a positive integer')
+    .toInt(),
+  body('documentId')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('documentId must be a positive integer')
+    .toInt()
+];
+
+const getMigrationOr404 = async (req) => {
+  const migrationId = parseInt(req.params.id);
+
+  if (isNaN(migrationId)) {
+    throw new AppError('Invalid migration ID', 400, 'INVALID_ID');
+  }
+
+  const migration = await getEmbeddingMigration(migrationId);
+  if (!migration) {
+    throw new AppError('Embedding migration not found', 404, 'MIGRATION_NOT_FOUND');
+  }
+  return migration;
+};
+
+// Re-embed chunks with another model in the background
+router.post('/embedding-migrations', validateMigration, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      details: errors.array()
+    });
+  }
+
+  const { model, userId, documentId } = req.body;
+  const migration = await createEmbeddingMigration({
+    model: model || null,
+    userId: userId || null,
+    documentId: documentId || null,
+    requestedBy: req.user.id
+  });
+  const job = await enqueueEmbeddingMigration(migration.id);
+
+  res.status(202).json({
+    message: 'Embedding migration started',
+    migration: await getEmbeddingMigration(migration.id),
+    job: { id: job.id, status: job.status }
+  });
+}));
+
+// All migrations, newest first
+router.get('/embedding-migrations', asyncHandler(async (req, res) => {
+  const migrations = await listEmbeddingMigrations();
+
+  res.json({
+    migrations,
+    count: migrations.length
+  });
+}));
+
+// Progress of one migration, with its background job while one is queued or running
+router.get('/embedding-migrations/:id', asyncHandler(async (req, res) => {
+  const migration = await getMigrationOr404(req);
+  const job = await getActiveMigrationJob(migration.id);
+
+  res.json({
+    migration,
+    job: job && { id: job.id, status: job.status, attempts: job.attempts, maxAttempts: job.maxAttempts }
+  });
+}));
+
+// Carry on with a migration that failed or was stopped, from the chunks it had not reached
+router.post('/embedding-migrations/:id/resume', asyncHandler(async (req, res) => {
+  const migration = await getMigrationOr404(req);
+
+  if (migration.status === 'completed') {
+    throw new AppError('Embedding migration has already completed', 409, 'MIGRATION_COMPLETED');
+  }
+
+  const job = await enqueueEmbeddingMigration(migration.id);
+
+  res.status(202).json({
+    message: 'Embedding migration resumed',
+    migration: await getEmbeddingMigration(migration.id),
+    job: { id: job.id, status: job.status }
+  });
+}));
+
+export default router;
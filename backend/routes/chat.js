@@ -2,12 +2,16 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { dbUtils } from '../config/database.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { generationSettingsRules, pickGenerationSettings } from '../middleware/generationSettings.js';
+import { resolveGenerationSettings } from '../services/llm/models.js';
 import { 
   generateDocumentResponse, 
   generateGeneralResponse, 
+  streamDocumentResponse,
+  streamGeneralResponse,
   suggestQuestions,
   summarizeDocument 
-} from '../services/openRouterService.js';
+} from '../services/chatService.js';
 
 const router = express.Router();
 
@@ -32,25 +36,26 @@ const validateMessage = [
       if (value === null || value === undefined) return true;
       return Number.isInteger(value) && value >= 1;
     })
-    .withMessage('Conversation ID must be a positive integer or null')
+    .withMessage('Conversation ID must be a positive integer or null'),
+
+  // Optional { model, temperature, maxTokens, topP }, remembered on the conversation
+  ...generationSettingsRules('settings.')
 ];
 
-// Send message and get AI response
-router.post('/message', validateMessage, asyncHandler(async (req, res) => {
-  // Log the incoming request for debugging
-  console.log('🔍 Chat message request received:', {
-    body: req.body,
-    userId: req.user.id
-  });
-  
+const parseSettings = (row) => (row?.settings ? JSON.parse(row.settings) : {});
+
+// Validate a chat request, check document access and find or open the conversation.
+// Returns null after sending a 400 response when validation fails.
+const startConversationTurn = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     console.log('❌ Chat message validation errors:', errors.array());
-    return res.status(400).json({
+    res.status(400).json({
       error: 'Validation failed',
       code: 'VALIDATION_ERROR',
       details: errors.array()
     });
+    return null;
   }
 
   const { message, documentId, conversationId } = req.body;
@@ -69,58 +74,182 @@ router.post('/message', validateMessage, asyncHandler(async (req, res) => {
 
   // Get or create conversation
   let currentConversationId = conversationId;
-  if (!currentConversationId) {
+  let conversationSettings = {};
+  const isNewConversation = !currentConversationId;
+  if (isNewConversation) {
     currentConversationId = await dbUtils.createConversation(
       userId, 
       documentId, 
       message.substring(0, 50) + '...'
     );
+  } else {
+    const conversation = await dbUtils.getConversationByIdAndUserId(currentConversationId, userId);
+    if (!conversation) {
+      throw new AppError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+    }
+    conversationSettings = parseSettings(conversation);
+  }
+
+  // Settings sent with the message stick to the conversation for later messages, once the turn succeeds
+  const requestSettings = pickGenerationSettings(req.body.settings);
+  const settingsChanged = Object.keys(requestSettings).length > 0;
+  if (settingsChanged) {
+    conversationSettings = { ...conversationSettings, ...requestSettings };
   }
 
+  const settings = resolveGenerationSettings(conversationSettings, await dbUtils.getUserSettings(userId));
+
   // Get conversation history
   const conversationHistory = await dbUtils.getMessagesByConversationId(currentConversationId);
 
-  // Save user message
-  await dbUtils.createMessage(currentConversationId, 'user', message);
+  return {
+    message,
+    documentId,
+    userId,
+    conversationId: currentConversationId,
+    isNewConversation,
+    conversationSettings: settingsChanged ? conversationSettings : null,
+    settings,
+    conversationHistory
+  };
+};
+
+// Save the question and its answer together with the settings sent along, so a failed turn leaves no trace
+const saveExchange = async (turn, aiResult) => {
+  if (turn.conversationSettings) {
+    await dbUtils.updateConversationSettings(turn.conversationId, turn.conversationSettings);
+  }
+  await dbUtils.createMessage(turn.conversationId, 'user', turn.message);
+  if (aiResult.response.trim()) {
+    await dbUtils.createMessage(turn.conversationId, 'assistant', aiResult.response, aiResult.sources, aiResult.model || null);
+  }
+  await dbUtils.touchConversation(turn.conversationId);
+};
+
+// Undo a turn whose answer failed: a conversation opened for it is removed again
+const discardTurn = async (turn) => {
+  if (turn.isNewConversation) {
+    await dbUtils.deleteConversation(turn.conversationId);
+  }
+};
+
+// Send message and get AI response
+router.post('/message', validateMessage, asyncHandler(async (req, res) => {
+  // Log the incoming request for debugging
+  console.log('🔍 Chat message request received:', {
+    body: req.body,
+    userId: req.user.id
+  });
+
+  const turn = await startConversationTurn(req, res);
+  if (!turn) return;
+
+  const { message, documentId, userId, conversationId, settings, conversationHistory } = turn;
 
+  // Generate AI response. Failures reach the error handler (retryable unless every provider
+  // refused the request) and nothing is saved, so the client can simply send the same message again.
+  let aiResult;
   try {
-    // Generate AI response
-    let aiResult;
     if (documentId) {
-      aiResult = await generateDocumentResponse(message, documentId, conversationHistory);
+      aiResult = await generateDocumentResponse(message, documentId, userId, conversationHistory, { settings });
     } else {
-      aiResult = await generateGeneralResponse(message, conversationHistory);
+      aiResult = await generateGeneralResponse(message, userId, conversationHistory, { settings });
     }
+  } catch (error) {
+    console.error('Error generating AI response:', error);
+    await discardTurn(turn);
+    throw error;
+  }
+
+  // Save the question and the AI response along with the sources its citations refer to
+  await saveExchange(turn, aiResult);
+
+  res.json({
+    message: aiResult.response,
+    conversationId,
+    sources: aiResult.sources || [],
+    confidence: aiResult.confidence || 0,
+    documentName: aiResult.documentName || null,
+    model: aiResult.model || null,
+    settings
+  });
+}));
+
+// Send message and stream the AI response as Server-Sent Events.
+// Events: "start" { conversationId }, "token" { text }, then "done" with the same fields as
+// POST /message (plus "stopped") or "error". Closing the connection stops generation; the
+// partial answer is saved like a finished one. After an error nothing is saved.
+router.post('/message/stream', validateMessage, asyncHandler(async (req, res) => {
+  console.log('🔍 Streaming chat message request received:', {
+    body: req.body,
+    userId: req.user.id
+  });
+
+  const turn = await startConversationTurn(req, res);
+  if (!turn) return;
+
+  const { message, documentId, userId, conversationId, settings, conversationHistory } = turn;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Keep reverse proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-    // Save AI response
-    await dbUtils.createMessage(currentConversationId, 'assistant', aiResult.response);
+  // The client going away (Stop button, closed tab) cancels the upstream completion
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  sendEvent('start', { conversationId });
+
+  const streamOptions = {
+    settings,
+    onToken: (text) => sendEvent('token', { text }),
+    signal: controller.signal
+  };
+
+  try {
+    const aiResult = documentId
+      ? await streamDocumentResponse(message, documentId, userId, conversationHistory, streamOptions)
+      : await streamGeneralResponse(message, userId, conversationHistory, streamOptions);
 
-    // Update conversation timestamp
-    await dbUtils.touchConversation(currentConversationId);
+    // Save the exchange once the stream completes or is cancelled
+    await saveExchange(turn, aiResult);
 
-    res.json({
+    sendEvent('done', {
       message: aiResult.response,
-      conversationId: currentConversationId,
+      conversationId,
       sources: aiResult.sources || [],
       confidence: aiResult.confidence || 0,
-      documentName: aiResult.documentName || null
+      documentName: aiResult.documentName || null,
+      model: aiResult.model || null,
+      settings,
+      stopped: aiResult.aborted
     });
-
   } catch (error) {
-    console.error('Error generating AI response:', error);
-    
-    // Save error message
-    const errorMessage = "I'm sorry, I encountered an error while processing your question. Please try again.";
-    await dbUtils.createMessage(currentConversationId, 'assistant', errorMessage);
-
-    res.json({
-      message: errorMessage,
-      conversationId: currentConversationId,
-      sources: [],
-      confidence: 0,
-      error: 'AI_ERROR'
+    console.error('Error streaming AI response:', error);
+    await discardTurn(turn);
+    sendEvent('error', {
+      error: error.retryable !== undefined
+        ? error.message
+        : "I'm sorry, I encountered an error while processing your question. Please try again.",
+      code: error instanceof AppError ? error.code : 'AI_ERROR',
+      retryable: Boolean(error.retryable),
+      retryAfter: error.retryAfter ?? null
     });
   }
+
+  res.end();
 }));
 
 // Get conversation history
@@ -131,6 +260,7 @@ router.get('/conversations', asyncHandler(async (req, res) => {
     id: conv.id,
     title: conv.title || 'Untitled Conversation',
     documentId: conv.document_id,
+    settings: parseSettings(conv),
     createdAt: conv.created_at,
     updatedAt: conv.updated_at
   }));
@@ -162,16 +292,54 @@ router.get('/conversations/:id/messages', asyncHandler(async (req, res) => {
     id: msg.id,
     role: msg.role,
     content: msg.content,
+    sources: msg.sources ? JSON.parse(msg.sources) : [],
+    model: msg.model || null,
     timestamp: msg.created_at
   }));
 
   res.json({
     conversationId,
+    settings: parseSettings(conversation),
     messages: formattedMessages,
     count: formattedMessages.length
   });
 }));
 
+// Update the generation settings remembered for a conversation
+router.put('/conversations/:id/settings', generationSettingsRules(), asyncHandler(async (req, res) => {
+  const conversationId = parseInt(req.params.id);
+  
+  if (isNaN(conversationId)) {
+    throw new AppError('Invalid conversation ID', 400, 'INVALID_ID');
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      details: errors.array()
+    });
+  }
+
+  // Verify conversation belongs to user
+  const conversation = await dbUtils.getConversationByIdAndUserId(conversationId, req.user.id);
+  
+  if (!conversation) {
+    throw new AppError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+  }
+
+  const settings = pickGenerationSettings(req.body);
+  await dbUtils.updateConversationSettings(conversationId, settings);
+
+  res.json({
+    message: 'Conversation settings updated successfully',
+    conversationId,
+    settings,
+    effectiveSettings: resolveGenerationSettings(settings, await dbUtils.getUserSettings(req.user.id))
+  });
+}));
+
 // Get suggested questions for a document
 router.get('/documents/:id/suggestions', asyncHandler(async (req, res) => {
   const documentId = parseInt(req.params.id);
@@ -240,7 +408,7 @@ router.delete('/conversations/:id', asyncHandler(async (req, res) => {
   }
 
   // Delete conversation (messages will be cascade deleted)
-  await dbUtils.db.runAsync('DELETE FROM conversations WHERE id = ?', [conversationId]);
+  await dbUtils.deleteConversation(conversationId);
 
   res.json({
     message: 'Conversation deleted successfully'
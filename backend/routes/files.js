@@ -1,12 +1,20 @@
 import express from 'express';
 import multer from 'multer';
+import { body, validationResult } from 'express-validator';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
 import { v4 as uuidv4 } from 'uuid';
 import { dbUtils } from '../config/database.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
-import { processDocument } from '../services/documentProcessor.js';
+import { enqueueDocumentProcessing } from '../services/documentJobs.js';
+import { getActiveDocumentJob } from '../services/jobQueue.js';
+import { progressEvents, parseProgress, isFinalStage } from '../services/progressService.js';
+import { deleteDocumentEmbeddings } from '../services/vectorService.js';
+import { hashFile, findStoredCopy, reuseProcessedCopy } from '../services/deduplicationService.js';
+import { getExtractors, isSupportedUpload, detectExtractor } from '../services/extractors/index.js';
+import { DEFAULT_OCR_LANGUAGES, parseOcrLanguages } from '../services/extractors/ocr.js';
+import { DEFAULT_CHUNK_STRATEGY, getChunkingStrategies, resolveChunking } from '../services/chunking/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,17 +41,14 @@ const storage = multer.diskStorage({
   }
 });
 
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-  ];
+const supportedFormats = () => getExtractors().map(e => e.label).join(', ');
 
-  if (allowedTypes.includes(file.mimetype)) {
+// Declared type or extension must match a registered extractor; the content is checked after upload
+const fileFilter = (req, file, cb) => {
+  if (isSupportedUpload(file)) {
     cb(null, true);
   } else {
-    cb(new AppError('Invalid file type. Only PDF and Word documents are allowed.', 400, 'INVALID_FILE_TYPE'), false);
+    cb(new AppError(`Invalid file type. Supported formats: ${supportedFormats()}.`, 400, 'INVALID_FILE_TYPE'), false);
   }
 };
 
@@ -55,33 +60,156 @@ const upload = multer({
   }
 });
 
+// OCR languages for scans and images: Tesseract codes joined with "+" or commas ("hin+eng")
+const validateOcrLanguages = body('ocrLanguages')
+  .optional({ values: 'falsy' })
+  .custom(value => parseOcrLanguages(value) !== null)
+  .withMessage('ocrLanguages must be 1 to 4 Tesseract language codes joined with "+", such as "hin+eng"');
+
+// Stored form of the languages asked for, or null for the default
+const requestedOcrLanguages = (req) => req.body?.ocrLanguages ? parseOcrLanguages(req.body.ocrLanguages).join('+') : null;
+
+const ocrLanguagesOf = (document) => parseOcrLanguages(document.ocr_languages) || DEFAULT_OCR_LANGUAGES;
+
+// Chunking strategy and size; the size counts characters or tokens, depending on the strategy
+const validateChunking = [
+  body('chunkStrategy')
+    .optional({ values: 'falsy' })
+    .isIn(getChunkingStrategies().map(strategy => strategy.name))
+    .withMessage(`chunkStrategy must be one of: ${getChunkingStrategies().map(strategy => strategy.name).join(', ')}`),
+  body('chunkSize')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('chunkSize must be a positive integer')
+    .toInt()
+];
+
+// Stored form of the chunking asked for ({ strategy, size }, null for the defaults), on top of
+// the document's current settings. A new strategy without a size takes that strategy's
+// default, since sizes count different things.
+const requestedChunking = (req, current = {}) => {
+  const { chunkStrategy, chunkSize } = req.body || {};
+  const strategy = chunkStrategy || current.strategy || null;
+  const size = chunkSize || (chunkStrategy && chunkStrategy !== current.strategy ? null : current.size ?? null);
+  const resolved = resolveChunking({ strategy, size });
+  if (!resolved) {
+    const { name, minSize, maxSize, unit } = getChunkingStrategies().find(s => s.name === (strategy || DEFAULT_CHUNK_STRATEGY));
+    throw new AppError(`chunkSize must be between ${minSize} and ${maxSize} ${unit} for the ${name} strategy`, 400, 'INVALID_CHUNK_SIZE');
+  }
+  return { strategy, size };
+};
+
+const chunkingOf = (document) =>
+  resolveChunking({ strategy: document.chunk_strategy, size: document.chunk_size }) ?? resolveChunking();
+
+const sameChunking = (a, b) => a.strategy === b.strategy && a.size === b.size;
+
+const parseOcrReport = (document) => {
+  if (!document.ocr_report) return null;
+  try {
+    return JSON.parse(document.ocr_report);
+  } catch (error) {
+    return null;
+  }
+};
+
 // Upload file endpoint
-router.post('/upload', upload.single('file'), asyncHandler(async (req, res) => {
+router.post('/upload', upload.single('file'), validateOcrLanguages, validateChunking, asyncHandler(async (req, res) => {
   if (!req.file) {
     throw new AppError('No file provided', 400, 'NO_FILE');
   }
 
   const { filename, originalname, path: filePath, size, mimetype } = req.file;
 
+  let uploadRemoved = false;
+  const removeUpload = async () => {
+    uploadRemoved = true;
+    try {
+      await fs.unlink(filePath);
+    } catch (unlinkError) {
+      console.error('Failed to clean up uploaded file:', unlinkError);
+    }
+  };
+
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await removeUpload();
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+    const ocrLanguages = requestedOcrLanguages(req);
+    const chunking = requestedChunking(req);
+
+    // Identify the format from the file's content, falling back to its name and declared type
+    const extractor = await detectExtractor(filePath, { mimeType: mimetype, filename: originalname });
+    if (!extractor) {
+      throw new AppError(`Invalid file type. Supported formats: ${supportedFormats()}.`, 400, 'INVALID_FILE_TYPE');
+    }
+    const mimeType = extractor.mimeTypes[0];
+
+    const contentHash = await hashFile(filePath);
+
+    // The same user uploading the same content gets their existing document back. If that one
+    // failed to process, uploading it again is how to retry it (with any new settings given).
+    const existing = await dbUtils.getDocumentByUserAndHash(req.user.id, contentHash);
+    if (existing) {
+      await removeUpload();
+      let job = null;
+      if (existing.processing_status === 'failed') {
+        if (ocrLanguages) await dbUtils.updateDocumentOcrLanguages(existing.id, ocrLanguages);
+        if (req.body?.chunkStrategy || req.body?.chunkSize) {
+          await dbUtils.updateDocumentChunking(existing.id, requestedChunking(req, { strategy: existing.chunk_strategy, size: existing.chunk_size }));
+        }
+        job = await enqueueDocumentProcessing(existing.id);
+      }
+      return res.json({
+        message: job ? 'You have already uploaded this file; processing it again' : 'You have already uploaded this file',
+        duplicate: true,
+        document: {
+          id: existing.id,
+          filename: existing.original_name,
+          size: existing.file_size,
+          type: existing.mime_type,
+          processed: Boolean(existing.processed)
+        },
+        job: job && { id: job.id, status: job.status }
+      });
+    }
+
+    // Identical content from another user: share the stored file instead of keeping a second copy
+    const copy = await findStoredCopy(contentHash);
+    if (copy) {
+      await removeUpload();
+    }
+
     // Save file info to database
     const documentId = await dbUtils.createDocument(
       req.user.id,
-      filename,
+      copy ? copy.filename : filename,
       originalname,
-      filePath,
+      copy ? copy.file_path : filePath,
       size,
-      mimetype
+      mimeType,
+      contentHash,
+      ocrLanguages,
+      chunking
     );
 
-    // Process document asynchronously
-    processDocument(documentId, filePath, mimetype)
-      .then(() => {
-        console.log(`✅ Document ${documentId} processed successfully`);
-      })
-      .catch((error) => {
-        console.error(`❌ Failed to process document ${documentId}:`, error);
-      });
+    // Reuse the copy's text and embeddings when it is processed, unless it was OCR'd in other
+    // languages or chunked differently; otherwise process in the background
+    const reusable = copy?.processing_status === 'ready'
+      && (!copy.ocr_report || ocrLanguagesOf(copy).join('+') === (ocrLanguages || DEFAULT_OCR_LANGUAGES.join('+')))
+      && sameChunking(chunkingOf(copy), resolveChunking(chunking));
+    let job = null;
+    if (reusable) {
+      await reuseProcessedCopy(documentId, copy);
+    } else {
+      job = await enqueueDocumentProcessing(documentId);
+    }
 
     res.status(201).json({
       message: 'File uploaded successfully',
@@ -89,16 +217,15 @@ router.post('/upload', upload.single('file'), asyncHandler(async (req, res) => {
         id: documentId,
         filename: originalname,
         size,
-        type: mimetype,
-        processed: false
-      }
+        type: mimeType,
+        processed: !job
+      },
+      job: job && { id: job.id, status: job.status }
     });
   } catch (error) {
     // Clean up uploaded file if database operation fails
-    try {
-      await fs.unlink(filePath);
-    } catch (unlinkError) {
-      console.error('Failed to clean up uploaded file:', unlinkError);
+    if (!uploadRemoved) {
+      await removeUpload();
     }
     throw error;
   }
@@ -117,6 +244,10 @@ router.get('/list', asyncHandler(async (req, res) => {
     processed: Boolean(doc.processed),
     processingStatus: doc.processing_status,
     processingError: doc.processing_error,
+    progress: parseProgress(doc),
+    ocrLanguages: ocrLanguagesOf(doc),
+    ocrReport: parseOcrReport(doc),
+    chunking: chunkingOf(doc),
     uploadedAt: doc.created_at
   }));
 
@@ -126,6 +257,98 @@ router.get('/list', asyncHandler(async (req, res) => {
   });
 }));
 
+// Processing state of a document: status, structured progress and its pending job
+const documentStatus = async (document) => {
+  const job = await getActiveDocumentJob(document.id);
+
+  return {
+    id: document.id,
+    status: document.processing_status,
+    processed: Boolean(document.processed),
+    error: document.processing_error,
+    progress: parseProgress(document),
+    ocrReport: parseOcrReport(document),
+    job: job ? { id: job.id, status: job.status, attempts: job.attempts, maxAttempts: job.maxAttempts } : null
+  };
+};
+
+// Ready with no reprocess under way, or failed with no retry pending: nothing more will change
+// without a reprocess. A document being reprocessed stays ready, so its progress tells.
+const isSettled = (status) =>
+  (status.status === 'ready' && (!status.progress || isFinalStage(status.progress.stage)))
+  || (status.status === 'failed' && !status.job);
+
+const findUserDocument = async (req) => {
+  const documentId = parseInt(req.params.id);
+
+  if (isNaN(documentId)) {
+    throw new AppError('Invalid document ID', 400, 'INVALID_ID');
+  }
+
+  const document = await dbUtils.getDocumentByIdAndUserId(documentId, req.user.id);
+
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+  return document;
+};
+
+// Get processing status and progress
+router.get('/:id/status', asyncHandler(async (req, res) => {
+  const document = await findUserDocument(req);
+  res.json(await documentStatus(document));
+}));
+
+// Stream processing status over Server-Sent Events until the document is ready or has failed
+router.get('/:id/status/stream', asyncHandler(async (req, res) => {
+  const document = await findUserDocument(req);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Keep reverse proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendStatus = async () => {
+    const current = await dbUtils.getDocumentById(document.id);
+    if (!current) {
+      sendEvent('error', { error: 'Document was deleted', code: 'DOCUMENT_NOT_FOUND' });
+      res.end();
+      return;
+    }
+
+    const status = await documentStatus(current);
+    sendEvent('status', status);
+    if (isSettled(status)) res.end();
+  };
+
+  const onProgress = () => {
+    sendStatus().catch(error => console.error('Error sending document status:', error));
+  };
+  const eventName = `document:${document.id}`;
+  progressEvents.on(eventName, onProgress);
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, 15000);
+
+  res.on('close', () => {
+    progressEvents.off(eventName, onProgress);
+    clearInterval(heartbeat);
+  });
+
+  await sendStatus();
+}));
+
 // Get specific file info
 router.get('/:id', asyncHandler(async (req, res) => {
   const documentId = parseInt(req.params.id);
@@ -165,15 +388,20 @@ router.delete('/:id', asyncHandler(async (req, res) => {
     throw new AppError('Document not found or access denied', 404, 'DOCUMENT_NOT_FOUND');
   }
 
-  try {
-    // Delete file from filesystem
-    await fs.unlink(document.file_path);
-  } catch (error) {
-    console.error('Failed to delete file from filesystem:', error);
-    // Continue with database deletion even if file deletion fails
+  // Deduplicated uploads share one stored file; only the last document using it removes it
+  const sharedBy = await dbUtils.countDocumentsByFilePath(document.file_path);
+  if (sharedBy <= 1) {
+    try {
+      // Delete file from filesystem
+      await fs.unlink(document.file_path);
+    } catch (error) {
+      console.error('Failed to delete file from filesystem:', error);
+      // Continue with database deletion even if file deletion fails
+    }
   }
 
-  // Delete from database (will cascade to chunks)
+  // Drop the document's vector index, then delete from database (will cascade to chunks)
+  await deleteDocumentEmbeddings(documentId);
   await dbUtils.deleteDocument(documentId);
 
   res.json({
@@ -211,7 +439,16 @@ router.get('/:id/download', asyncHandler(async (req, res) => {
 }));
 
 // Reprocess a document
-router.post('/:id/reprocess', asyncHandler(async (req, res) => {
+router.post('/:id/reprocess', validateOcrLanguages, validateChunking, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      details: errors.array()
+    });
+  }
+
   const documentId = parseInt(req.params.id);
   
   if (isNaN(documentId)) {
@@ -223,16 +460,24 @@ router.post('/:id/reprocess', asyncHandler(async (req, res) => {
   if (!document) {
     throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
   }
+
+  // Reprocessing can read the document in other OCR languages
+  const ocrLanguages = requestedOcrLanguages(req);
+  if (ocrLanguages) {
+    await dbUtils.updateDocumentOcrLanguages(documentId, ocrLanguages);
+  }
+  // ...and chunk it with another strategy or size
+  if (req.body?.chunkStrategy || req.body?.chunkSize) {
+    const chunking = requestedChunking(req, { strategy: document.chunk_strategy, size: document.chunk_size });
+    await dbUtils.updateDocumentChunking(documentId, chunking);
+  }
   
-  // Reset status
-  await dbUtils.updateDocumentStatus(documentId, 'processing');
-  
-  // Process asynchronously
-  processDocument(documentId, document.file_path, document.mime_type)
-    .then(() => console.log(`✅ Document ${documentId} reprocessed successfully`))
-    .catch((err) => console.error(`❌ Failed to reprocess document ${documentId}:`, err));
+  const job = await enqueueDocumentProcessing(documentId);
   
-  res.json({ message: 'Document processing restarted' });
+  res.json({
+    message: 'Document processing restarted',
+    job: { id: job.id, status: job.status }
+  });
 }));
 
 export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { listModels, GENERATION_LIMITS, DEFAULT_GENERATION_SETTINGS } from '../services/llm/models.js';
+
+const router = express.Router();
+
+// List the models users can choose from, with the default and allowed generation settings
+router.get('/', asyncHandler(async (req, res) => {
+  const models = listModels();
+
+  res.json({
+    models,
+    defaults: {
+      ...DEFAULT_GENERATION_SETTINGS,
+      model: models.find(model => model.default)?.id || null
+    },
+    limits: GENERATION_LIMITS,
+    count: models.length
+  });
+}));
+
+export default router;
@@ -3,6 +3,8 @@ import bcrypt from 'bcryptjs';
 import { body, validationResult } from 'express-validator';
 import { dbUtils } from '../config/database.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { generationSettingsRules, pickGenerationSettings } from '../middleware/generationSettings.js';
+import { resolveGenerationSettings } from '../services/llm/models.js';
 
 const router = express.Router();
 
@@ -168,6 +170,37 @@ router.patch('/password', [
   });
 }));
 
+// Get the user's default generation settings (model, temperature, maxTokens, topP)
+router.get('/settings', asyncHandler(async (req, res) => {
+  const settings = await dbUtils.getUserSettings(req.user.id);
+
+  res.json({
+    settings,
+    effectiveSettings: resolveGenerationSettings(settings)
+  });
+}));
+
+// Replace the user's default generation settings; conversations can still override them
+router.put('/settings', generationSettingsRules(), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      details: errors.array()
+    });
+  }
+
+  const settings = pickGenerationSettings(req.body);
+  await dbUtils.updateUserSettings(req.user.id, settings);
+
+  res.json({
+    message: 'Settings updated successfully',
+    settings,
+    effectiveSettings: resolveGenerationSettings(settings)
+  });
+}));
+
 // Get user dashboard data
 router.get('/dashboard', asyncHandler(async (req, res) => {
   const userId = req.user.id;
@@ -15,13 +15,19 @@ import authRoutes from './routes/auth.js';
 import fileRoutes from './routes/files.js';
 import chatRoutes from './routes/chat.js';
 import userRoutes from './routes/user.js';
+import modelRoutes from './routes/models.js';
+import adminRoutes from './routes/admin.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
-import { authenticateToken } from './middleware/auth.js';
+import { authenticateToken, requireAdmin } from './middleware/auth.js';
 
 // Import database initialization
 import { initializeDatabase } from './config/database.js';
+import { migrateLegacyEmbeddings } from './services/vectorService.js';
+import { getProviderEnvVars } from './services/llm/index.js';
+import { recoverStaleJobs, startJobQueue } from './services/jobQueue.js';
+import { recoverDocumentProcessing } from './services/documentJobs.js';
 
 // Ensure Google OAuth credentials are present
 if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
@@ -33,15 +39,13 @@ console.log('🔍 Environment variables loaded:');
 console.log('📝 PORT:', process.env.PORT);
 console.log('📝 NODE_ENV:', process.env.NODE_ENV);
 
-const requiredEnvVars = ['JWT_SECRET', 'OPENROUTER_API_KEY', 'GOOGLE_API_KEY', 'SESSION_SECRET'];
+const requiredEnvVars = ['JWT_SECRET', 'SESSION_SECRET', ...getProviderEnvVars()];
 const missing = requiredEnvVars.filter(v => !process.env[v]);
 if (missing.length > 0) {
   console.error('❌ Missing required environment variables:', missing.join(', '));
   if (process.env.NODE_ENV === 'production') process.exit(1);
 }
 
-// Note: OpenRouter configuration will be debugged when first used
-
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -114,6 +118,8 @@ app.use('/api/files/upload', uploadLimiter);
 app.use('/api/files', authenticateToken, fileRoutes);
 app.use('/api/chat', authenticateToken, chatLimiter, chatRoutes);
 app.use('/api/user', authenticateToken, userRoutes);
+app.use('/api/models', authenticateToken, modelRoutes);
+app.use('/api/admin', authenticateToken, requireAdmin, adminRoutes);
 app.use(generalLimiter); // fallback
 
 // 404 handler
@@ -131,6 +137,13 @@ const startServer = async () => {
   try {
     await initializeDatabase();
     console.log('✅ Database initialized successfully');
+
+    await migrateLegacyEmbeddings();
+
+    // Requeue work interrupted by the last shutdown before workers start
+    await recoverStaleJobs();
+    await recoverDocumentProcessing();
+    startJobQueue();
     
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
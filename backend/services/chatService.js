@@ -0,0 +1,247 @@
+import { retrieveRelevantChunks } from './retrievalService.js';
+import { complete } from './llm/index.js';
+import { documentAnswerPrompt, generalAnswerPrompt, suggestQuestionsPrompt, summaryPrompt } from './llm/prompts.js';
+import { chunkLocation, formatCitation, sourceLocation, validateCitations } from './citationService.js';
+import { dbUtils } from '../config/database.js';
+
+// Generation settings (model, temperature, maxTokens, topP) layered over a prompt recipe
+const withSettings = (prompt, settings = {}) => {
+  const request = { ...prompt };
+  for (const [key, value] of Object.entries(settings)) {
+    if (value !== undefined && value !== null) request[key] = value;
+  }
+  return request;
+};
+
+// Chapters of a book sampled for its summary
+const MAX_SUMMARY_CHAPTERS = 12;
+
+const NO_DOCUMENT_CONTEXT_RESPONSE = "I couldn't find relevant information in the document to answer your question. Could you try rephrasing your question or asking about a different topic from the document?";
+
+// Retrieve context and build the completion request for a question about one document.
+// Returns null when nothing relevant was found.
+const prepareDocumentRequest = async (query, documentId, userId, conversationHistory) => {
+  // Search for relevant chunks in the document
+  let relevantChunks = [];
+  try {
+    // Use fewer chunks to reduce verbatim copying and improve focus
+    relevantChunks = await retrieveRelevantChunks(query, userId, documentId, 3);
+  } catch (error) {
+    console.log('Error searching document chunks, proceeding without context');
+    relevantChunks = [];
+  }
+  
+  if (relevantChunks.length === 0) {
+    return null;
+  }
+
+  // Get document info
+  const document = await dbUtils.getDocumentById(documentId);
+  const documentName = document ? document.original_name : 'the document';
+
+  return {
+    relevantChunks,
+    documentName,
+    prompt: documentAnswerPrompt({ query, documentName, chunks: relevantChunks, conversationHistory })
+  };
+};
+
+// Turn the model's answer into the response returned to the client
+const finishDocumentResponse = (answer, { relevantChunks, documentName }) => {
+  // Drop citation markers that don't match a returned source
+  const { text: aiResponse, cited } = validateCitations(answer, relevantChunks.length);
+
+  // Calculate confidence based on relevance scores (keyword-only hits have no similarity)
+  const scoredChunks = relevantChunks.filter(chunk => chunk.similarity !== null);
+  const avgConfidence = scoredChunks.length > 0 
+    ? scoredChunks.reduce((sum, chunk) => sum + chunk.similarity, 0) / scoredChunks.length
+    : 0;
+
+  return {
+    response: aiResponse,
+    sources: relevantChunks.map((chunk, index) => ({
+      index: index + 1,
+      cited: cited.includes(index + 1),
+      text: chunk.text.substring(0, 200) + '...',
+      content: chunk.text,
+      chunkIndex: chunk.chunkIndex,
+      similarity: chunk.similarity,
+      rerankScore: chunk.rerankScore,
+      retrievers: chunk.retrievers,
+      ...sourceLocation(chunk)
+    })),
+    confidence: Math.round(avgConfidence * 100),
+    documentName
+  };
+};
+
+// Generate AI response about a single document. Provider failures are thrown (after retries
+// and fallbacks) so they never end up saved as an answer.
+export const generateDocumentResponse = async (query, documentId, userId, conversationHistory = [], { settings } = {}) => {
+  const request = await prepareDocumentRequest(query, documentId, userId, conversationHistory);
+  if (!request) {
+    return {
+      response: NO_DOCUMENT_CONTEXT_RESPONSE,
+      sources: [],
+      confidence: 0
+    };
+  }
+
+  const { text, provider, model } = await complete(withSettings(request.prompt, settings));
+  console.log(`✅ ${provider} response received from ${model}`);
+
+  return { ...finishDocumentResponse(text, request), model: `${provider}:${model}` };
+};
+
+// Same as generateDocumentResponse, but relays tokens to onToken as the model writes them.
+// Errors are thrown to the caller; an aborted stream resolves with the partial answer.
+export const streamDocumentResponse = async (query, documentId, userId, conversationHistory = [], { settings, onToken, signal } = {}) => {
+  const request = await prepareDocumentRequest(query, documentId, userId, conversationHistory);
+  if (!request) {
+    onToken?.(NO_DOCUMENT_CONTEXT_RESPONSE);
+    return {
+      response: NO_DOCUMENT_CONTEXT_RESPONSE,
+      sources: [],
+      confidence: 0,
+      aborted: false
+    };
+  }
+
+  const { text, aborted, provider, model } = await complete({ ...withSettings(request.prompt, settings), onToken, signal });
+
+  return { ...finishDocumentResponse(text, request), model: `${provider}:${model}`, aborted };
+};
+
+// Retrieve context from the user's documents and build a general completion request
+const prepareGeneralRequest = async (query, userId, conversationHistory) => {
+  // Search across the user's own documents for relevant context
+  let relevantChunks = [];
+  try {
+    relevantChunks = await retrieveRelevantChunks(query, userId, null, 3);
+  } catch (error) {
+    console.log('No documents available for context search, proceeding without context');
+    relevantChunks = [];
+  }
+
+  return {
+    relevantChunks,
+    prompt: generalAnswerPrompt({ query, chunks: relevantChunks, conversationHistory })
+  };
+};
+
+const finishGeneralResponse = (answer, { relevantChunks }) => {
+  // Drop citation markers that don't match a returned source
+  const { text: aiResponse, cited } = validateCitations(answer, relevantChunks.length);
+
+  return {
+    response: aiResponse,
+    sources: relevantChunks.map((chunk, index) => ({
+      index: index + 1,
+      cited: cited.includes(index + 1),
+      text: chunk.text.substring(0, 200) + '...',
+      content: chunk.text,
+      documentId: chunk.documentId,
+      similarity: chunk.similarity,
+      rerankScore: chunk.rerankScore,
+      retrievers: chunk.retrievers,
+      ...sourceLocation(chunk)
+    })),
+    confidence: relevantChunks.length > 0 ? 75 : 50
+  };
+};
+
+// Generate a general response (without specific document context)
+export const generateGeneralResponse = async (query, userId, conversationHistory = [], { settings } = {}) => {
+  const request = await prepareGeneralRequest(query, userId, conversationHistory);
+
+  const { text, provider, model } = await complete(withSettings(request.prompt, settings));
+  console.log(`✅ ${provider} response received from ${model}`);
+
+  return { ...finishGeneralResponse(text, request), model: `${provider}:${model}` };
+};
+
+// Streaming counterpart of generateGeneralResponse
+export const streamGeneralResponse = async (query, userId, conversationHistory = [], { settings, onToken, signal } = {}) => {
+  const request = await prepareGeneralRequest(query, userId, conversationHistory);
+
+  const { text, aborted, provider, model } = await complete({ ...withSettings(request.prompt, settings), onToken, signal });
+
+  return { ...finishGeneralResponse(text, request), model: `${provider}:${model}`, aborted };
+};
+
+// Suggest questions based on document content
+export const suggestQuestions = async (documentId) => {
+  try {
+    const document = await dbUtils.getDocumentById(documentId);
+    if (!document) {
+      throw new Error('Document not found');
+    }
+
+    // Get some chunks from the document
+    const chunks = await dbUtils.getDocumentChunks(documentId);
+    if (chunks.length === 0) {
+      return [];
+    }
+
+    // Use first few chunks to generate questions
+    const sampleContent = chunks.slice(0, 3).map(chunk => chunk.chunk_text).join('\n\n');
+
+    const { text } = await complete(suggestQuestionsPrompt({ documentName: document.original_name, sampleContent }));
+
+    // Parse questions from response
+    const questions = text
+      .split('\n')
+      .filter(line => line.trim() && (line.includes('?') || line.match(/^\d+\./)))
+      .map(line => line.replace(/^\d+\.\s*/, '').trim())
+      .filter(q => q.length > 10)
+      .slice(0, 5);
+
+    return questions;
+
+  } catch (error) {
+    console.error('Error suggesting questions:', error);
+    return [
+      "What are the main concepts covered in this document?",
+      "Can you explain the key points in simple terms?",
+      "What are some practical applications of this material?"
+    ];
+  }
+};
+
+// Summarize document content
+export const summarizeDocument = async (documentId) => {
+  try {
+    const document = await dbUtils.getDocumentById(documentId);
+    if (!document) {
+      throw new Error('Document not found');
+    }
+
+    const chunks = await dbUtils.getDocumentChunks(documentId);
+    if (chunks.length === 0) {
+      return "This document hasn't been processed yet or contains no readable content.";
+    }
+
+    // Use representative chunks for summary: the opening of each chapter for books,
+    // otherwise the first few chunks. Each is labelled with where it comes from.
+    const chapterOpenings = chunks.filter((chunk, i) =>
+      chunk.chapter_title && chunk.chapter_title !== chunks[i - 1]?.chapter_title);
+    const sample = chapterOpenings.length > 1
+      ? chapterOpenings.slice(0, MAX_SUMMARY_CHAPTERS)
+      : chunks.slice(0, Math.min(5, chunks.length));
+
+    const contentSample = sample
+      .map(chunk => {
+        const citation = formatCitation(chunkLocation(chunk));
+        return citation ? `(${citation}) ${chunk.chunk_text}` : chunk.chunk_text;
+      })
+      .join('\n\n');
+
+    const { text } = await complete(summaryPrompt({ documentName: document.original_name, contentSample }));
+
+    return text;
+
+  } catch (error) {
+    console.error('Error summarizing document:', error);
+    return "I'm sorry, I couldn't generate a summary for this document at the moment.";
+  }
+};
@@ -0,0 +1,88 @@
+import { chunkSheetRows, chunkTable, maskStructure, scanStructure, textChunk } from './structure.js';
+import { recursiveStrategy } from './recursive.js';
+import { tokenStrategy } from './token.js';
+import { semanticStrategy } from './semantic.js';
+
+// A strategy is { name, label, unit, defaultSize, minSize, maxSize, chunk(run, { size, overlap, embed }) }.
+// A run is the prose between section markers and tables: { text, start, end, structure },
+// where text has the markers blanked out. chunk resolves to the spans [{ start, end }] to cut
+// it into; unit says what size counts, "characters" or "tokens", and minSize-maxSize is the
+// range a document may ask for. embed(texts) resolves to one vector per text, or null when
+// the vectors can't be compared (they came from different embedding models).
+const strategies = [];
+
+export const registerChunkingStrategy = (strategy) => {
+  strategies.push(strategy);
+};
+
+[recursiveStrategy, tokenStrategy, semanticStrategy].forEach(registerChunkingStrategy);
+
+export const getChunkingStrategies = () => strategies.map(({ chunk, ...strategy }) => strategy);
+
+const byName = (name) => strategies.find(strategy => strategy.name === name);
+
+export const DEFAULT_CHUNK_STRATEGY = byName(process.env.CHUNK_STRATEGY) ? process.env.CHUNK_STRATEGY : 'recursive';
+// Share of a chunk repeated at the start of the next one, unless overlap is given
+const OVERLAP_RATIO = 0.2;
+// Sheets and tables are cut by characters; a token is about four
+const CHARS_PER_TOKEN = 4;
+
+// A document's chunking settings with the defaults filled in: { strategy, size, unit }, or
+// null when the strategy is unknown or the size is outside its range
+export const resolveChunking = ({ strategy, size } = {}) => {
+  const chosen = byName(strategy || DEFAULT_CHUNK_STRATEGY);
+  if (!chosen) return null;
+
+  const chunkSize = size === null || size === undefined || size === '' ? chosen.defaultSize : Number(size);
+  if (!Number.isInteger(chunkSize) || chunkSize < chosen.minSize || chunkSize > chosen.maxSize) {
+    return null;
+  }
+  return { strategy: chosen.name, size: chunkSize, unit: chosen.unit };
+};
+
+// Split text into chunks with the given strategy. Each chunk carries the pages it spans,
+// its nearest section heading and its character offsets in the extracted text. Slides, sheets
+// and chapters are hard boundaries: a chunk never spans two, and records its slide number,
+// sheet and row range, or chapter title. Tables are chunked on their own, in document order
+// with the text around them.
+export const splitTextIntoChunks = async (text, { strategy = DEFAULT_CHUNK_STRATEGY, size, overlap, embed } = {}) => {
+  const chosen = byName(strategy);
+  if (!chosen) {
+    throw new Error(`Unknown chunking strategy: ${strategy}`);
+  }
+  const chunkSize = size ?? chosen.defaultSize;
+  const chunkOverlap = Math.min(overlap ?? Math.round(chunkSize * OVERLAP_RATIO), Math.floor(chunkSize / 2));
+  const structuredSize = chosen.unit === 'tokens' ? chunkSize * CHARS_PER_TOKEN : chunkSize;
+
+  const structure = scanStructure(text);
+  const masked = maskStructure(text, structure);
+
+  // Text before the first marker (all of it, for most formats) is a section of its own
+  const sections = [{ offset: 0, end: 0, slide: null, sheet: null, chapter: null, isSheet: false }, ...structure.sections];
+  const chunks = [];
+
+  for (const [i, section] of sections.entries()) {
+    const sectionEnd = sections[i + 1]?.offset ?? text.length;
+    if (section.isSheet) {
+      chunks.push(...chunkSheetRows(text, section, sectionEnd, structuredSize));
+      continue;
+    }
+
+    // Text chunks stop at a table, so they stay in document order with it
+    const tables = structure.tables.filter(table => table.offset >= section.end && table.offset < sectionEnd);
+    const runs = [section.end, ...tables.map(table => table.end)].map((start, j) => ({
+      text: masked,
+      start,
+      end: tables[j]?.offset ?? sectionEnd,
+      structure
+    }));
+
+    for (const [j, run] of runs.entries()) {
+      if (j > 0) chunks.push(...chunkTable(tables[j - 1], structure, section, structuredSize));
+      const spans = await chosen.chunk(run, { size: chunkSize, overlap: chunkOverlap, embed });
+      chunks.push(...spans.map(span => textChunk(masked, span, structure, section)));
+    }
+  }
+
+  return chunks;
+};
@@ -0,0 +1,94 @@
+import { chunkText } from './structure.js';
+import { splitBlocks, splitLines, splitSentences, splitWords } from './segments.js';
+
+const span = (pieces) => ({ start: pieces[0].start, end: pieces[pieces.length - 1].end });
+const measure = (text, pieces) => {
+  const { start, end } = span(pieces);
+  return chunkText(text, start, end).length;
+};
+
+// Cut a block longer than size at the next finer boundary: paragraphs into sentences, code
+// blocks into lines, and sentences or lines that are still too long between words
+export const splitToSize = (text, piece, size) => {
+  if (measure(text, [piece]) <= size) return [piece];
+  const finer = piece.kind === 'paragraph' ? splitSentences(text, piece.start, piece.end)
+    : piece.kind === 'code' ? splitLines(text, piece.start, piece.end)
+      : [];
+  if (finer.length <= 1) return splitWords(text, piece.start, piece.end, size);
+  return finer.flatMap(part => splitToSize(text, part, size));
+};
+
+// Pack consecutive pieces into spans of at most size characters. A heading starts a new
+// chunk once the current one holds a quarter of size in body text, so sections are not mixed;
+// otherwise the next chunk starts with up to overlap characters of whole pieces from the end
+// of the previous one. A chunk never ends on a heading.
+export const packPieces = (text, pieces, size, overlap) => {
+  const spans = [];
+  let current = [];
+
+  const overlapTail = (previous, next) => {
+    const tail = [];
+    // Never the whole previous chunk, and never across a heading
+    for (let i = previous.length - 1; i > 0 && previous[i].kind !== 'heading'; i--) {
+      const candidate = [previous[i], ...tail];
+      if (measure(text, candidate) > overlap || measure(text, [...candidate, next]) > size) break;
+      tail.unshift(previous[i]);
+    }
+    return tail;
+  };
+
+  // Pieces still to pack, last one first
+  const pending = [...pieces].reverse();
+  while (pending.length > 0) {
+    const piece = pending.pop();
+    if (current.length === 0) {
+      current.push(piece);
+      continue;
+    }
+
+    const newSection = piece.kind === 'heading'
+      && current.some(part => part.kind !== 'heading')
+      && measure(text, current) >= size / 4;
+    if (!newSection && measure(text, [...current, piece]) <= size) {
+      current.push(piece);
+      continue;
+    }
+
+    // Rather than leave a heading on its own, cut the text under it to fit
+    if (!newSection && current.every(part => part.kind === 'heading')) {
+      const room = size - measure(text, current) - 2;
+      const parts = room > 0 ? splitToSize(text, piece, room) : [];
+      if (parts.length > 1) {
+        pending.push(...parts.reverse());
+        continue;
+      }
+    }
+
+    const headings = [];
+    while (current.length > 1 && current[current.length - 1].kind === 'heading') {
+      headings.unshift(current.pop());
+    }
+    spans.push(span(current));
+    current = headings.length > 0 || newSection ? headings : overlapTail(current, piece);
+    pending.push(piece);
+  }
+
+  if (current.length > 0) spans.push(span(current));
+  return spans;
+};
+
+export const recursiveStrategy = {
+  name: 'recursive',
+  label: 'Paragraphs and headings',
+  unit: 'characters',
+  defaultSize: 1000,
+  minSize: 200,
+  maxSize: 8000,
+  // Whole paragraphs, code blocks and headings where they fit, then sentences, then words
+  chunk: ({ text, start, end, structure }, { size, overlap }) => packPieces(
+    text,
+    splitBlocks(text, start, end, structure).flatMap(block => splitToSize(text, block, size)),
+    size,
+    overlap
+  )
+};
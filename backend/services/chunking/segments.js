@@ -0,0 +1,147 @@
+import { CODE_FENCE } from './structure.js';
+
+// Words whose period does not end a sentence ("Dr. Watson", "e.g. osmosis")
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'vs', 'e.g', 'i.e', 'cf', 'al', 'approx', 'ca', 'inc',
+  'ltd', 'co', 'dept', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+// ...and those that only don't when a number follows ("Fig. 3", "No. 5", but "I said no.")
+const NUMBER_ABBREVIATIONS = new Set(['fig', 'figs', 'eq', 'eqs', 'no', 'nos', 'vol', 'vols', 'p', 'pp', 'ch', 'sec', 'art']);
+// "- item", "* item", "• item", "1. item", "2) item", "b) item"
+const LIST_ITEM = /^[ \t]*(?:[-*+•]|\d{1,3}[.)]|[a-z][.)])[ \t]+\S/;
+// Sentence-ending punctuation with the closing quotes and brackets that belong to the sentence
+const SENTENCE_END = /[.!?…]+["'”’)\]]*(?=\s|$)/g;
+// Roughly what a BPE tokenizer counts: words (long ones in pieces of up to 8 letters), numbers
+// in groups of up to 3 digits, and each punctuation mark
+const TOKEN = /[\p{L}\p{M}]{1,8}|\p{N}{1,3}|[^\s\p{L}\p{M}\p{N}]/gu;
+
+// Span of text[start, end) without surrounding whitespace, or null if there is nothing left
+const trimSpan = (text, start, end, kind) => {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return end > start ? { start, end, kind } : null;
+};
+
+const lineSpans = (text, start, end) => {
+  const lines = [];
+  let position = start;
+  while (position < end) {
+    const newline = text.indexOf('\n', position);
+    const lineEnd = newline === -1 || newline > end ? end : newline;
+    lines.push({ start: position, end: lineEnd });
+    position = lineEnd + 1;
+  }
+  return lines;
+};
+
+// Paragraphs, headings and fenced code blocks of text[start, end) as { start, end, kind }.
+// Paragraphs end at blank lines; headings are the lines the structure scan found.
+export const splitBlocks = (text, start, end, structure) => {
+  const blocks = [];
+  let paragraph = null;
+  let code = null;
+
+  const add = (block) => block && blocks.push(block);
+  const endParagraph = () => {
+    if (paragraph) add(trimSpan(text, paragraph.start, paragraph.end, 'paragraph'));
+    paragraph = null;
+  };
+
+  for (const line of lineSpans(text, start, end)) {
+    const content = text.slice(line.start, line.end).trim();
+    if (code) {
+      code.end = line.end;
+      if (content.startsWith(code.fence)) {
+        add(trimSpan(text, code.start, code.end, 'code'));
+        code = null;
+      }
+    } else if (CODE_FENCE.test(content)) {
+      endParagraph();
+      code = { start: line.start, end: line.end, fence: content.slice(0, 3) };
+    } else if (!content) {
+      endParagraph();
+    } else if (structure.isHeading(line.start)) {
+      endParagraph();
+      add(trimSpan(text, line.start, line.end, 'heading'));
+    } else if (paragraph) {
+      paragraph.end = line.end;
+    } else {
+      paragraph = { start: line.start, end: line.end };
+    }
+  }
+
+  // An unclosed code block runs to the end
+  if (code) add(trimSpan(text, code.start, code.end, 'code'));
+  endParagraph();
+  return blocks;
+};
+
+// Whether punctuation matched in a paragraph ends its sentence
+const endsSentence = (paragraph, match) => {
+  const next = paragraph.slice(match.index + match[0].length).match(/^\s*(\S)/)?.[1];
+  // "approx. five", "e.g. the", "Yahoo! is"
+  if (next && /\p{Ll}/u.test(next)) return false;
+  if (!match[0].startsWith('.') || match[0].startsWith('..')) return true;
+
+  const word = paragraph.slice(0, match.index).match(/(\S+)$/)?.[1] ?? '';
+  const bare = word.replace(/^["'“‘([]+/, '').toLowerCase();
+  const lineStart = paragraph.lastIndexOf('\n', match.index - word.length - 1) + 1;
+  return !(
+    ABBREVIATIONS.has(bare)
+    || (NUMBER_ABBREVIATIONS.has(bare) && /\d/.test(next))
+    // Initials and dotted abbreviations: "J. Watson", "U.S. Congress"
+    || /^(\p{L}\.)*\p{L}$/u.test(bare)
+    // The number of a numbered list item: "1. Mix the reagents"
+    || (/^\d{1,3}$/.test(bare) && !paragraph.slice(lineStart, match.index - word.length).trim())
+  );
+};
+
+// Sentences of a paragraph as { start, end, kind: 'sentence' }, punctuation included.
+// Periods inside numbers ("3.14") never match; those after abbreviations, initials and list
+// numbers don't end a sentence. Every list item starts a sentence of its own.
+export const splitSentences = (text, start, end) => {
+  const paragraph = text.slice(start, end);
+  const cuts = new Set();
+
+  for (const match of paragraph.matchAll(SENTENCE_END)) {
+    if (endsSentence(paragraph, match)) cuts.add(match.index + match[0].length);
+  }
+  for (const line of lineSpans(paragraph, 0, paragraph.length).slice(1)) {
+    if (LIST_ITEM.test(paragraph.slice(line.start, line.end))) cuts.add(line.start);
+  }
+
+  const bounds = [0, ...[...cuts].sort((a, b) => a - b), paragraph.length];
+  return bounds.slice(0, -1)
+    .map((cut, i) => trimSpan(text, start + cut, start + bounds[i + 1], 'sentence'))
+    .filter(Boolean);
+};
+
+// Lines of a code block as { start, end, kind: 'line' }, indentation included
+export const splitLines = (text, start, end) => lineSpans(text, start, end)
+  .filter(line => text.slice(line.start, line.end).trim())
+  .map(line => ({ ...line, kind: 'line' }));
+
+// Cut text[start, end) between words into pieces of at most size characters; a word longer
+// than size is cut inside
+export const splitWords = (text, start, end, size) => {
+  const pieces = [];
+  let pieceStart = start;
+  while (pieceStart < end) {
+    let pieceEnd = Math.min(pieceStart + size, end);
+    if (pieceEnd < end) {
+      const lastSpace = Math.max(text.lastIndexOf(' ', pieceEnd), text.lastIndexOf('\n', pieceEnd));
+      if (lastSpace > pieceStart) pieceEnd = lastSpace;
+    }
+    const piece = trimSpan(text, pieceStart, pieceEnd, 'words');
+    if (piece) pieces.push(piece);
+    pieceStart = pieceEnd;
+    while (pieceStart < end && /\s/.test(text[pieceStart])) pieceStart++;
+  }
+  return pieces;
+};
+
+// Tokens of text[start, end) as { start, end }
+export const splitTokens = (text, start, end) => [...text.slice(start, end).matchAll(TOKEN)]
+  .map(match => ({ start: start + match.index, end: start + match.index + match[0].length }));
+
+export const countTokens = (text) => text.match(TOKEN)?.length ?? 0;
@@ -0,0 +1,70 @@
+import { dotProduct, normalizeVector } from '../vectorIndex.js';
+import { chunkText } from './structure.js';
+import { packPieces, splitToSize } from './recursive.js';
+import { splitBlocks, splitSentences } from './segments.js';
+
+// Distances between neighbouring sentences above this percentile mark a change of topic
+const BREAKPOINT_PERCENTILE = parseInt(process.env.SEMANTIC_BREAKPOINT_PERCENTILE) || 90;
+// Sentences on each side of a gap that are compared, so one short sentence does not read as
+// a change of topic
+const SENTENCE_WINDOW = 2;
+
+// Linearly interpolated percentile
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = ((sorted.length - 1) * p) / 100;
+  const below = Math.floor(rank);
+  return sorted[below] + (sorted[Math.min(below + 1, sorted.length - 1)] - sorted[below]) * (rank - below);
+};
+
+const meanDirection = (vectors) => {
+  const sum = new Float32Array(vectors[0].length);
+  for (const vector of vectors) vector.forEach((value, i) => { sum[i] += value; });
+  return normalizeVector(sum);
+};
+
+export const semanticStrategy = {
+  name: 'semantic',
+  label: 'Topic shifts (embeddings)',
+  unit: 'characters',
+  defaultSize: 1000,
+  minSize: 200,
+  maxSize: 8000,
+  // Sentences are embedded and a chunk ends at the gaps where the sentences before and
+  // after are furthest apart (the largest distances in the run), or at a heading. Groups
+  // longer than size are packed like the recursive strategy. Chunks don't overlap: they end
+  // at a change of topic.
+  chunk: async ({ text, start, end, structure }, { size, embed }) => {
+    const sentences = splitBlocks(text, start, end, structure).flatMap(block => (block.kind === 'paragraph'
+      ? splitSentences(text, block.start, block.end).flatMap(sentence => splitToSize(text, sentence, size))
+      : splitToSize(text, block, size)));
+    const embedded = sentences.length >= 3 && embed
+      ? await embed(sentences.map(sentence => chunkText(text, sentence.start, sentence.end)))
+      : null;
+    if (!embedded) {
+      return packPieces(text, sentences, size, 0);
+    }
+
+    const vectors = embedded.map(vector => normalizeVector(Float32Array.from(vector)));
+    // Distance across the gap after each sentence, between the sentences on either side
+    const distances = sentences.slice(1).map((_, i) => 1 - dotProduct(
+      meanDirection(vectors.slice(Math.max(0, i + 1 - SENTENCE_WINDOW), i + 1)),
+      meanDirection(vectors.slice(i + 1, i + 1 + SENTENCE_WINDOW))
+    ));
+    const threshold = percentile(distances, BREAKPOINT_PERCENTILE);
+
+    const groups = [[sentences[0]]];
+    sentences.slice(1).forEach((sentence, i) => {
+      const group = groups[groups.length - 1];
+      const shift = distances[i] > threshold || sentence.kind === 'heading';
+      // Consecutive headings stay with the text under them
+      if (shift && group.some(part => part.kind !== 'heading')) {
+        groups.push([sentence]);
+      } else {
+        group.push(sentence);
+      }
+    });
+
+    return groups.flatMap(group => packPieces(text, group, size, 0));
+  }
+};
@@ -0,0 +1,237 @@
+import { TABLE_END, TABLE_START } from '../extractors/tables.js';
+
+// "# Title" lines, and numbered section titles such as "3.2 Methods" on their own line
+export const MARKDOWN_HEADING = /^#{1,6}\s+(.+)$/;
+export const NUMBERED_HEADING = /^\d+(?:\.\d+)*\.?\s+[A-Z][^.!?]{0,80}$/;
+// "--- Slide 7 ---", "--- Sheet Grades ---" and "--- Chapter Cell Biology ---" start a
+// section no chunk may cross
+const SECTION_MARKER = /^--- (Slide|Sheet|Chapter)(?: (.+?))? ---$/;
+// Opening or closing line of a fenced code block
+export const CODE_FENCE = /^(```|~~~)/;
+// Rows of a sheet section, as written by the spreadsheet extractors
+const SHEET_HEADER = /^Columns: /;
+const SHEET_ROW = /^Row (\d+): /;
+
+// Find page markers, section markers, table blocks and headings so every character offset
+// can be mapped to its page and the nearest preceding heading
+export const scanStructure = (text) => {
+  const pages = [];    // [{ offset, page }]
+  const headings = []; // [{ offset, end, title }]
+  const sections = []; // [{ offset, end, slide, sheet, chapter, isSheet }]
+  const tables = [];   // [{ offset, end, caption, lines: [{ line, start, end }] }]
+  let table = null;    // Table block being read
+  let fence = null;    // Fence of the code block being read; "# comments" in code are not headings
+
+  const linePattern = /^.*$/gm;
+  let match;
+  while ((match = linePattern.exec(text)) !== null) {
+    const line = match[0].trim();
+    const offset = match.index;
+    const end = offset + match[0].length;
+    if (match[0].length === 0) linePattern.lastIndex++;
+
+    // Inside a table block every line is part of the table
+    if (table) {
+      if (line === TABLE_END) {
+        table.end = end;
+        tables.push(table);
+        table = null;
+      } else if (line.startsWith('|')) {
+        table.lines.push({ line, start: offset, end });
+      } else if (line && table.lines.length === 0) {
+        table.caption = line;
+      }
+      continue;
+    }
+    if (line === TABLE_START) {
+      table = { offset, end, caption: null, lines: [] };
+      continue;
+    }
+
+    const page = line.match(/^--- Page (\d+) ---$/);
+    const section = line.match(SECTION_MARKER);
+    if (page) {
+      pages.push({ offset, end, page: Number(page[1]) });
+    } else if (section) {
+      const [, kind, label = null] = section;
+      sections.push({
+        offset,
+        end,
+        slide: kind === 'Slide' ? Number(label) || null : null,
+        sheet: kind === 'Sheet' ? label : null,
+        chapter: kind === 'Chapter' ? label : null,
+        isSheet: kind === 'Sheet'
+      });
+      fence = null;
+    } else if (CODE_FENCE.test(line)) {
+      if (!fence) fence = line.slice(0, 3);
+      else if (line.startsWith(fence)) fence = null;
+    } else if (fence) {
+      continue;
+    } else if (MARKDOWN_HEADING.test(line)) {
+      headings.push({ offset, end, title: line.match(MARKDOWN_HEADING)[1].trim() });
+    } else if (NUMBERED_HEADING.test(line)) {
+      headings.push({ offset, end, title: line });
+    }
+  }
+
+  const lastBefore = (items, offset) => {
+    let found = null;
+    for (const item of items) {
+      if (item.offset > offset) break;
+      found = item;
+    }
+    return found;
+  };
+
+  const headingLines = new Set(headings.map(heading => heading.offset));
+
+  return {
+    pages,
+    headings,
+    sections,
+    tables,
+    pageAt: (offset) => lastBefore(pages, offset)?.page ?? null,
+    // Headings do not carry over into a later slide, sheet or chapter
+    headingAt: (offset, sectionStart = 0) => {
+      const heading = lastBefore(headings, offset);
+      return heading && heading.offset >= sectionStart ? heading.title : null;
+    },
+    // Whether the line starting at offset is a heading
+    isHeading: (lineOffset) => headingLines.has(lineOffset)
+  };
+};
+
+// Blank out page and section markers and table blocks (chunked on their own), keeping every
+// offset and line break intact
+export const maskStructure = (text, structure) => {
+  const chars = text.split('');
+  for (const { offset, end } of [...structure.pages, ...structure.sections, ...structure.tables]) {
+    for (let i = offset; i < end; i++) {
+      if (chars[i] !== '\n') chars[i] = ' ';
+    }
+  }
+  return chars.join('');
+};
+
+// Chunk text for a span of the masked text: blanked marker lines are dropped, blank lines
+// collapsed and runs of spaces inside lines (column gaps in PDF text) squeezed
+export const chunkText = (masked, start, end) => masked
+  .slice(start, end)
+  .split('\n')
+  .map(line => line.replace(/(\S)[ \t]{2,}(?=\S)/g, '$1 ').trimEnd())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// A text chunk covering a span of a section, with the pages and heading it comes from
+export const textChunk = (masked, { start, end }, structure, section) => ({
+  text: chunkText(masked, start, end),
+  pageStart: structure.pageAt(start),
+  pageEnd: structure.pageAt(end - 1),
+  heading: structure.headingAt(start, section.offset),
+  slide: section.slide,
+  chapter: section.chapter,
+  sheet: null,
+  rowStart: null,
+  rowEnd: null,
+  chunkType: 'text',
+  tableCaption: null,
+  startOffset: start,
+  endOffset: end
+});
+
+// Cut a sheet section between rows. Every chunk starts with the sheet's "Columns:" header
+// line so its rows can be read on their own, and records the rows it covers.
+export const chunkSheetRows = (text, section, sectionEnd, maxChunkSize) => {
+  const lines = [...text.slice(section.end, sectionEnd).matchAll(/^.*\S.*$/gm)].map(match => ({
+    line: match[0].trim(),
+    start: section.end + match.index,
+    end: section.end + match.index + match[0].length
+  }));
+  const header = lines.find(({ line }) => SHEET_HEADER.test(line));
+  const rows = lines
+    .filter(({ line }) => SHEET_ROW.test(line))
+    .map(row => ({ ...row, number: Number(row.line.match(SHEET_ROW)[1]) }));
+
+  const chunks = [];
+  const toChunk = (chunkRows) => ({
+    text: [header?.line, ...chunkRows.map(row => row.line)].filter(Boolean).join('\n'),
+    pageStart: null,
+    pageEnd: null,
+    heading: null,
+    slide: null,
+    chapter: null,
+    sheet: section.sheet,
+    rowStart: chunkRows[0]?.number ?? null,
+    rowEnd: chunkRows[chunkRows.length - 1]?.number ?? null,
+    chunkType: 'text',
+    tableCaption: null,
+    startOffset: (chunkRows[0] || header)?.start ?? section.end,
+    endOffset: (chunkRows[chunkRows.length - 1] || header)?.end ?? sectionEnd
+  });
+
+  const headerSize = header ? header.line.length : 0;
+  let current = [];
+  let size = headerSize;
+
+  for (const row of rows) {
+    // A row longer than a whole chunk still gets a chunk of its own
+    if (current.length > 0 && size + 1 + row.line.length > maxChunkSize) {
+      chunks.push(toChunk(current));
+      current = [];
+      size = headerSize;
+    }
+    current.push(row);
+    size += 1 + row.line.length;
+  }
+
+  if (current.length > 0 || (header && chunks.length === 0)) {
+    chunks.push(toChunk(current));
+  }
+
+  return chunks;
+};
+
+// A table block becomes chunks of its own: its caption, header row and rows, cut between
+// rows when it is too long, with the caption and header repeated in every chunk. Chunks
+// of a table that was cut record the rows they cover (counted from the first row under the header).
+export const chunkTable = (table, structure, section, maxChunkSize) => {
+  const [header, separator, ...rows] = table.lines;
+  const preamble = [table.caption, header?.line, separator?.line].filter(Boolean);
+  const numbered = rows.map((row, i) => ({ ...row, number: i + 1 }));
+
+  const pieces = [];
+  let current = [];
+  let size = preamble.join('\n').length;
+  for (const row of numbered) {
+    if (current.length > 0 && size + 1 + row.line.length > maxChunkSize) {
+      pieces.push(current);
+      current = [];
+      size = preamble.join('\n').length;
+    }
+    current.push(row);
+    size += 1 + row.line.length;
+  }
+  pieces.push(current);
+
+  return pieces.map((pieceRows, i) => {
+    const startOffset = (i === 0 ? header : pieceRows[0])?.start ?? table.offset;
+    const endOffset = (pieceRows[pieceRows.length - 1] || header)?.end ?? table.end;
+    return {
+      text: [...preamble, ...pieceRows.map(row => row.line)].join('\n'),
+      pageStart: structure.pageAt(startOffset),
+      pageEnd: structure.pageAt(endOffset - 1),
+      heading: structure.headingAt(table.offset, section.offset),
+      slide: section.slide,
+      chapter: section.chapter,
+      sheet: null,
+      rowStart: pieces.length > 1 ? pieceRows[0]?.number ?? null : null,
+      rowEnd: pieces.length > 1 ? pieceRows[pieceRows.length - 1]?.number ?? null : null,
+      chunkType: 'table',
+      tableCaption: table.caption,
+      startOffset,
+      endOffset
+    };
+  });
+};
@@ -0,0 +1,24 @@
+import { splitTokens } from './segments.js';
+
+export const tokenStrategy = {
+  name: 'token',
+  label: 'Token windows',
+  unit: 'tokens',
+  defaultSize: 256,
+  minSize: 32,
+  maxSize: 2048,
+  // Windows of size tokens, each starting overlap tokens before the previous one ended
+  chunk: ({ text, start, end }, { size, overlap }) => {
+    const tokens = splitTokens(text, start, end);
+    const step = Math.max(1, size - overlap);
+    const windows = [];
+
+    for (let first = 0; first < tokens.length; first += step) {
+      const last = Math.min(first + size, tokens.length) - 1;
+      windows.push({ start: tokens[first].start, end: tokens[last].end });
+      if (last === tokens.length - 1) break;
+    }
+
+    return windows;
+  }
+};
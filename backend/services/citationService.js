@@ -0,0 +1,117 @@
+// Headings like "3.2 Methods" or "3.2. Methods" cite as §3.2
+const NUMBERED_HEADING = /^(\d+(?:\.\d+)*)\.?\s+\S/;
+// Unnumbered headings and chapter titles are quoted in citations, shortened to this length
+const MAX_HEADING_CHARS = 60;
+
+// OCR'd chunks whose mean word confidence (0-100) is below this are flagged as unreliable
+const lowConfidenceThreshold = () => Number(process.env.OCR_LOW_CONFIDENCE) || 70;
+
+const quoted = (title) => `"${title.length > MAX_HEADING_CHARS
+  ? `${title.substring(0, MAX_HEADING_CHARS - 1).trimEnd()}…`
+  : title}"`;
+
+// Location fields (and OCR confidence) of a document_chunks row in the shape used by search
+// results and sources
+export const chunkLocation = (row) => ({
+  pageStart: row.page_start ?? null,
+  pageEnd: row.page_end ?? null,
+  heading: row.section_heading ?? null,
+  slide: row.slide_number ?? null,
+  sheet: row.sheet_name ?? null,
+  rowStart: row.row_start ?? null,
+  rowEnd: row.row_end ?? null,
+  chapter: row.chapter_title ?? null,
+  chunkType: row.chunk_type ?? 'text',
+  tableCaption: row.table_caption ?? null,
+  startOffset: row.start_offset ?? null,
+  endOffset: row.end_offset ?? null,
+  ocrConfidence: row.ocr_confidence ?? null
+});
+
+export const isLowConfidence = (chunk) =>
+  chunk.ocrConfidence !== null && chunk.ocrConfidence !== undefined && chunk.ocrConfidence < lowConfidenceThreshold();
+
+// Human-readable citation for a chunk, e.g. "p. 12, §3.2", "pp. 4–5, \"Introduction\"",
+// "slide 7, \"Osmosis\"", "Sheet2 rows 10–40", "chapter \"Genetics\", \"Alleles\"" or
+// "p. 3, table \"Table 1: Revenue by quarter\""
+export const formatCitation = ({ pageStart, pageEnd, heading, slide, sheet, rowStart, rowEnd, chapter, chunkType, tableCaption } = {}) => {
+  const parts = [];
+
+  if (chapter) {
+    parts.push(`chapter ${quoted(chapter)}`);
+  }
+
+  if (pageStart) {
+    parts.push(pageEnd && pageEnd !== pageStart ? `pp. ${pageStart}–${pageEnd}` : `p. ${pageStart}`);
+  }
+
+  if (slide) {
+    parts.push(`slide ${slide}`);
+  }
+
+  const table = chunkType === 'table' ? (tableCaption ? `table ${quoted(tableCaption)}` : 'table') : null;
+  if (rowStart) {
+    const rows = rowEnd && rowEnd !== rowStart ? `rows ${rowStart}–${rowEnd}` : `row ${rowStart}`;
+    parts.push(sheet || table ? `${sheet || table} ${rows}` : rows);
+  } else if (sheet || table) {
+    parts.push(sheet || table);
+  }
+
+  // A chapter's opening heading usually repeats its title
+  if (heading && heading !== chapter) {
+    const numbered = heading.match(NUMBERED_HEADING);
+    parts.push(numbered ? `§${numbered[1]}` : quoted(heading));
+  }
+
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
+// Citation plus the raw location fields, for the "sources" of a chat response
+export const sourceLocation = (chunk) => ({
+  citation: formatCitation(chunk),
+  pageStart: chunk.pageStart ?? null,
+  pageEnd: chunk.pageEnd ?? null,
+  heading: chunk.heading ?? null,
+  slide: chunk.slide ?? null,
+  sheet: chunk.sheet ?? null,
+  rowStart: chunk.rowStart ?? null,
+  rowEnd: chunk.rowEnd ?? null,
+  chapter: chunk.chapter ?? null,
+  chunkType: chunk.chunkType ?? 'text',
+  tableCaption: chunk.tableCaption ?? null,
+  startOffset: chunk.startOffset ?? null,
+  endOffset: chunk.endOffset ?? null,
+  ocrConfidence: chunk.ocrConfidence ?? null,
+  lowConfidence: isLowConfidence(chunk)
+});
+
+// "[Context 2] (p. 12, §3.2)" label used when a chunk is placed in a prompt, marked when its
+// OCR confidence is low so the model can hedge
+export const contextLabel = (chunk, index) => {
+  const citation = formatCitation(chunk);
+  const warning = isLowConfidence(chunk) ? ' [low-confidence OCR]' : '';
+  return `[Context ${index + 1}]${citation ? ` (${citation})` : ''}${warning}`;
+};
+
+// Inline markers the model is asked to write: "[1]", "[2][3]", "[1, 3]" or "[Context 2]".
+// A following "(" means a Markdown link, which is left alone.
+const INLINE_CITATION = /(\s*)\[(?:Context\s+)?(\d+(?:\s*,\s*\d+)*)\](?!\()/gi;
+
+// Keep only citation markers that point at a source we actually returned, normalized to
+// "[n]" form. Returns the cleaned text and the source numbers that are cited.
+export const validateCitations = (text, sourceCount) => {
+  const cited = new Set();
+
+  const cleaned = text.replace(INLINE_CITATION, (_, leading, group) => {
+    const valid = group
+      .split(',')
+      .map(n => Number(n.trim()))
+      .filter(n => Number.isInteger(n) && n >= 1 && n <= sourceCount);
+
+    if (valid.length === 0) return '';
+    valid.forEach(n => cited.add(n));
+    return leading + valid.map(n => `[${n}]`).join('');
+  });
+
+  return { text: cleaned, cited: [...cited].sort((a, b) => a - b) };
+};
@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { dbUtils } from '../config/database.js';
+import { reindexChunkEmbeddings } from './vectorService.js';
+import { decodeEmbedding } from './vectorIndex.js';
+import { reportStage } from './progressService.js';
+
+// SHA-256 of a file's bytes, streamed so large uploads aren't read into memory
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Another document (usually another user's) whose stored file can be shared for this content
+export const findStoredCopy = async (contentHash) => {
+  const copy = await dbUtils.getDocumentByHash(contentHash);
+  if (!copy) return null;
+
+  try {
+    await fs.promises.access(copy.file_path);
+    return copy;
+  } catch (error) {
+    // The shared file is gone; keep the fresh upload instead
+    return null;
+  }
+};
+
+// Give a new document the chunks and embeddings of an already processed copy, then index them
+export const reuseProcessedCopy = async (documentId, source) => {
+  const chunks = await dbUtils.copyDocumentChunks(source.id, documentId);
+  const entries = chunks
+    .filter(chunk => chunk.embedding)
+    .map(chunk => ({ chunkId: chunk.id, vector: decodeEmbedding(chunk.embedding), model: chunk.embedding_model }));
+
+  await reindexChunkEmbeddings(documentId, entries);
+  await dbUtils.updateDocumentOcrReport(documentId, source.ocr_report && JSON.parse(source.ocr_report));
+  await dbUtils.updateDocumentStatus(documentId, 'ready');
+  await reportStage(documentId, 'done');
+  console.log(`♻️ Document ${documentId} reused ${chunks.length} chunks from document ${source.id}`);
+};
@@ -0,0 +1,54 @@
+import { dbUtils } from '../config/database.js';
+import { processDocument } from './documentProcessor.js';
+import { registerJobHandler, enqueueJob, getActiveDocumentJob } from './jobQueue.js';
+import { reportStage } from './progressService.js';
+
+export const PROCESS_DOCUMENT = 'process_document';
+
+registerJobHandler(PROCESS_DOCUMENT, {
+  run: async ({ documentId }) => {
+    const document = await dbUtils.getDocumentById(documentId);
+    // Deleted while queued: nothing left to do
+    if (!document) return;
+
+    await dbUtils.updateProcessingStatus(documentId, 'processing');
+    await processDocument(documentId, document.file_path, document.mime_type);
+  },
+  // Another attempt is coming, so the document is pending again (or stays ready on its
+  // previous version; see updateProcessingStatus)
+  onRetry: async ({ documentId }, error) => {
+    await dbUtils.updateProcessingStatus(documentId, 'pending', error.message);
+    await reportStage(documentId, 'queued');
+  },
+  // A reprocess that gave up leaves the previous version serving
+  onFailed: async ({ documentId }, error) => {
+    await dbUtils.updateProcessingStatus(documentId, 'failed', error.message);
+    await reportStage(documentId, 'failed');
+  }
+});
+
+// Queue a document for processing; a document already queued or running keeps its job
+export const enqueueDocumentProcessing = async (documentId) => {
+  const existing = await getActiveDocumentJob(documentId);
+  if (existing) return existing;
+
+  await dbUtils.updateProcessingStatus(documentId, 'pending');
+  await reportStage(documentId, 'queued');
+  return enqueueJob(PROCESS_DOCUMENT, { documentId }, { documentId });
+};
+
+// Documents left pending/processing without a job (e.g. uploaded before the queue existed)
+export const recoverDocumentProcessing = async () => {
+  const orphans = await dbUtils.db.allAsync(
+    `SELECT d.id FROM documents d
+     WHERE d.processing_status IN ('pending', 'processing')
+       AND NOT EXISTS (
+         SELECT 1 FROM jobs j WHERE j.document_id = d.id AND j.status IN ('queued', 'running')
+       )`
+  );
+
+  for (const { id } of orphans) {
+    await enqueueDocumentProcessing(id);
+  }
+  return orphans.length;
+};
@@ -0,0 +1,181 @@
+import { dbUtils } from '../config/database.js';
+import { getEmbeddingTargets, getProvider, modelId } from './llm/index.js';
+import { createEmbeddingsBatch, reindexChunkEmbeddings } from './vectorService.js';
+import { decodeEmbedding, encodeEmbedding } from './vectorIndex.js';
+import { registerJobHandler, enqueueJob, getJob } from './jobQueue.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const REEMBED_CHUNKS = 'reembed_chunks';
+
+// Chunks embedded per step; progress is saved after each, so a stopped run loses at most one page
+const PAGE_SIZE = parseInt(process.env.REEMBED_PAGE_SIZE) || 256;
+
+// Active chunks in the migration's scope (everything, a user's or a document's) whose vectors
+// come from another model, with the staged vector (s) where one exists
+const IN_SCOPE = `
+  FROM embedding_migrations m
+  JOIN document_chunks dc ON dc.embedding IS NOT NULL AND dc.embedding_model IS NOT m.model
+  JOIN documents d ON d.id = dc.document_id AND dc.version = d.chunk_version
+    AND (m.user_id IS NULL OR d.user_id = m.user_id)
+    AND (m.document_id IS NULL OR d.id = m.document_id)
+  LEFT JOIN embedding_migration_chunks s ON s.migration_id = m.id AND s.chunk_id = dc.id
+  WHERE m.id = ?`;
+
+const formatMigration = (row) => row && ({
+  id: row.id,
+  model: row.model,
+  userId: row.user_id,
+  documentId: row.document_id,
+  status: row.status,
+  total: row.total,
+  done: row.done,
+  percent: row.total > 0 ? Math.floor((row.done / row.total) * 100) : (row.status === 'completed' ? 100 : 0),
+  lastError: row.last_error,
+  requestedBy: row.requested_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  finishedAt: row.finished_at
+});
+
+export const getEmbeddingMigration = async (id) => {
+  return formatMigration(await dbUtils.db.getAsync('SELECT * FROM embedding_migrations WHERE id = ?', [id]));
+};
+
+export const listEmbeddingMigrations = async () => {
+  const rows = await dbUtils.db.allAsync('SELECT * FROM embedding_migrations ORDER BY id DESC');
+  return rows.map(formatMigration);
+};
+
+// The queued or running job working on a migration, if any
+export const getActiveMigrationJob = async (migrationId) => {
+  const row = await dbUtils.db.getAsync(
+    `SELECT id FROM jobs
+     WHERE type = ? AND status IN ('queued', 'running') AND json_extract(payload, '$.migrationId') = ?
+     ORDER BY id DESC LIMIT 1`,
+    [REEMBED_CHUNKS, Number(migrationId)]
+  );
+  return row ? getJob(row.id) : null;
+};
+
+export const setMigrationStatus = async (migrationId, status, error = null) => {
+  await dbUtils.db.runAsync(
+    `UPDATE embedding_migrations SET status = ?, last_error = COALESCE(?, last_error), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [status, error, migrationId]
+  );
+};
+
+// "provider:model", or just "provider" for its configured embedding model
+const resolveModel = (id) => {
+  const separator = id.indexOf(':');
+  try {
+    const provider = getProvider(separator === -1 ? id : id.slice(0, separator));
+    return separator === -1 ? modelId({ provider, model: provider.embeddingModel() }) : id;
+  } catch (error) {
+    throw new AppError(error.message, 400, 'INVALID_MODEL');
+  }
+};
+
+// Record a migration of the chunks in scope to model (default: the current first embedder).
+// Only one migration may be queued or running at a time.
+export const createEmbeddingMigration = async ({ model = null, userId = null, documentId = null, requestedBy = null } = {}) => {
+  const target = resolveModel(model || modelId(getEmbeddingTargets()[0]));
+
+  if (userId && !(await dbUtils.getUserById(userId))) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+  if (documentId && !(await dbUtils.getDocumentById(documentId))) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  const active = await dbUtils.db.getAsync(
+    "SELECT id FROM embedding_migrations WHERE status IN ('queued', 'running') LIMIT 1"
+  );
+  if (active) {
+    throw new AppError(`Embedding migration ${active.id} has not finished yet`, 409, 'MIGRATION_IN_PROGRESS');
+  }
+
+  const result = await dbUtils.db.runAsync(
+    'INSERT INTO embedding_migrations (model, user_id, document_id, requested_by) VALUES (?, ?, ?, ?)',
+    [target, userId, documentId, requestedBy]
+  );
+  console.log(`🔁 Embedding migration ${result.lastID} to ${target} created`);
+  return getEmbeddingMigration(result.lastID);
+};
+
+// Queue a migration to run in the background; one already queued or running keeps its job
+export const enqueueEmbeddingMigration = async (migrationId) => {
+  const existing = await getActiveMigrationJob(migrationId);
+  if (existing) return existing;
+
+  await setMigrationStatus(migrationId, 'queued');
+  return enqueueJob(REEMBED_CHUNKS, { migrationId: Number(migrationId) });
+};
+
+// Embed every chunk in scope that has no staged vector yet, a page at a time, then swap all
+// staged vectors in at once. Stopping at any point (failure, restart) keeps what was staged, and
+// the next run carries on from there; the old vectors serve search until the swap.
+export const runEmbeddingMigration = async (migrationId, { onProgress } = {}) => {
+  const migration = await getEmbeddingMigration(migrationId);
+  // Deleted with its user or document while queued: nothing left to do
+  if (!migration || migration.status === 'completed') return migration;
+
+  await setMigrationStatus(migrationId, 'running');
+
+  for (;;) {
+    const { total, done } = await dbUtils.db.getAsync(
+      `SELECT COUNT(*) AS total, COUNT(s.chunk_id) AS done ${IN_SCOPE}`,
+      [migrationId]
+    );
+    await dbUtils.db.runAsync(
+      'UPDATE embedding_migrations SET total = ?, done = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [total, done, migrationId]
+    );
+    if (onProgress) await onProgress({ total, done });
+
+    const page = await dbUtils.db.allAsync(
+      `SELECT dc.id, dc.chunk_text ${IN_SCOPE} AND s.chunk_id IS NULL ORDER BY dc.id LIMIT ?`,
+      [migrationId, PAGE_SIZE]
+    );
+    if (page.length === 0) break;
+
+    const embeddings = await createEmbeddingsBatch(page.map(chunk => chunk.chunk_text), { model: migration.model });
+    for (const [i, embedding] of embeddings.entries()) {
+      if (!embedding) continue;
+      await dbUtils.db.runAsync(
+        'INSERT OR REPLACE INTO embedding_migration_chunks (migration_id, chunk_id, embedding) VALUES (?, ?, ?)',
+        [migrationId, page[i].id, encodeEmbedding(embedding.vector)]
+      );
+    }
+
+    const failed = embeddings.filter(embedding => !embedding).length;
+    if (failed > 0) {
+      throw new Error(`${failed} of ${page.length} chunks could not be embedded with ${migration.model}`);
+    }
+  }
+
+  // Swap, then rebuild the vector index of each document over its new vectors
+  const documentIds = await dbUtils.applyEmbeddingMigration(migrationId);
+  for (const documentId of documentIds) {
+    const chunks = await dbUtils.getDocumentChunks(documentId);
+    await reindexChunkEmbeddings(documentId, chunks
+      .filter(chunk => chunk.embedding)
+      .map(chunk => ({ chunkId: chunk.id, vector: decodeEmbedding(chunk.embedding), model: chunk.embedding_model })));
+  }
+  console.log(`✅ Embedding migration ${migrationId} moved chunks of ${documentIds.length} documents to ${migration.model}`);
+
+  return getEmbeddingMigration(migrationId);
+};
+
+registerJobHandler(REEMBED_CHUNKS, {
+  run: async ({ migrationId }) => {
+    await runEmbeddingMigration(migrationId);
+  },
+  // Staged vectors are kept, so the next attempt picks up where this one stopped
+  onRetry: async ({ migrationId }, error) => {
+    await setMigrationStatus(migrationId, 'queued', error.message);
+  },
+  onFailed: async ({ migrationId }, error) => {
+    await setMigrationStatus(migrationId, 'failed', error.message);
+  }
+});
@@ -0,0 +1,92 @@
+import path from 'path';
+import { readTextFile } from './text.js';
+
+const DELIMITERS = [',', ';', '\t'];
+
+const cleanCell = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+// One "--- Sheet name ---" section per sheet. The first non-empty row is the header
+// ("Columns: a | b"); every later row becomes "Row N: x | y" with its row number in the
+// sheet, which the chunker uses for row ranges. Rows are { number, cells }.
+export const formatSheet = (name, rows) => {
+  const filled = rows
+    .map(({ number, cells }) => {
+      const values = cells.map(cleanCell);
+      while (values.length > 0 && !values[values.length - 1]) values.pop();
+      return { number, values };
+    })
+    .filter(row => row.values.length > 0);
+
+  if (filled.length === 0) return '';
+
+  const [header, ...body] = filled;
+  return [
+    `--- Sheet${name ? ` ${name}` : ''} ---`,
+    `Columns: ${header.values.join(' | ')}`,
+    ...body.map(row => `Row ${row.number}: ${row.values.join(' | ')}`)
+  ].join('\n');
+};
+
+// RFC 4180 records: quoted fields may hold delimiters, newlines and doubled quotes
+export const parseDelimited = (text, delimiter) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+};
+
+// The delimiter that splits the first line into the most fields
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+  const counts = DELIMITERS.map(d => firstLine.split(d).length);
+  return DELIMITERS[counts.indexOf(Math.max(...counts))];
+};
+
+const extractDelimitedText = async (filePath) => {
+  const text = await readTextFile(filePath);
+  const delimiter = path.extname(filePath).toLowerCase() === '.tsv' ? '\t' : detectDelimiter(text);
+  const rows = parseDelimited(text, delimiter).map((cells, i) => ({ number: i + 1, cells }));
+  return formatSheet(null, rows);
+};
+
+export const csvExtractor = {
+  name: 'csv',
+  label: 'CSV',
+  mimeTypes: ['text/csv', 'text/tab-separated-values'],
+  extensions: ['.csv', '.tsv'],
+  extract: (filePath) => extractDelimitedText(filePath)
+};
@@ -0,0 +1,182 @@
+import path from 'path';
+import { decodeEntities, htmlToStructuredText, stripPageChrome } from './html.js';
+import { attribute, loadPackage, readPart } from './ooxml.js';
+
+const EPUB_MIME = 'application/epub+zip';
+const CONTAINER = 'META-INF/container.xml';
+
+const plainText = (html) => decodeEntities(html.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+
+// Package path and #fragment an href points at, relative to the part it appears in
+const resolveHref = (fromPart, href) => {
+  const [file, fragment] = href.split('#');
+  return {
+    path: file ? path.posix.join(path.posix.dirname(fromPart), decodeURIComponent(file)) : fromPart,
+    fragment: fragment ? decodeURIComponent(fragment) : null
+  };
+};
+
+// Spine (reading order) and the table of contents documents, from the OPF package file
+const readPackageDocument = async (zip) => {
+  const container = await readPart(zip, CONTAINER) || '';
+  const opfPath = attribute(container.match(/<rootfile\b([^>]*?)\/?>/)?.[1] || '', 'full-path');
+  const opf = opfPath ? await readPart(zip, opfPath) : null;
+  if (!opf) {
+    throw new Error('The EPUB has no package document');
+  }
+
+  const manifest = new Map();
+  for (const [, attributes] of opf.matchAll(/<item\b([^>]*?)\/?>/g)) {
+    const href = attribute(attributes, 'href');
+    if (!href) continue;
+    manifest.set(attribute(attributes, 'id'), {
+      path: resolveHref(opfPath, href).path,
+      mediaType: attribute(attributes, 'media-type') || '',
+      properties: (attribute(attributes, 'properties') || '').split(/\s+/)
+    });
+  }
+
+  // Non-linear items (pop-up notes, answer keys) are not part of the reading order
+  const spine = [...opf.matchAll(/<itemref\b([^>]*?)\/?>/g)]
+    .filter(([, attributes]) => attribute(attributes, 'linear') !== 'no')
+    .map(([, attributes]) => manifest.get(attribute(attributes, 'idref')))
+    .filter(item => item && zip.file(item.path));
+
+  const items = [...manifest.values()];
+  const spineToc = attribute(opf.match(/<spine\b([^>]*)>/)?.[1] || '', 'toc');
+
+  return {
+    spine,
+    nav: items.find(item => item.properties.includes('nav')),
+    ncx: manifest.get(spineToc) || items.find(item => item.mediaType === 'application/x-dtbncx+xml')
+  };
+};
+
+// EPUB 3 navigation document: entries of the toc <nav>, with their <ol> nesting depth
+const readNav = (xml, navPath) => {
+  const toc = xml.match(/<nav\b[^>]*epub:type="[^"]*\btoc\b[^"]*"[^>]*>([\s\S]*?)<\/nav>/)?.[1]
+    ?? xml.match(/<nav\b[^>]*>([\s\S]*?)<\/nav>/)?.[1]
+    ?? '';
+  const entries = [];
+  let depth = 0;
+
+  for (const [, closing, attributes, inner] of toc.matchAll(/<(\/?)ol\b[^>]*>|<a\b([^>]*)>([\s\S]*?)<\/a>/g)) {
+    if (attributes === undefined) {
+      depth += closing ? -1 : 1;
+      continue;
+    }
+    const href = attribute(attributes, 'href');
+    if (href) entries.push({ title: plainText(inner), depth, ...resolveHref(navPath, href) });
+  }
+
+  return entries;
+};
+
+// EPUB 2 NCX: navPoints, with their nesting depth
+const readNcx = (xml, ncxPath) => {
+  const entries = [];
+  let depth = 0;
+
+  const pattern = /<navPoint\b[^>]*>|<\/navPoint>|<navLabel>\s*<text>([\s\S]*?)<\/text>[\s\S]*?<content\b([^>]*?)\/?>/g;
+  for (const [tag, label, attributes] of xml.matchAll(pattern)) {
+    if (tag.startsWith('<navPoint')) {
+      depth += 1;
+    } else if (tag === '</navPoint>') {
+      depth -= 1;
+    } else {
+      const src = attribute(attributes, 'src');
+      if (src) entries.push({ title: plainText(label), depth, ...resolveHref(ncxPath, src) });
+    }
+  }
+
+  return entries;
+};
+
+const readTableOfContents = async (zip, { nav, ncx }) => {
+  const navXml = nav ? await readPart(zip, nav.path) : null;
+  if (navXml) {
+    const entries = readNav(navXml, nav.path);
+    if (entries.length > 0) return entries;
+  }
+  const ncxXml = ncx ? await readPart(zip, ncx.path) : null;
+  return ncxXml ? readNcx(ncxXml, ncx.path) : [];
+};
+
+// Where chapters start. A TOC entry for the start of a spine file begins a chapter there
+// (the most deeply nested one wins, so "Chapter 3" beats the "Part I" that shares its file);
+// a top-level entry pointing into a file starts one at that anchor. Entries for anchors
+// inside chapters are sections, which the chapter's own headings already mark.
+const chapterStarts = (toc) => {
+  const fileStarts = new Map();   // path -> { title, depth }
+  const anchorStarts = new Map(); // path -> [{ fragment, title }]
+
+  for (const entry of toc) {
+    if (!entry.fragment) {
+      const current = fileStarts.get(entry.path);
+      if (!current || entry.depth > current.depth) fileStarts.set(entry.path, entry);
+    } else if (entry.depth === 1) {
+      anchorStarts.set(entry.path, [...(anchorStarts.get(entry.path) || []), entry]);
+    }
+  }
+
+  return { fileStarts, anchorStarts };
+};
+
+// Split a spine file's markup at the chapter anchors it contains: [{ title, html }], where
+// title is undefined for markup that continues the previous chapter
+const splitAtAnchors = (html, fileStart, anchors = []) => {
+  const cuts = anchors
+    .map(({ fragment, title }) => {
+      const idAt = html.search(new RegExp(`\\sid=["']${fragment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["']`));
+      return idAt === -1 ? null : { position: html.lastIndexOf('<', idAt), title };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.position - b.position);
+
+  const pieces = [{ position: 0, title: fileStart?.title }, ...cuts];
+  return pieces.map((piece, i) => ({ title: piece.title, html: html.slice(piece.position, pieces[i + 1]?.position) }));
+};
+
+// Fallback chapter title for books without a usable table of contents
+const firstHeading = (html) => {
+  const heading = html.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i) || html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  return heading ? plainText(heading[1]) : '';
+};
+
+// One "--- Chapter title ---" section per chapter, following the spine order
+const extractEpubText = async (filePath, progress) => {
+  const zip = await loadPackage(filePath);
+  const packageDocument = await readPackageDocument(zip);
+  const toc = await readTableOfContents(zip, packageDocument);
+  const { fileStarts, anchorStarts } = chapterStarts(toc);
+  const { spine } = packageDocument;
+  const sections = [];
+
+  for (let i = 0; i < spine.length; i++) {
+    const xhtml = await readPart(zip, spine[i].path);
+    // Without a table of contents every spine file is a chapter
+    const fileStart = toc.length > 0 ? fileStarts.get(spine[i].path) : { title: firstHeading(xhtml) };
+
+    for (const { title, html } of splitAtAnchors(stripPageChrome(xhtml), fileStart, anchorStarts.get(spine[i].path))) {
+      const text = htmlToStructuredText(html);
+      if (title !== undefined) sections.push(`--- Chapter${title ? ` ${title}` : ''} ---`);
+      if (text) sections.push(text);
+    }
+
+    await progress?.('extracting', i + 1, spine.length);
+  }
+
+  console.log(`✅ EPUB text extracted - ${spine.length} spine documents`);
+  return sections.join('\n\n');
+};
+
+export const epubExtractor = {
+  name: 'epub',
+  label: 'EPUB',
+  mimeTypes: [EPUB_MIME],
+  extensions: ['.epub'],
+  // Like ODF, EPUB stores its MIME type uncompressed as the first ZIP entry
+  sniff: ({ head, entries }) => head.subarray(0, 200).toString('latin1').includes(`mimetype${EPUB_MIME}`)
+    || Boolean(entries?.includes(CONTAINER)),
+  extract: (filePath, { progress } = {}) => extractEpubText(filePath, progress)
+};
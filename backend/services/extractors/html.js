@@ -0,0 +1,135 @@
+import fs from 'fs/promises';
+import { decodeText } from './text.js';
+import { TABLE_CAPTION, formatTable, isDataTable } from './tables.js';
+
+// Like browsers, a numeric reference to NUL, a surrogate or past U+10FFFF reads as U+FFFD
+const fromCodePoint = (code) =>
+  code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff) ? '\ufffd' : String.fromCodePoint(code);
+
+export const decodeEntities = (text) => {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+};
+
+// Outside <pre>, runs of HTML whitespace render as one space
+const flowToText = (html) => {
+  const text = html
+    .replace(/[ \t\r\n\f]+/g, ' ')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) =>
+      `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, '').trim()}\n\n`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|li|tr|div|blockquote)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text).replace(/ *\n */g, '\n');
+};
+
+const preToText = (html) => `\n\n${decodeEntities(html.replace(/<[^>]+>/g, ''))}\n\n`;
+
+const flowAndPreToText = (html) => html
+  .split(/(<pre\b[^>]*>[\s\S]*?<\/pre>)/gi)
+  .map((part, i) => (i % 2 === 1 ? preToText(part) : flowToText(part)))
+  .join('');
+
+const singleLine = (html) => flowToText(html).replace(/\s+/g, ' ').trim();
+
+// Outermost <table> elements as { start, end } offsets
+const findTables = (html) => {
+  const tables = [];
+  const tag = /<(\/?)table\b[^>]*>/gi;
+  let depth = 0;
+  let start = 0;
+  let match;
+  while ((match = tag.exec(html)) !== null) {
+    if (!match[1]) {
+      if (depth++ === 0) start = match.index;
+    } else if (depth > 0 && --depth === 0) {
+      tables.push({ start, end: tag.lastIndex });
+    }
+  }
+  return tables;
+};
+
+// Rows of cell texts; a cell spanning columns is followed by empty cells so columns line up.
+// Tables nested in a cell are read as that cell's text.
+const tableRows = (tableHtml) => {
+  let inner = tableHtml.replace(/^<table\b[^>]*>/i, '').replace(/<\/table>$/i, '');
+  for (const nested of findTables(inner).reverse()) {
+    inner = inner.slice(0, nested.start) + ` ${singleLine(inner.slice(nested.start, nested.end))} ` + inner.slice(nested.end);
+  }
+
+  return [...inner.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)]
+    .map(([, row]) => [...row.matchAll(/<t[dh]\b([^>]*)>([\s\S]*?)<\/t[dh]>/gi)].flatMap(([, attributes, cell]) => {
+      const span = Math.min(Number(attributes.match(/colspan=["']?(\d+)/i)?.[1]) || 1, 50);
+      return [singleLine(cell), ...Array(span - 1).fill('')];
+    }))
+    .filter(cells => cells.some(Boolean));
+};
+
+const CAPTION_PARAGRAPH_BEFORE = /<p\b[^>]*>((?:(?!<p\b)[\s\S])*?)<\/p>\s*$/i;
+const CAPTION_PARAGRAPH_AFTER = /^\s*<p\b[^>]*>([\s\S]*?)<\/p>/i;
+
+// Turn data tables into Markdown table blocks. The caption is the table's <caption>, or a
+// "Table 2: ..." paragraph right before or after it (as Word documents have), which moves
+// into the block.
+const extractTables = (html) => {
+  const parts = [];
+  let position = 0;
+
+  for (const { start, end } of findTables(html)) {
+    const tableHtml = html.slice(start, end);
+    const rows = tableRows(tableHtml.replace(/<caption\b[^>]*>[\s\S]*?<\/caption>/gi, ''));
+    if (!isDataTable(rows)) continue;
+
+    let before = html.slice(position, start);
+    let caption = tableHtml.match(/<caption\b[^>]*>([\s\S]*?)<\/caption>/i)?.[1];
+    const previous = before.match(CAPTION_PARAGRAPH_BEFORE);
+    if (!caption && previous && TABLE_CAPTION.test(singleLine(previous[1]))) {
+      caption = previous[1];
+      before = before.slice(0, previous.index);
+    }
+    let next = end;
+    const following = html.slice(end).match(CAPTION_PARAGRAPH_AFTER);
+    if (!caption && following && TABLE_CAPTION.test(singleLine(following[1]))) {
+      caption = following[1];
+      next = end + following[0].length;
+    }
+
+    parts.push(before, { table: formatTable(rows, caption ? singleLine(caption) : null) });
+    position = next;
+  }
+  parts.push(html.slice(position));
+  return parts;
+};
+
+// Flatten HTML to text, turning <h1>-<h6> into "#" heading lines, blocks into paragraphs and
+// tables into Markdown table blocks
+export const htmlToStructuredText = (html) => extractTables(html)
+  // Spaces left at either end of the text around a table would start or end its paragraphs
+  .map(part => (typeof part === 'string' ? flowAndPreToText(part).replace(/^ +| +$/g, '') : `\n\n${part.table}\n\n`))
+  .join('')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Saved web pages carry scripts, styles and comments that are not part of the content
+export const stripPageChrome = (html) => html
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/<(script|style|noscript|template|svg)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<head\b[^>]*>[\s\S]*?<\/head>/gi, '');
+
+export const htmlExtractor = {
+  name: 'html',
+  label: 'HTML',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm', '.xhtml'],
+  sniff: ({ head }) => /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(!doctype html|html|head|body)\b/i
+    .test(decodeText(head)),
+  extract: async (filePath) => htmlToStructuredText(stripPageChrome(decodeText(await fs.readFile(filePath))))
+};
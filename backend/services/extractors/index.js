@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import { pdfExtractor } from './pdf.js';
+import { wordExtractor } from './word.js';
+import { pptxExtractor } from './pptx.js';
+import { xlsxExtractor } from './xlsx.js';
+import { epubExtractor } from './epub.js';
+import { odtExtractor } from './odt.js';
+import { rtfExtractor } from './rtf.js';
+import { htmlExtractor } from './html.js';
+import { markdownExtractor } from './markdown.js';
+import { csvExtractor } from './csv.js';
+import { imageExtractor } from './image.js';
+import { textExtractor } from './text.js';
+
+// Bytes read from the start of a file for magic-byte sniffing
+const SNIFF_BYTES = 4096;
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// An extractor is { name, label, mimeTypes, extensions, sniff?({ head, entries }), extract(filePath, { progress, ocr }) }.
+// mimeTypes[0] is the canonical type stored for documents it handles. sniff gets the first
+// bytes of the file and, for ZIP containers, the names of the entries inside. ocr carries the
+// upload's OCR { languages }. extract resolves to the text, or to { text, ocrWords, ocrReport }
+// when it was OCR'd, with each word's offsets and confidence and what happened to each page.
+const extractors = [];
+
+export const registerExtractor = (extractor) => {
+  extractors.push(extractor);
+};
+
+[
+  pdfExtractor, wordExtractor, pptxExtractor, xlsxExtractor, epubExtractor, odtExtractor,
+  rtfExtractor, htmlExtractor, markdownExtractor, csvExtractor, imageExtractor, textExtractor
+]
+  .forEach(registerExtractor);
+
+export const getExtractors = () => [...extractors];
+
+const byMimeType = (mimeType) => extractors.find(e => e.mimeTypes.includes(mimeType));
+
+const byExtension = (filename) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  return extension ? extractors.find(e => e.extensions.includes(extension)) : undefined;
+};
+
+// Whether an upload could be handled, judging only by what the client declared
+export const isSupportedUpload = ({ mimetype, originalname }) =>
+  Boolean(byMimeType(mimetype) || byExtension(originalname));
+
+const readHead = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const listZipEntries = async (filePath) => {
+  try {
+    const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+    return Object.keys(zip.files);
+  } catch (error) {
+    return [];
+  }
+};
+
+// Pick the extractor for a file: its content's magic bytes first, since browsers often send a
+// generic or wrong MIME type, then the file extension, then the declared MIME type
+export const detectExtractor = async (filePath, { mimeType = null, filename = null } = {}) => {
+  const head = await readHead(filePath);
+  const entries = head.subarray(0, 4).equals(ZIP_MAGIC) ? await listZipEntries(filePath) : null;
+
+  const sniffed = extractors.find(e => e.sniff?.({ head, entries }));
+  return sniffed || byExtension(filename) || byMimeType(mimeType) || null;
+};
@@ -0,0 +1,19 @@
+import { readTextFile } from './text.js';
+
+// "Title" underlined with === or --- (setext style) becomes "# Title" / "## Title"
+const SETEXT_HEADING = /^([^\n]*\S[^\n]*)\n(=+|-+)[ \t]*$/gm;
+const FRONT_MATTER = /^---\n[\s\S]*?\n(---|\.\.\.)\n/;
+
+// Markdown is kept as written; "#" headings are already what the chunker looks for
+export const markdownToStructuredText = (markdown) => markdown
+  .replace(FRONT_MATTER, '')
+  .replace(SETEXT_HEADING, (_, title, underline) => `${underline[0] === '=' ? '#' : '##'} ${title.trim()}`)
+  .trim();
+
+export const markdownExtractor = {
+  name: 'markdown',
+  label: 'Markdown',
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extensions: ['.md', '.markdown', '.mdown'],
+  extract: async (filePath) => markdownToStructuredText(await readTextFile(filePath))
+};
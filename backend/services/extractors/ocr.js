@@ -0,0 +1,153 @@
+import sharp from 'sharp';
+import Tesseract from 'tesseract.js';
+
+// Per-page OCR time limit
+const OCR_PAGE_TIMEOUT_MS = parseInt(process.env.OCR_PAGE_TIMEOUT_MS) || 30000;
+// Pages OCR'd per document; later pages are skipped and reported
+export const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 10;
+// Tesseract workers recognizing a document's pages in parallel
+const OCR_WORKERS = parseInt(process.env.OCR_WORKERS) || 2;
+// Most languages one upload may ask for; each adds a model to load and slows recognition
+const MAX_OCR_LANGUAGES = 4;
+// Tesseract language codes: "eng", "chi_sim", "aze_cyrl"
+const LANGUAGE_CODE = /^[a-z]{3}(_[a-z]{3,4})?$/;
+// Photos are scaled down to this width before OCR; larger adds time, not accuracy
+const MAX_OCR_WIDTH = 2500;
+
+// Prepare a photo or scan for OCR: turn it upright from its EXIF orientation, cap its size,
+// then grayscale, stretch the contrast and threshold it to black text on white.
+// Deskewing is left to Tesseract (rotateAuto), which measures the text angle itself.
+export const preprocessImage = (input, { page = 0 } = {}) => sharp(input, { page })
+  .rotate()
+  .resize({ width: MAX_OCR_WIDTH, withoutEnlargement: true })
+  .grayscale()
+  .normalise()
+  .threshold()
+  .toColourspace('b-w')
+  .png()
+  .toBuffer();
+
+// "hin+eng", "hin, eng" or ["hin", "eng"] -> ["hin", "eng"]; null if any code is malformed
+export const parseOcrLanguages = (value) => {
+  const codes = (Array.isArray(value) ? value : String(value ?? '').split(/[+,\s]+/))
+    .map(code => code.trim().toLowerCase())
+    .filter(Boolean);
+  const unique = [...new Set(codes)];
+
+  if (unique.length === 0 || unique.length > MAX_OCR_LANGUAGES || !unique.every(code => LANGUAGE_CODE.test(code))) {
+    return null;
+  }
+  return unique;
+};
+
+export const DEFAULT_OCR_LANGUAGES = parseOcrLanguages(process.env.OCR_LANGUAGES) || ['eng'];
+
+const withTimeout = (promise, ms, message) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(message)), ms).unref())
+]);
+
+// Lay recognized words out as text (words joined by spaces, lines by newlines, paragraphs by
+// blank lines) and remember where each word sits, with its confidence (0-100)
+export const layoutRecognizedText = (page) => {
+  if (!page.blocks) {
+    return { text: (page.text || '').trim(), words: [] };
+  }
+
+  const paragraphs = page.blocks
+    .flatMap(block => block.paragraphs || [])
+    .map(paragraph => paragraph.lines
+      .map(line => line.words.filter(word => word.text.trim()))
+      .filter(words => words.length > 0))
+    .filter(lines => lines.length > 0);
+
+  let text = '';
+  const words = [];
+  paragraphs.forEach((lines, p) => {
+    if (p > 0) text += '\n\n';
+    lines.forEach((lineWords, l) => {
+      if (l > 0) text += '\n';
+      lineWords.forEach((word, w) => {
+        if (w > 0) text += ' ';
+        const value = word.text.trim();
+        words.push({ text: value, confidence: Math.round(word.confidence), start: text.length, end: text.length + value.length });
+        text += value;
+      });
+    });
+  });
+
+  return { text, words };
+};
+
+// Recognize pages 0..count-1 with a bounded pool of Tesseract workers running in parallel.
+// loadImage(index) returns a page's image; onPage(index, result) is called as each page
+// finishes. Results keep page order, with null for pages that failed; a failed or timed-out
+// page is recorded in failed and the others carry on. Tesseract can't cancel a recognition,
+// so a worker that timed out is replaced.
+export const recognizePages = async (count, loadImage, { languages = DEFAULT_OCR_LANGUAGES, onPage } = {}) => {
+  const pages = new Array(count).fill(null);
+  const failed = [];
+  let next = 0;
+
+  const runWorker = async () => {
+    // Fails for languages whose trained data can't be loaded, which fails the whole document
+    let worker = await Tesseract.createWorker(languages.join('+'));
+    try {
+      while (next < count) {
+        const index = next++;
+        try {
+          const image = await loadImage(index);
+          const { data } = await withTimeout(
+            worker.recognize(image, { rotateAuto: true }, { text: true, blocks: true }),
+            OCR_PAGE_TIMEOUT_MS,
+            'OCR timeout'
+          );
+          pages[index] = layoutRecognizedText(data);
+        } catch (error) {
+          console.error(`❌ OCR failed for page ${index + 1}:`, error.message);
+          failed.push({ page: index + 1, error: error.message });
+          if (error.message === 'OCR timeout') {
+            await worker.terminate();
+            worker = null; // Already gone if the replacement fails to start
+            worker = await Tesseract.createWorker(languages.join('+'));
+          }
+        }
+        await onPage?.(index, pages[index]);
+      }
+    } finally {
+      await worker?.terminate();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(OCR_WORKERS, count) }, runWorker));
+  return { pages, failed: failed.sort((a, b) => a.page - b.page) };
+};
+
+// What happened to the pages of an OCR'd document, stored on the document so the pages that
+// came from OCR, and the ones skipped (past OCR_MAX_PAGES), empty or failed, show up in its
+// status instead of only in the logs. Page numbers are 1-based.
+export const ocrReport = ({ languages = DEFAULT_OCR_LANGUAGES, totalPages, ocrPages, skipped = [], failed = [], empty = [] }) => ({
+  languages,
+  totalPages,
+  pageLimit: OCR_MAX_PAGES,
+  ocrPages,
+  skippedPages: skipped,
+  emptyPages: empty,
+  failedPages: failed
+});
+
+// Joins OCR'd pages into one text, shifting each page's word offsets to match
+export const createOcrText = () => {
+  let text = '';
+  const words = [];
+
+  return {
+    append(prefix, page) {
+      text += prefix;
+      const offset = text.length;
+      words.push(...page.words.map(word => ({ ...word, start: word.start + offset, end: word.end + offset })));
+      text += page.text;
+    },
+    result: () => ({ text, ocrWords: words })
+  };
+};
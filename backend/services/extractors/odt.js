@@ -0,0 +1,59 @@
+import fs from 'fs/promises';
+import JSZip from 'jszip';
+import { htmlToStructuredText } from './html.js';
+
+const ODT_MIME = 'application/vnd.oasis.opendocument.text';
+
+// Map OpenDocument text markup onto the HTML tags htmlToStructuredText understands:
+// <text:h text:outline-level="N"> becomes <hN>, paragraphs and list items become blocks,
+// and tables become <table>/<tr>/<td>
+export const odtContentToStructuredText = (xml) => {
+  const html = xml
+    // Annotations, deleted tracked changes and footnote markers are not body text
+    .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '')
+    .replace(/<text:tracked-changes\b[\s\S]*?<\/text:tracked-changes>/g, '')
+    .replace(/<text:note-citation\b[^>]*>[\s\S]*?<\/text:note-citation>/g, '')
+    .replace(/<text:h\b([^>]*)>([\s\S]*?)<\/text:h>/g, (_, attributes, inner) => {
+      const level = Math.min(Number(attributes.match(/text:outline-level="(\d+)"/)?.[1] || 1), 6);
+      return `<h${level}>${inner}</h${level}>`;
+    })
+    .replace(/<table:table(?=[\s>])[^>]*>/g, '<table>')
+    .replace(/<\/table:table>/g, '</table>')
+    .replace(/<table:table-row\b[^>]*>/g, '<tr>')
+    .replace(/<\/table:table-row>/g, '</tr>')
+    // Cells hidden under a neighbour's column span are left out; the span adds them back
+    .replace(/<table:covered-table-cell\b[^>]*?(\/>|>[\s\S]*?<\/table:covered-table-cell>)/g, '')
+    .replace(/<table:table-cell\b([^>]*?)\/>/g, '<td></td>')
+    .replace(/<table:table-cell\b([^>]*)>/g, (_, attributes) =>
+      `<td colspan="${attributes.match(/table:number-columns-spanned="(\d+)"/)?.[1] || 1}">`)
+    .replace(/<\/table:table-cell>/g, '</td>')
+    .replace(/<text:p\b[^>]*\/>/g, '')
+    .replace(/<text:p\b[^>]*>/g, '<p>')
+    .replace(/<\/text:p>/g, '</p>')
+    .replace(/<text:line-break\s*\/>/g, '<br>')
+    // Entities, so the explicit spaces survive HTML whitespace collapsing
+    .replace(/<text:tab\s*\/>/g, '&#9;')
+    .replace(/<text:s\b([^>]*)\/>/g, (_, attributes) =>
+      '&nbsp;'.repeat(Number(attributes.match(/text:c="(\d+)"/)?.[1]) || 1));
+
+  return htmlToStructuredText(html);
+};
+
+const extractOdtText = async (filePath) => {
+  const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+  const content = zip.file('content.xml');
+  if (!content) {
+    throw new Error('The OpenDocument file has no content.xml');
+  }
+  return odtContentToStructuredText(await content.async('string'));
+};
+
+export const odtExtractor = {
+  name: 'odt',
+  label: 'OpenDocument Text',
+  mimeTypes: [ODT_MIME],
+  extensions: ['.odt'],
+  // ODF packages store their MIME type uncompressed as the first ZIP entry
+  sniff: ({ head }) => head.subarray(0, 200).toString('latin1').includes(`mimetype${ODT_MIME}`),
+  extract: (filePath) => extractOdtText(filePath)
+};
@@ -0,0 +1,40 @@
+import fs from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import { decodeEntities } from './html.js';
+
+// Shared helpers for Office Open XML packages (PPTX, XLSX): ZIP parts, relationships and attributes
+
+export const loadPackage = async (filePath) => JSZip.loadAsync(await fs.readFile(filePath));
+
+// Contents of a part, or null when the package does not have it
+export const readPart = async (zip, name) => {
+  const file = zip.file(name);
+  return file ? file.async('string') : null;
+};
+
+// Value of an XML attribute in a tag's attribute string, e.g. attribute(' r="A1" t="s"', 't')
+export const attribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return match ? decodeEntities(match[1]) : null;
+};
+
+// Relationships of a part, from its _rels/<part>.rels file: id -> { target, type }.
+// Targets are resolved to package paths; external links are left out.
+export const readRelationships = async (zip, partName) => {
+  const directory = path.posix.dirname(partName);
+  const xml = await readPart(zip, path.posix.join(directory, '_rels', `${path.posix.basename(partName)}.rels`));
+  const relationships = new Map();
+
+  for (const [, attributes] of (xml || '').matchAll(/<Relationship\b([^>]*?)\/?>/g)) {
+    const target = attribute(attributes, 'Target');
+    if (!target || attribute(attributes, 'TargetMode') === 'External') continue;
+
+    relationships.set(attribute(attributes, 'Id'), {
+      target: target.startsWith('/') ? target.slice(1) : path.posix.join(directory, target),
+      type: attribute(attributes, 'Type') || ''
+    });
+  }
+
+  return relationships;
+};
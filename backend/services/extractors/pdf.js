@@ -0,0 +1,252 @@
+import fs from 'fs/promises';
+// Import internal pdf-parse implementation directly to avoid debug harness in index.js under ESM
+import pdf from 'pdf-parse/lib/pdf-parse.js';
+import { fromPath } from 'pdf2pic';
+import os from 'os';
+import path from 'path';
+import { OCR_MAX_PAGES, createOcrText, ocrReport, preprocessImage, recognizePages } from './ocr.js';
+import { TABLE_CAPTION, formatTable } from './tables.js';
+
+// Pages whose text layer has fewer non-whitespace characters than this are treated as
+// scans (a stray page number or running header doesn't count as text) and OCR'd
+const MIN_PAGE_TEXT_CHARS = parseInt(process.env.OCR_MIN_PAGE_CHARS) || 20;
+
+const hasTextLayer = (text) => text.replace(/\s/g, '').length >= MIN_PAGE_TEXT_CHARS;
+
+// Extract text from PDF files page by page. Pages without a usable text layer (scanned
+// pages, even inside an otherwise digital PDF) are OCR'd and merged back in page order;
+// the result then comes back as { text, ocrWords, ocrReport } so the word confidences and
+// the pages that came from OCR can be stored with the document.
+const extractPDFText = async (filePath, { progress, ocr: ocrOptions } = {}) => {
+  try {
+    console.log(`🔄 Extracting text from PDF: ${filePath}`);
+    
+    // Read the PDF file
+    const dataBuffer = await fs.readFile(filePath);
+    
+    // Extract text using pdf-parse, keeping each page's text
+    const pageTexts = [];
+    const data = await pdf(dataBuffer, {
+      pagerender: async (pageData) => {
+        pageTexts[pageData.pageIndex] = await renderPageText(pageData);
+        return pageMarker(pageData.pageIndex + 1);
+      }
+    });
+
+    const scannedPages = [];
+    for (let i = 0; i < data.numpages; i++) {
+      if (!hasTextLayer(pageTexts[i] || '')) scannedPages.push(i + 1);
+    }
+
+    if (scannedPages.length === 0) {
+      const text = pageTexts.map((pageText, i) => `\n\n${pageMarker(i + 1)}\n${pageText}`).join('');
+      console.log(`✅ PDF text extracted successfully - ${text.length} characters`);
+      return text;
+    }
+
+    console.log(`📷 ${scannedPages.length} of ${data.numpages} PDF pages have no text layer - running OCR on them...`);
+    const ocr = await extractTextWithOCR(filePath, scannedPages, { progress, totalPages: data.numpages, ...ocrOptions });
+
+    // Merge in page order: OCR text for the pages it read, the text layer everywhere else
+    const merged = createOcrText();
+    for (let i = 0; i < data.numpages; i++) {
+      merged.append(`\n\n${pageMarker(i + 1)}\n`, ocr.pages.get(i + 1) || { text: pageTexts[i] || '', words: [] });
+    }
+
+    const extracted = merged.result();
+    if (!hasTextLayer(extracted.text.replace(PAGE_MARKER, ''))) {
+      const reasons = [...new Set(ocr.report.failedPages.map(({ error }) => error))].join('; ');
+      throw new Error(`OCR processing failed to extract any text from the PDF${reasons ? ` (${reasons})` : ''}`);
+    }
+
+    console.log(`✅ PDF text extracted - ${extracted.text.length} characters, ${ocr.pages.size} page(s) from OCR`);
+    return { ...extracted, ocrReport: ocr.report };
+    
+  } catch (error) {
+    console.error('❌ PDF extraction error:', error);
+    
+    if (error.message.includes('Invalid PDF')) {
+      throw new Error('The uploaded file is not a valid PDF document. Please ensure it\'s a properly formatted PDF file.');
+    } else if (error.message.includes('Password')) {
+      throw new Error('This PDF is password-protected. Please remove the password protection and try again.');
+    } else if (error.code === 'ENOENT') {
+      throw new Error('PDF file not found or not accessible.');
+    } else if (error.message.startsWith('OCR ')) {
+      throw error;
+    } else {
+      throw new Error(`Failed to extract text from PDF: ${error.message}`);
+    }
+  }
+};
+
+// Same line-joining as pdf-parse's default renderer (items on one baseline are joined into a
+// line), with tables found from the layout turned into Markdown table blocks; pages are later
+// prefixed with a page marker so chunks can be mapped back to the page they came from
+const renderPageText = async (pageData) => {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  const lines = [];
+  for (const item of textContent.items) {
+    if (!(lastY === item.transform[5] || !lastY) || lines.length === 0) {
+      lines.push({ text: '', items: [] });
+    }
+    const line = lines[lines.length - 1];
+    line.text += item.str;
+    line.items.push(item);
+    lastY = item.transform[5];
+  }
+
+  return layoutTables(lines).join('\n');
+};
+
+// A gap wider than this many font sizes between two pieces of text on a line separates cells
+const CELL_GAP_EM = 1;
+// Table rows: at least this many consecutive lines with the same number of cells...
+const MIN_TABLE_ROWS = 3;
+// ...whose cells are short; two-column prose also lines up, but in long runs of words
+const MAX_MEDIAN_CELL_CHARS = 30;
+
+// Cells of a line: its text pieces left to right, split where the gap between them is wide
+const lineCells = ({ items }) => {
+  const pieces = items
+    .filter(item => item.str.trim())
+    .map(item => ({ text: item.str, x: item.transform[4], width: item.width, size: Math.abs(item.transform[3]) || 10 }))
+    .sort((a, b) => a.x - b.x);
+
+  const cells = [];
+  let previous = null;
+  for (const piece of pieces) {
+    if (previous && piece.x - (previous.x + previous.width) <= piece.size * CELL_GAP_EM) {
+      cells[cells.length - 1] += piece.text;
+    } else {
+      cells.push(piece.text);
+    }
+    previous = piece;
+  }
+  return cells.map(cell => cell.trim());
+};
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+// Find tables by layout: runs of lines split into the same number (2+) of columns by wide
+// gaps. The first row is the header, and a "Table 2: ..." line just before or after becomes
+// the caption. Returns the page's lines with each table replaced by its Markdown block.
+const layoutTables = (lines) => {
+  const cells = lines.map(lineCells);
+  const output = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    let end = i;
+    while (end < lines.length && cells[end].length >= 2 && cells[end].length === cells[i].length) end++;
+
+    const rows = cells.slice(i, end);
+    const isTable = rows.length >= MIN_TABLE_ROWS
+      && median(rows.flat().map(cell => cell.length)) <= MAX_MEDIAN_CELL_CHARS;
+    if (!isTable) {
+      output.push(lines[i].text);
+      i++;
+      continue;
+    }
+
+    let caption = null;
+    const previous = output[output.length - 1]?.trim();
+    const next = lines[end]?.text.trim();
+    if (previous && TABLE_CAPTION.test(previous)) {
+      caption = output.pop().trim();
+    } else if (next && TABLE_CAPTION.test(next)) {
+      caption = next;
+      end++;
+    }
+
+    output.push(formatTable(rows, caption));
+    i = end;
+  }
+
+  return output;
+};
+
+const PAGE_MARKER = /^--- Page (\d+) ---$/gm;
+
+const pageMarker = (pageNumber) => `--- Page ${pageNumber} ---`;
+
+// OCR the given pages (1-based) of a PDF, up to OCR_MAX_PAGES of them recognized in
+// parallel, reporting each finished page. Pages are rendered to images one at a time as the
+// workers need them. Returns the recognized pages (page number -> { text, words }) and the
+// document's OCR report.
+const extractTextWithOCR = async (filePath, pageNumbers, { progress = async () => {}, totalPages, languages } = {}) => {
+  const imageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-ocr-'));
+  try {
+    // Convert PDF pages to images with optimized settings for speed
+    const convert = fromPath(filePath, {
+      density: 150,           // Reduced DPI for faster processing (was 300)
+      saveFilename: "page",
+      savePath: imageDir,
+      format: "png",
+      width: 1240,            // Reduced width for faster processing
+      height: 1754            // Reduced height for faster processing
+    });
+
+    const ocrPageNumbers = pageNumbers.slice(0, OCR_MAX_PAGES);
+    let done = 0;
+    await progress('ocr', 0, ocrPageNumbers.length);
+
+    const { pages, failed } = await recognizePages(ocrPageNumbers.length, async (i) => {
+      const image = await convert(ocrPageNumbers[i]);
+      const prepared = await preprocessImage(image.path);
+      // Clean up the temporary image file
+      await fs.unlink(image.path);
+      return prepared;
+    }, {
+      languages,
+      onPage: () => progress('ocr', ++done, ocrPageNumbers.length)
+    });
+
+    const recognized = new Map();
+    const empty = [];
+    pages.forEach((page, i) => {
+      if (!page) return;
+      const pageNumber = ocrPageNumbers[i];
+      if (page.text.length > 10) { // Only add if we got meaningful text
+        recognized.set(pageNumber, page);
+        console.log(`✅ Page ${pageNumber} OCR completed - ${page.text.length} characters`);
+      } else {
+        console.log(`⚠️ Page ${pageNumber} OCR returned minimal text: "${page.text}"`);
+        empty.push(pageNumber);
+      }
+    });
+
+    return {
+      pages: recognized,
+      report: ocrReport({
+        languages,
+        totalPages,
+        ocrPages: [...recognized.keys()],
+        skipped: pageNumbers.slice(OCR_MAX_PAGES),
+        failed: failed.map(({ page, error }) => ({ page: ocrPageNumbers[page - 1], error })),
+        empty
+      })
+    };
+    
+  } catch (error) {
+    console.error('❌ OCR processing failed:', error);
+    throw new Error(`OCR text extraction failed: ${error.message}`);
+  } finally {
+    // Clean up all temporary files
+    await fs.rm(imageDir, { recursive: true, force: true });
+  }
+};
+
+export const pdfExtractor = {
+  name: 'pdf',
+  label: 'PDF',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+  // The header may follow a little junk, so look for it anywhere in the first KB
+  sniff: ({ head }) => head.subarray(0, 1024).includes('%PDF-'),
+  extract: (filePath, options) => extractPDFText(filePath, options)
+};
@@ -0,0 +1,90 @@
+import { decodeEntities } from './html.js';
+import { attribute, loadPackage, readPart, readRelationships } from './ooxml.js';
+
+const PPTX_MIME = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+const PRESENTATION = 'ppt/presentation.xml';
+
+// <p:sp> shapes (not <p:spPr>), and the placeholders that hold a slide title or the notes text
+const SHAPE = /<p:sp[\s>][\s\S]*?<\/p:sp>/g;
+const TITLE_PLACEHOLDER = /<p:ph\b[^>]*type="(?:title|ctrTitle)"/;
+const NOTES_PLACEHOLDER = /<p:ph\b[^>]*type="body"/;
+
+// Text of each DrawingML paragraph (<a:p>) in a fragment, skipping empty ones
+const paragraphs = (xml) => [...xml.matchAll(/<a:p(?:\s[^>]*)?>([\s\S]*?)<\/a:p>/g)]
+  .map(([, inner]) => {
+    const runs = inner
+      .replace(/<a:br\b[^>]*(?:\/>|>[\s\S]*?<\/a:br>)/g, '<a:t>\n</a:t>')
+      .matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>/g);
+    return decodeEntities([...runs].map(([, text]) => text).join('')).trim();
+  })
+  .filter(Boolean);
+
+// Title placeholder text and the remaining text of a slide, in document order
+export const slideContent = (xml) => {
+  const titleShapes = (xml.match(SHAPE) || []).filter(shape => TITLE_PLACEHOLDER.test(shape));
+  const body = titleShapes.reduce((rest, shape) => rest.replace(shape, ''), xml);
+
+  return {
+    title: titleShapes.flatMap(paragraphs).join(' '),
+    body: paragraphs(body)
+  };
+};
+
+// Speaker notes live in the body placeholder of the notes slide (the others hold the
+// slide image and slide number)
+const notesContent = (xml) => (xml.match(SHAPE) || [])
+  .filter(shape => NOTES_PLACEHOLDER.test(shape))
+  .flatMap(paragraphs);
+
+// Slide parts in presentation order, from the slide id list and its relationships
+const slideParts = async (zip) => {
+  const presentation = await readPart(zip, PRESENTATION);
+  const relationships = await readRelationships(zip, PRESENTATION);
+  const ordered = [...(presentation || '').matchAll(/<p:sldId\b([^>]*?)\/?>/g)]
+    .map(([, attributes]) => relationships.get(attribute(attributes, 'r:id'))?.target)
+    .filter(target => target && zip.file(target));
+
+  if (ordered.length > 0) return ordered;
+
+  // No usable slide list: fall back to the slideN.xml numbering
+  const slideNumber = (name) => Number(name.match(/slide(\d+)\.xml$/)[1]);
+  return Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+};
+
+// One "--- Slide N ---" section per slide: the title as a heading, the body text, then the speaker notes
+const extractPptxText = async (filePath, progress) => {
+  const zip = await loadPackage(filePath);
+  const slides = await slideParts(zip);
+  const sections = [];
+
+  for (let i = 0; i < slides.length; i++) {
+    const { title, body } = slideContent(await readPart(zip, slides[i]));
+
+    const relationships = await readRelationships(zip, slides[i]);
+    const notesPart = [...relationships.values()].find(r => r.type.endsWith('/notesSlide'))?.target;
+    const notesXml = notesPart ? await readPart(zip, notesPart) : null;
+    const notes = notesXml ? notesContent(notesXml) : [];
+
+    const lines = [`--- Slide ${i + 1} ---`];
+    if (title) lines.push(`# ${title}`);
+    lines.push(...body);
+    if (notes.length > 0) lines.push('', `Speaker notes: ${notes.join('\n')}`);
+    sections.push(lines.join('\n'));
+
+    await progress?.('extracting', i + 1, slides.length);
+  }
+
+  console.log(`✅ Presentation text extracted - ${slides.length} slides`);
+  return sections.join('\n\n');
+};
+
+export const pptxExtractor = {
+  name: 'pptx',
+  label: 'PowerPoint Presentation',
+  mimeTypes: [PPTX_MIME],
+  extensions: ['.pptx'],
+  sniff: ({ entries }) => Boolean(entries?.includes(PRESENTATION)),
+  extract: (filePath, { progress } = {}) => extractPptxText(filePath, progress)
+};
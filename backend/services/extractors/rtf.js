@@ -0,0 +1,146 @@
+import fs from 'fs/promises';
+
+// Groups that hold formatting tables, metadata or embedded objects rather than document text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'info', 'pict', 'object',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'fldinst', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'xmlnstbl',
+  'rsidtbl', 'generator', 'filetbl', 'revtbl', 'pgdsctbl', 'mmathPr', 'nonshppict'
+]);
+
+// Control words that stand for a single character
+const SYMBOLS = {
+  tab: '\t', line: '\n', emdash: '—', endash: '–', bullet: '•', emspace: ' ', enspace: ' ',
+  lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”', cell: ' '
+};
+
+const windows1252 = new TextDecoder('windows-1252');
+
+// Heading level of each paragraph style ("\s1"), from an outline level or a "heading N" name
+const readHeadingStyles = (rtf) => {
+  const styles = new Map();
+  const start = rtf.indexOf('{\\stylesheet');
+  if (start === -1) return styles;
+
+  let depth = 0;
+  let end = start;
+  for (; end < rtf.length; end++) {
+    if (rtf[end] === '{' && rtf[end - 1] !== '\\') depth++;
+    if (rtf[end] === '}' && rtf[end - 1] !== '\\' && --depth === 0) break;
+  }
+
+  for (const entry of rtf.slice(start + 1, end).match(/\{[^{}]*\}/g) || []) {
+    const style = entry.match(/\\s(\d+)(?![a-z\d])/);
+    const level = entry.match(/\\outlinelevel(\d)/)?.[1] ?? null;
+    const named = entry.match(/heading\s*(\d)\s*;/i)?.[1] ?? null;
+    if (style && (level !== null || named !== null)) {
+      styles.set(Number(style[1]), level !== null ? Number(level) + 1 : Number(named));
+    }
+  }
+  return styles;
+};
+
+// Walk the RTF groups and control words, collecting paragraphs of visible text.
+// Headings (by outline level or heading style) come out as Markdown "#" lines.
+export const rtfToStructuredText = (rtf) => {
+  const headingStyles = readHeadingStyles(rtf);
+  const paragraphs = [];
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let text = '';
+  let headingLevel = 0;
+  // Fallback characters still to drop after a \uN escape
+  let pendingFallback = 0;
+
+  const emit = (chars) => {
+    if (state.skip) return;
+    if (pendingFallback > 0) {
+      pendingFallback--;
+      return;
+    }
+    text += chars;
+  };
+
+  const endParagraph = () => {
+    const line = text.replace(/[ \t]+/g, ' ').trim();
+    if (line) paragraphs.push(headingLevel ? `${'#'.repeat(headingLevel)} ${line}` : line);
+    text = '';
+  };
+
+  let i = 0;
+  while (i < rtf.length) {
+    const ch = rtf[i];
+
+    if (ch === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+    } else if (ch === '}') {
+      state = stack.pop() || state;
+      i++;
+    } else if (ch === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+      } else if (next === "'") {
+        emit(windows1252.decode(Buffer.from([parseInt(rtf.substr(i + 2, 2), 16) || 0x3f])));
+        i += 4;
+      } else if (next === '*') {
+        // Optional destination this reader doesn't know: skip the whole group
+        state.skip = true;
+        i += 2;
+      } else if (next === '\n' || next === '\r') {
+        if (!state.skip) endParagraph();
+        i += 2;
+      } else if (next && /[a-zA-Z]/.test(next)) {
+        const [token, word, param] = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(rtf.slice(i + 1, i + 45));
+        const value = param === undefined ? null : Number(param);
+        i += 1 + token.length;
+
+        if (SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'uc') {
+          state.unicodeSkip = value ?? 1;
+        } else if (state.skip) {
+          continue;
+        } else if (word === 'par' || word === 'row' || word === 'sect' || word === 'page') {
+          endParagraph();
+        } else if (word === 'pard') {
+          headingLevel = 0;
+        } else if (word === 's' && value !== null) {
+          headingLevel = headingStyles.get(value) ?? headingLevel;
+        } else if (word === 'outlinelevel' && value !== null && value < 6) {
+          headingLevel = value + 1;
+        } else if (word === 'u' && value !== null) {
+          emit(String.fromCharCode(value < 0 ? value + 65536 : value));
+          pendingFallback = state.unicodeSkip;
+        } else if (SYMBOLS[word]) {
+          emit(SYMBOLS[word]);
+        }
+      } else {
+        // Control symbols: \~ non-breaking space, \_ non-breaking hyphen, \- optional hyphen
+        if (next === '~') emit(' ');
+        else if (next === '_') emit('-');
+        i += 2;
+      }
+    } else {
+      // Raw line breaks in RTF source are not text
+      if (ch !== '\n' && ch !== '\r') emit(ch);
+      i++;
+    }
+  }
+  endParagraph();
+
+  return paragraphs.join('\n\n');
+};
+
+export const rtfExtractor = {
+  name: 'rtf',
+  label: 'Rich Text',
+  mimeTypes: ['application/rtf', 'text/rtf'],
+  extensions: ['.rtf'],
+  sniff: ({ head }) => head.subarray(0, 5).toString('latin1') === '{\\rtf',
+  extract: async (filePath) => rtfToStructuredText((await fs.readFile(filePath)).toString('latin1'))
+};
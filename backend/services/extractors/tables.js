@@ -0,0 +1,35 @@
+// Tables travel through the extracted text as Markdown blocks between markers, so the
+// chunker can store each one as a chunk of its own, with its caption:
+//
+//   --- Table ---
+//   Table 2: Revenue by quarter
+//   | Quarter | Revenue |
+//   | --- | --- |
+//   | Q3 | 4.2 |
+//   --- End table ---
+export const TABLE_START = '--- Table ---';
+export const TABLE_END = '--- End table ---';
+// Captions such as "Table 2: Revenue by quarter", "Table 3. Results" or "Tab. 4 – Costs"
+export const TABLE_CAPTION = /^(Table|Tab\.)\s*\d+[A-Za-z]?(\s*[:.\-–—]|\s*$)/i;
+
+const cellText = (cell) => String(cell ?? '').replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|');
+
+// Whether rows of cells are worth keeping as a table: layout tables with a single row or
+// column read better as plain text
+export const isDataTable = (rows) => rows.length >= 2 && Math.max(...rows.map(row => row.length)) >= 2;
+
+// Markdown table block for rows of cell strings, the first row being the header
+export const formatTable = (rows, caption = null) => {
+  const width = Math.max(...rows.map(row => row.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cellText(cells[i])).join(' | ')} |`;
+  const title = caption?.replace(/\s+/g, ' ').trim();
+
+  return [
+    TABLE_START,
+    ...(title ? [title] : []),
+    line(rows[0]),
+    `|${' --- |'.repeat(width)}`,
+    ...rows.slice(1).map(line),
+    TABLE_END
+  ].join('\n');
+};
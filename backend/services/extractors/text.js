@@ -0,0 +1,30 @@
+import fs from 'fs/promises';
+
+// Decode text files, honouring a UTF-8 or UTF-16 byte order mark (UTF-8 otherwise)
+export const decodeText = (buffer) => {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  }
+  // The UTF-8 decoder drops a leading BOM itself
+  return new TextDecoder('utf-8').decode(buffer);
+};
+
+// Read a text file, refusing binaries that were uploaded with a text extension
+export const readTextFile = async (filePath) => {
+  const text = decodeText(await fs.readFile(filePath));
+  if (text.includes('\u0000')) {
+    throw new Error('The file does not contain plain text');
+  }
+  return text.replace(/\r\n?/g, '\n');
+};
+
+export const textExtractor = {
+  name: 'text',
+  label: 'Text',
+  mimeTypes: ['text/plain'],
+  extensions: ['.txt', '.text', '.log'],
+  extract: (filePath) => readTextFile(filePath)
+};
@@ -0,0 +1,28 @@
+import fs from 'fs/promises';
+import mammoth from 'mammoth';
+import { htmlToStructuredText } from './html.js';
+
+const OLE_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// Extract text from Word documents, keeping headings as Markdown-style "#" lines
+const extractWordText = async (filePath) => {
+  try {
+    const dataBuffer = await fs.readFile(filePath);
+    const result = await mammoth.convertToHtml({ buffer: dataBuffer });
+    return htmlToStructuredText(result.value);
+  } catch (error) {
+    console.error('Word document extraction error:', error);
+    throw new Error('Failed to extract text from Word document');
+  }
+};
+
+export const wordExtractor = {
+  name: 'word',
+  label: 'Word Document',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/msword'],
+  extensions: ['.docx', '.doc'],
+  // A DOCX is a ZIP package with a word/document.xml part; .doc is an OLE container
+  sniff: ({ head, entries }) => Boolean(entries?.includes('word/document.xml'))
+    || head.subarray(0, 8).equals(OLE_MAGIC),
+  extract: (filePath) => extractWordText(filePath)
+};
@@ -0,0 +1,141 @@
+import { decodeEntities } from './html.js';
+import { attribute, loadPackage, readPart, readRelationships } from './ooxml.js';
+import { formatSheet } from './csv.js';
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const WORKBOOK = 'xl/workbook.xml';
+
+// Built-in number formats that display a date or time (ECMA-376 §18.8.30)
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+// Excel serial dates count days from 1899-12-30
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Concatenated <t> runs of a string item, without phonetic guides
+const richText = (xml) => decodeEntities(
+  [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)]
+    .map(([, text]) => text)
+    .join('')
+);
+
+const readSharedStrings = async (zip) => {
+  const xml = await readPart(zip, 'xl/sharedStrings.xml');
+  return [...(xml || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) => richText(item));
+};
+
+// Cell style indexes whose number format shows a date, so their serial numbers can be converted
+const readDateStyles = async (zip) => {
+  const xml = await readPart(zip, 'xl/styles.xml') || '';
+
+  const customDateFormats = new Set();
+  for (const [, attributes] of xml.matchAll(/<numFmt\b([^>]*?)\/?>/g)) {
+    // Date codes use d/m/y/h/s outside quoted literals and [colour] blocks
+    const code = (attribute(attributes, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+    if (/[dmyhs]/i.test(code)) customDateFormats.add(Number(attribute(attributes, 'numFmtId')));
+  }
+
+  const cellFormats = xml.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/)?.[0] || '';
+  const dateStyles = new Set();
+  [...cellFormats.matchAll(/<xf\b([^>]*?)\/?>/g)].forEach(([, attributes], index) => {
+    const formatId = Number(attribute(attributes, 'numFmtId') || 0);
+    if (BUILTIN_DATE_FORMATS.has(formatId) || customDateFormats.has(formatId)) dateStyles.add(index);
+  });
+
+  return dateStyles;
+};
+
+// "2024-03-01", "2024-03-01 14:30" or, for a time of day alone, "14:30"
+const serialToDate = (serial) => {
+  const iso = new Date(EXCEL_EPOCH_MS + Math.round(serial * MS_PER_DAY / 1000) * 1000).toISOString();
+  const date = iso.slice(0, 10);
+  const time = iso.slice(11, 19).replace(/:00$/, '');
+
+  if (serial < 1) return time;
+  return Number.isInteger(serial) ? date : `${date} ${time}`;
+};
+
+// "BC12" -> 54 (zero-based column index)
+const columnIndex = (reference) => {
+  const letters = reference.match(/^[A-Z]+/)?.[0] || '';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const cellValue = (attributes, inner, workbook) => {
+  const type = attribute(attributes, 't');
+  if (type === 'inlineStr') return richText(inner);
+
+  const raw = inner.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+  if (raw === undefined) return '';
+  if (type === 's') return workbook.sharedStrings[Number(raw)] ?? '';
+  if (type === 'b') return raw === '1' ? 'TRUE' : 'FALSE';
+  if (type === 'str' || type === 'e') return decodeEntities(raw);
+
+  const style = Number(attribute(attributes, 's') || 0);
+  return workbook.dateStyles.has(style) && Number.isFinite(Number(raw)) ? serialToDate(Number(raw)) : raw;
+};
+
+// Rows of a worksheet as { number, cells }, with cells placed at their column
+export const worksheetRows = (xml, workbook) => {
+  const sheetData = xml.match(/<sheetData\b[\s\S]*?<\/sheetData>/)?.[0] || '';
+  const rows = [];
+  let previousRow = 0;
+
+  for (const [, rowAttributes, rowInner = ''] of sheetData.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const number = Number(attribute(rowAttributes, 'r')) || previousRow + 1;
+    previousRow = number;
+
+    const cells = [];
+    for (const [, attributes, inner = ''] of rowInner.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const reference = attribute(attributes, 'r');
+      const column = reference ? columnIndex(reference) : cells.length;
+      cells[column] = cellValue(attributes, inner, workbook);
+    }
+
+    rows.push({ number, cells: Array.from(cells, value => value ?? '') });
+  }
+
+  return rows;
+};
+
+// One "--- Sheet name ---" section per worksheet, in workbook order
+const extractXlsxText = async (filePath, progress) => {
+  const zip = await loadPackage(filePath);
+  const workbookXml = await readPart(zip, WORKBOOK);
+  if (!workbookXml) {
+    throw new Error('The spreadsheet has no workbook part');
+  }
+
+  const relationships = await readRelationships(zip, WORKBOOK);
+  const workbook = {
+    sharedStrings: await readSharedStrings(zip),
+    dateStyles: await readDateStyles(zip)
+  };
+
+  const sheets = [...workbookXml.matchAll(/<sheet\b([^>]*?)\/?>/g)].map(([, attributes]) => ({
+    name: attribute(attributes, 'name'),
+    part: relationships.get(attribute(attributes, 'r:id'))?.target
+  }));
+
+  const sections = [];
+  for (let i = 0; i < sheets.length; i++) {
+    const xml = sheets[i].part ? await readPart(zip, sheets[i].part) : null;
+    // Chart sheets and missing parts have no cells
+    if (xml) {
+      const section = formatSheet(sheets[i].name, worksheetRows(xml, workbook));
+      if (section) sections.push(section);
+    }
+    await progress?.('extracting', i + 1, sheets.length);
+  }
+
+  console.log(`✅ Spreadsheet text extracted - ${sections.length} sheets with data`);
+  return sections.join('\n\n');
+};
+
+export const xlsxExtractor = {
+  name: 'xlsx',
+  label: 'Excel Spreadsheet',
+  mimeTypes: [XLSX_MIME],
+  extensions: ['.xlsx'],
+  sniff: ({ entries }) => Boolean(entries?.includes(WORKBOOK)),
+  extract: (filePath, { progress } = {}) => extractXlsxText(filePath, progress)
+};
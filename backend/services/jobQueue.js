@@ -0,0 +1,185 @@
+import { dbUtils } from '../config/database.js';
+
+// How many jobs run at once (OCR and embedding are heavy, so keep this small)
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+// How often the queue looks for jobs whose retry delay has passed
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+// Delay before the first retry; each further retry doubles it
+const RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+// type -> { run(payload, job), onRetry?(payload, error, job), onFailed?(payload, error, job) }
+const handlers = new Map();
+
+let active = 0;
+let pollTimer = null;
+let pumping = false;
+// Resolvers waiting for the queue to drain (used by tests)
+let idleWaiters = [];
+
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+const formatJob = (row) => row && ({
+  id: row.id,
+  type: row.type,
+  payload: JSON.parse(row.payload),
+  documentId: row.document_id,
+  status: row.status,
+  attempts: row.attempts,
+  maxAttempts: row.max_attempts,
+  runAt: row.run_at,
+  lastError: row.last_error,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+export const getJob = async (id) => {
+  return formatJob(await dbUtils.db.getAsync('SELECT * FROM jobs WHERE id = ?', [id]));
+};
+
+// The queued or running job for a document, if any
+export const getActiveDocumentJob = async (documentId) => {
+  return formatJob(await dbUtils.db.getAsync(
+    `SELECT * FROM jobs WHERE document_id = ? AND status IN ('queued', 'running') ORDER BY id DESC LIMIT 1`,
+    [documentId]
+  ));
+};
+
+export const enqueueJob = async (type, payload, { documentId = null, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) => {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type: ${type}`);
+  }
+
+  const result = await dbUtils.db.runAsync(
+    'INSERT INTO jobs (type, payload, document_id, max_attempts, run_at) VALUES (?, ?, ?, ?, ?)',
+    [type, JSON.stringify(payload), documentId, maxAttempts, Date.now()]
+  );
+  console.log(`📥 Queued ${type} job ${result.lastID}`);
+
+  // Start right away if the queue is running and a worker slot is free
+  if (pollTimer) setImmediate(pump);
+  return getJob(result.lastID);
+};
+
+// Atomically take the next due job so two pumps can never run the same one
+const claimNextJob = async () => {
+  return formatJob(await dbUtils.db.getAsync(
+    `UPDATE jobs SET status = 'running', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM jobs WHERE status = 'queued' AND run_at <= ? ORDER BY run_at, id LIMIT 1
+     )
+     RETURNING *`,
+    [Date.now()]
+  ));
+};
+
+const finishJob = async (job, status, error = null, runAt = job.runAt) => {
+  await dbUtils.db.runAsync(
+    'UPDATE jobs SET status = ?, last_error = ?, run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [status, error, runAt, job.id]
+  );
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.type}`);
+    }
+    console.log(`⚙️ Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+    await handler.run(job.payload, job);
+    // Keep the error from any earlier attempt for debugging flaky jobs
+    await finishJob(job, 'completed', job.lastError);
+    console.log(`✅ Job ${job.id} completed`);
+  } catch (error) {
+    if (job.attempts < job.maxAttempts) {
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1);
+      console.warn(`⚠️ Job ${job.id} failed, retrying in ${delay}ms:`, error.message);
+      await finishJob(job, 'queued', error.message, Date.now() + delay);
+      await handler?.onRetry?.(job.payload, error, job);
+    } else {
+      console.error(`❌ Job ${job.id} failed after ${job.attempts} attempts:`, error.message);
+      await finishJob(job, 'failed', error.message);
+      await handler?.onFailed?.(job.payload, error, job);
+    }
+  }
+};
+
+// Fill free worker slots with due jobs
+const pump = async () => {
+  if (pumping) return;
+  pumping = true;
+
+  try {
+    while (active < CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      active += 1;
+      runJob(job)
+        .catch(error => console.error(`❌ Job ${job.id} crashed the worker:`, error))
+        .finally(() => {
+          active -= 1;
+          setImmediate(pump);
+        });
+    }
+  } catch (error) {
+    console.error('❌ Job queue error:', error);
+  } finally {
+    pumping = false;
+  }
+
+  if (active === 0 && idleWaiters.length > 0) {
+    const pending = await dbUtils.db.getAsync(
+      `SELECT COUNT(*) AS count FROM jobs WHERE status IN ('queued', 'running')`
+    );
+    if (pending.count === 0) {
+      idleWaiters.forEach(resolve => resolve());
+      idleWaiters = [];
+    }
+  }
+};
+
+// Jobs left 'running' by a previous process were interrupted: queue them again, or fail
+// them if they have used up their attempts. Call before startJobQueue().
+export const recoverStaleJobs = async () => {
+  const stale = (await dbUtils.db.allAsync(`SELECT * FROM jobs WHERE status = 'running'`)).map(formatJob);
+
+  for (const job of stale) {
+    const error = 'Interrupted by a server restart';
+    if (job.attempts < job.maxAttempts) {
+      await finishJob(job, 'queued', error, Date.now());
+    } else {
+      await finishJob(job, 'failed', error);
+      await handlers.get(job.type)?.onFailed?.(job.payload, new Error(error), job);
+    }
+  }
+
+  if (stale.length > 0) {
+    console.log(`♻️ Recovered ${stale.length} interrupted job(s)`);
+  }
+  return stale.length;
+};
+
+export const startJobQueue = () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(pump, POLL_INTERVAL_MS);
+  // Don't keep the process alive just for polling
+  pollTimer.unref();
+  setImmediate(pump);
+  console.log(`✅ Job queue started (concurrency ${CONCURRENCY})`);
+};
+
+export const stopJobQueue = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+// Resolves once every job has completed or failed (polls only while the queue is started)
+export const waitForIdle = () => new Promise(resolve => {
+  idleWaiters.push(resolve);
+  setImmediate(pump);
+});
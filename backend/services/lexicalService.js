@@ -0,0 +1,55 @@
+import { dbUtils } from '../config/database.js';
+import { toDocumentIdList } from './vectorService.js';
+import { chunkLocation } from './citationService.js';
+
+// Cap on query terms so a pasted paragraph doesn't turn into a huge MATCH expression
+const MAX_QUERY_TERMS = 32;
+
+// Turn free text into an FTS5 query: every word quoted (so codes like E_1042 or
+// operators like AND/NEAR are taken literally) and OR-ed so BM25 ranks partial matches
+export const buildMatchQuery = (query) => {
+  const terms = (query.match(/[\p{L}\p{N}_]+/gu) || []).slice(0, MAX_QUERY_TERMS);
+  return terms.map(term => `"${term}"`).join(' OR ');
+};
+
+// Keyword search over chunk text, ranked by BM25, limited to documents the user can access
+export const searchLexicalChunks = async (query, userId, documentIds = null, topK = 5) => {
+  if (!userId) {
+    throw new Error('searchLexicalChunks requires the requesting user');
+  }
+
+  const matchQuery = buildMatchQuery(query);
+  if (!matchQuery) return [];
+
+  const allowedIds = toDocumentIdList(documentIds);
+
+  try {
+    const accessibleIds = await dbUtils.getAccessibleDocumentIds(userId, allowedIds);
+    if (accessibleIds.length === 0) return [];
+
+    const rows = await dbUtils.db.allAsync(
+      `SELECT dc.*, bm25(document_chunks_fts) AS bm25
+       FROM document_chunks_fts
+       JOIN document_chunks dc ON dc.id = document_chunks_fts.rowid
+       JOIN documents d ON d.id = dc.document_id AND dc.version = d.chunk_version
+       WHERE document_chunks_fts MATCH ?
+         AND dc.document_id IN (${accessibleIds.map(() => '?').join(', ')})
+       ORDER BY bm25
+       LIMIT ?`,
+      [matchQuery, ...accessibleIds, topK]
+    );
+
+    // SQLite's bm25() is negative with lower meaning better; flip it so higher is better
+    return rows.map(row => ({
+      chunkId: row.id,
+      text: row.chunk_text,
+      lexicalScore: -row.bm25,
+      documentId: row.document_id,
+      chunkIndex: row.chunk_index,
+      ...chunkLocation(row)
+    }));
+  } catch (error) {
+    console.warn('Error searching chunk text index:', error.message);
+    return [];
+  }
+};
@@ -0,0 +1,81 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Created on first use so a missing GOOGLE_API_KEY only matters if Gemini is selected
+let genAI = null;
+const getClient = () => {
+  if (!genAI) {
+    genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+  }
+  return genAI;
+};
+
+// Gemini takes the system prompt separately and calls the assistant role "model"
+const toGeminiRequest = (messages) => ({
+  systemInstruction: messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n') || undefined,
+  contents: messages
+    .filter(message => message.role !== 'system')
+    .map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }]
+    }))
+});
+
+export const geminiProvider = {
+  name: 'gemini',
+  requiredEnv: ['GOOGLE_API_KEY'],
+  defaultModel: 'gemini-1.5-flash',
+  embeddingModel: () => process.env.GEMINI_EMBEDDING_MODEL || 'embedding-001',
+  embeddingBatchSize: 100,
+
+  async complete({ model, messages, temperature, maxTokens, topP, onToken, signal }) {
+    const { systemInstruction, contents } = toGeminiRequest(messages);
+    const generativeModel = getClient().getGenerativeModel({
+      model,
+      systemInstruction,
+      generationConfig: {
+        temperature,
+        topP,
+        maxOutputTokens: maxTokens
+      }
+    });
+
+    if (!onToken) {
+      const result = await generativeModel.generateContent({ contents }, { signal });
+      return { text: result.response.text(), aborted: false };
+    }
+
+    let text = '';
+    try {
+      const result = await generativeModel.generateContentStream({ contents }, { signal });
+      for await (const chunk of result.stream) {
+        const token = chunk.text();
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+      }
+    } catch (error) {
+      if (signal?.aborted) return { text, aborted: true };
+      throw error;
+    }
+
+    return { text, aborted: false };
+  },
+
+  async embed(text, model = geminiProvider.embeddingModel()) {
+    const embeddingModel = getClient().getGenerativeModel({ model });
+    const result = await embeddingModel.embedContent(text);
+    return result.embedding.values;
+  },
+
+  async embedBatch(texts, model = geminiProvider.embeddingModel()) {
+    const embeddingModel = getClient().getGenerativeModel({ model });
+    const result = await embeddingModel.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+    });
+    return result.embeddings.map(embedding => embedding.values);
+  }
+};
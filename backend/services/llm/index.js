@@ -0,0 +1,236 @@
+import { openRouterProvider } from './openRouterProvider.js';
+import { geminiProvider } from './geminiProvider.js';
+import { openAIProvider } from './openAIProvider.js';
+import { mockProvider } from './mockProvider.js';
+import { localProvider } from './localProvider.js';
+import { LLMUnavailableError, LLMRejectedError, isRetryable, shouldRetry, retryDelay, retryAfterMs, errorStatus, sleep } from './retryPolicy.js';
+import { createTokenBudget } from './tokenBudget.js';
+import { countTokens } from '../chunking/segments.js';
+
+// A provider needs { name, complete(request), embed(text, model?) }. complete() receives { model,
+// messages, temperature, maxTokens, topP, onToken?, signal? } and resolves with { text, aborted };
+// it may stream through onToken. embed() resolves with a number array from the given embedding
+// model, or embeddingModel() without one. Optionally it also has requiredEnv, defaultModel,
+// embeddingModel(), embeddingBatchSize and embedBatch(texts, model?), which resolves with one
+// vector per text from a single request of at most embeddingBatchSize texts; withDefaults fills
+// in whatever it leaves out.
+const DEFAULT_EMBEDDING_BATCH_SIZE = 16;
+
+const withDefaults = (provider) => ({
+  requiredEnv: [],
+  defaultModel: null,
+  embeddingModel: () => 'default',
+  embeddingBatchSize: DEFAULT_EMBEDDING_BATCH_SIZE,
+  // One embed() per text, in parallel, for providers without a batch endpoint
+  embedBatch: (texts, model) => Promise.all(texts.map(text => provider.embed(text, model))),
+  ...provider
+});
+
+const providers = {};
+
+// Make a provider available by name to LLM_PROVIDER, EMBEDDING_PROVIDER and model ids
+export const registerProvider = (provider) => {
+  providers[provider.name] = withDefaults(provider);
+};
+
+[openRouterProvider, geminiProvider, openAIProvider, mockProvider, localProvider].forEach(registerProvider);
+
+export const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return provider;
+};
+
+// Provider used for chat completions, selected by LLM_PROVIDER (defaults to OpenRouter)
+export const getChatProvider = () => getProvider(process.env.LLM_PROVIDER || openRouterProvider.name);
+
+// Provider used for embeddings, selected by EMBEDDING_PROVIDER (defaults to Gemini)
+export const getEmbeddingProvider = () => getProvider(process.env.EMBEDDING_PROVIDER || geminiProvider.name);
+
+// Chat model: LLM_MODEL if set, otherwise the provider's default
+export const getChatModel = (provider = getChatProvider()) => process.env.LLM_MODEL || provider.defaultModel;
+
+// "provider" or "provider:model" (model names may contain colons themselves, e.g.
+// "openrouter:meta-llama/llama-3.3-70b-instruct:free") as { provider, model }
+export const parseModelId = (id) => {
+  const separator = id.indexOf(':');
+  const provider = getProvider(separator === -1 ? id : id.slice(0, separator));
+  return { provider, model: separator === -1 ? provider.defaultModel : id.slice(separator + 1) };
+};
+
+export const modelId = ({ provider, model }) => `${provider.name}:${model}`;
+
+// Providers and models tried in order: the requested model (if any), LLM_PROVIDER/LLM_MODEL,
+// then each entry of LLM_FALLBACKS, a comma-separated list of model ids
+export const getCompletionTargets = (requestedModel = null) => {
+  const primary = getChatProvider();
+  const targets = [
+    ...(requestedModel ? [parseModelId(requestedModel)] : []),
+    { provider: primary, model: getChatModel(primary) },
+    ...(process.env.LLM_FALLBACKS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(parseModelId)
+  ];
+
+  // A model listed twice is only tried once
+  const seen = new Set();
+  return targets.filter(target => {
+    const id = modelId(target);
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+};
+
+// Run a chat completion, retrying transient failures with backoff and falling back through
+// getCompletionTargets(model). With onToken the answer is streamed; providers that can't stream
+// hand over the whole answer as a single token. Once tokens have reached the caller nothing
+// is retried, since they can't be taken back. Throws LLMUnavailableError if every target fails,
+// or LLMRejectedError if each one refused the request with a status retrying can't fix.
+export const complete = async ({ model: requestedModel = null, messages, temperature = 0.5, maxTokens = 1024, topP = 0.9, onToken, signal }) => {
+  const attempts = [];
+  let lastError = null;
+  // Whether some failure (a rate limit, an outage, an unexplained error) may clear up by itself
+  let transient = false;
+
+  for (const { provider, model } of getCompletionTargets(requestedModel)) {
+    for (let attempt = 0; ; attempt++) {
+      let streamed = false;
+      try {
+        const result = await provider.complete({
+          model,
+          messages,
+          temperature,
+          maxTokens,
+          topP,
+          signal,
+          onToken: onToken && ((token) => {
+            streamed = true;
+            onToken(token);
+          })
+        });
+
+        if (onToken && !streamed && result.text) {
+          onToken(result.text);
+        }
+
+        return { ...result, provider: provider.name, model };
+      } catch (error) {
+        lastError = error;
+        if (errorStatus(error) === null || isRetryable(error)) transient = true;
+        attempts.push({ provider: provider.name, model, status: errorStatus(error), message: error.message });
+        console.warn(`⚠️ ${provider.name} (${model}) failed on attempt ${attempt + 1}:`, error.message);
+
+        if (streamed) {
+          throw new LLMUnavailableError('The AI service stopped responding mid-answer. Please try again.', { attempts });
+        }
+        if (signal?.aborted) return { text: '', aborted: true, provider: provider.name, model };
+        if (!shouldRetry(error, attempt)) break;
+
+        const delay = retryDelay(error, attempt);
+        console.log(`🔁 Retrying ${provider.name} in ${Math.round(delay)}ms`);
+        if (!await sleep(delay, signal)) {
+          return { text: '', aborted: true, provider: provider.name, model };
+        }
+      }
+    }
+  }
+
+  if (lastError && !transient) {
+    throw new LLMRejectedError('The AI service rejected the request. Please contact the administrator.', { attempts });
+  }
+
+  const wait = lastError ? retryAfterMs(lastError) : null;
+  throw new LLMUnavailableError('The AI service is temporarily unavailable. Please try again shortly.', {
+    retryAfter: wait !== null ? Math.ceil(wait / 1000) : null,
+    attempts
+  });
+};
+
+// Environment variables the configured chat and embedding providers need
+export const getProviderEnvVars = () => [
+  ...new Set([...getChatProvider().requiredEnv, ...getEmbeddingProvider().requiredEnv])
+];
+
+// Embedders tried in order: EMBEDDING_PROVIDER, then EMBEDDING_FALLBACK (the local model
+// unless set to "none"), each with its configured embedding model
+export const getEmbeddingTargets = () => {
+  const fallback = process.env.EMBEDDING_FALLBACK || localProvider.name;
+  const names = [getEmbeddingProvider().name, ...(fallback === 'none' ? [] : [fallback])];
+  return [...new Set(names)].map(getProvider).map(provider => ({ provider, model: provider.embeddingModel() }));
+};
+
+// Tokens per minute each embedding provider may be sent (0: no limit); the local model has no quota
+const EMBEDDING_TOKENS_PER_MINUTE = parseInt(process.env.EMBEDDING_TOKENS_PER_MINUTE) || 0;
+const embeddingBudgets = new Map(); // provider name -> token budget
+
+const embeddingBudget = (provider) => {
+  if (!embeddingBudgets.has(provider.name)) {
+    const limit = provider.name === localProvider.name ? 0 : EMBEDDING_TOKENS_PER_MINUTE;
+    embeddingBudgets.set(provider.name, createTokenBudget(limit));
+  }
+  return embeddingBudgets.get(provider.name);
+};
+
+// Most texts and tokens worth putting in one embedding request: the batch size of the given
+// model's provider (the first embedder's without one), and no more tokens than a minute's budget
+export const getEmbeddingBatchLimits = (id = null) => ({
+  texts: (id ? parseModelId(id) : getEmbeddingTargets()[0]).provider.embeddingBatchSize,
+  tokens: EMBEDDING_TOKENS_PER_MINUTE || Infinity
+});
+
+// One embedding request to a provider and model once its token budget has room, retrying
+// rate limits and transient errors with backoff like complete() does
+const requestEmbeddings = async ({ provider, model }, texts) => {
+  await embeddingBudget(provider).take(texts.reduce((sum, text) => sum + countTokens(text), 0));
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return texts.length === 1
+        ? [await provider.embed(texts[0], model)]
+        : await provider.embedBatch(texts, model);
+    } catch (error) {
+      if (!shouldRetry(error, attempt)) throw error;
+      const delay = retryDelay(error, attempt);
+      console.log(`🔁 Retrying ${provider.name} embeddings in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+// Embed texts in one request with the first embedder that works, as { vectors, model } where
+// model is the "provider:model" id that produced them. Vectors of different models live in
+// different spaces (usually with different dimensions too), so they must never be compared.
+export const embedBatch = async (texts) => {
+  let lastError = null;
+  for (const target of getEmbeddingTargets()) {
+    try {
+      return { vectors: await requestEmbeddings(target, texts), model: modelId(target) };
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️ Embedding with ${modelId(target)} failed:`, error.message);
+    }
+  }
+  throw lastError;
+};
+
+// Embed one text the same way, as { vector, model }
+export const embed = async (text) => {
+  const { vectors: [vector], model } = await embedBatch([text]);
+  return { vector, model };
+};
+
+// Embed texts in one request with one particular model and no fallback, as { vectors, model }
+export const embedBatchWith = async (id, texts) => {
+  return { vectors: await requestEmbeddings(parseModelId(id), texts), model: id };
+};
+
+// Embed text with one particular model, e.g. a query to compare with chunks that model embedded
+export const embedWith = async (id, text) => {
+  const { vectors: [vector] } = await embedBatchWith(id, [text]);
+  return { vector, model: id };
+};
@@ -0,0 +1,49 @@
+// Sentence-transformer embeddings computed on the CPU with ONNX Runtime (transformers.js), so
+// documents can be embedded offline. Embedding only: there is no local chat model.
+const embeddingModel = () => process.env.LOCAL_EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+
+// One feature-extraction pipeline per model, loaded on first use. transformers.js is imported
+// lazily too: ONNX Runtime is large and only needed when a local model is. The model files are
+// downloaded once into LOCAL_MODEL_DIR; with LOCAL_MODEL_OFFLINE=true only files already
+// there are used.
+const pipelines = new Map();
+const loadPipeline = (model) => {
+  if (!pipelines.has(model)) {
+    const loading = (async () => {
+      const { pipeline, env } = await import('@huggingface/transformers');
+      if (process.env.LOCAL_MODEL_DIR) env.cacheDir = process.env.LOCAL_MODEL_DIR;
+      if (process.env.LOCAL_MODEL_OFFLINE === 'true') env.allowRemoteModels = false;
+      console.log(`📦 Loading local embedding model ${model}`);
+      return await pipeline('feature-extraction', model);
+    })();
+    // A failed load (e.g. no network for the download) is tried again next time
+    loading.catch(() => pipelines.delete(model));
+    pipelines.set(model, loading);
+  }
+  return pipelines.get(model);
+};
+
+export const localProvider = {
+  name: 'local',
+  requiredEnv: [],
+  defaultModel: null,
+  embeddingModel,
+  // Texts embedded in one pass; larger batches mostly cost memory on the CPU
+  embeddingBatchSize: 32,
+
+  async complete() {
+    throw new Error('The local provider only creates embeddings');
+  },
+
+  async embed(text, model = embeddingModel()) {
+    const [vector] = await localProvider.embedBatch([text], model);
+    return vector;
+  },
+
+  // Mean of the token embeddings, unit length: how sentence-transformers models are meant to be pooled
+  async embedBatch(texts, model = embeddingModel()) {
+    const extractor = await loadPipeline(model);
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  }
+};
@@ -0,0 +1,54 @@
+// Deterministic offline provider for development and tests: no network, same input always
+// gives the same output. Answers restate the question and cite every context in the prompt.
+const MOCK_EMBEDDING_DIMENSIONS = 256;
+
+const hashWord = (word) => {
+  let hash = 0;
+  for (let i = 0; i < word.length; i++) {
+    hash = (hash * 31 + word.charCodeAt(i)) | 0;
+  }
+  return hash;
+};
+
+const mockAnswer = (messages) => {
+  const prompt = messages.filter(message => message.role === 'user').map(message => message.content).pop() || '';
+  const question = (prompt.match(/^(?:Current question|Question):\s*(.+)$/m)?.[1] || prompt.split('\n')[0]).trim();
+  const contexts = [...new Set([...prompt.matchAll(/\[Context (\d+)\]/g)].map(match => match[1]))];
+  const citations = contexts.map(n => `[${n}]`).join('');
+
+  return `Mock answer: ${question}${citations ? ` ${citations}` : ''}`;
+};
+
+export const mockProvider = {
+  name: 'mock',
+  requiredEnv: [],
+  defaultModel: 'mock-1',
+  embeddingModel: () => `hash-${MOCK_EMBEDDING_DIMENSIONS}`,
+  embeddingBatchSize: 100,
+
+  async complete({ messages, onToken, signal }) {
+    const answer = mockAnswer(messages);
+    if (!onToken) return { text: answer, aborted: false };
+
+    // Stream word by word, the way a real model would
+    let text = '';
+    for (const token of answer.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) return { text, aborted: true };
+      text += token;
+      onToken(token);
+    }
+    return { text, aborted: false };
+  },
+
+  async embed(text) {
+    const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+    for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      vector[Math.abs(hashWord(word)) % MOCK_EMBEDDING_DIMENSIONS] += 1;
+    }
+    return vector;
+  },
+
+  async embedBatch(texts) {
+    return Promise.all(texts.map(text => mockProvider.embed(text)));
+  }
+};
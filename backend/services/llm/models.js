@@ -0,0 +1,54 @@
+import { getCompletionTargets, parseModelId, modelId } from './index.js';
+
+// Bounds for user-chosen generation settings
+export const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  maxTokens: { min: 64, max: 4096 },
+  topP: { min: 0, max: 1 }
+};
+
+// Used when neither the conversation nor the user chose a value
+export const DEFAULT_GENERATION_SETTINGS = {
+  model: null,
+  temperature: 0.5,
+  maxTokens: 1024,
+  topP: 0.9
+};
+
+// Models users may pick: the configured primary and fallbacks, plus any extra ids listed in
+// LLM_MODELS (same "provider:model" format as LLM_FALLBACKS)
+export const listModels = () => {
+  const configured = getCompletionTargets();
+  const extra = (process.env.LLM_MODELS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(parseModelId);
+
+  const seen = new Set();
+  return [...configured, ...extra]
+    .map((target, index) => ({
+      id: modelId(target),
+      provider: target.provider.name,
+      model: target.model,
+      default: index === 0
+    }))
+    .filter(({ id }) => {
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+};
+
+export const isKnownModel = (id) => listModels().some(model => model.id === id);
+
+// Merge settings layers (e.g. request, conversation, user); the first layer that sets a
+// value wins and anything unset falls back to the defaults
+export const resolveGenerationSettings = (...layers) => {
+  const resolved = { ...DEFAULT_GENERATION_SETTINGS };
+  for (const key of Object.keys(resolved)) {
+    const layer = layers.find(settings => settings?.[key] !== undefined && settings?.[key] !== null);
+    if (layer) resolved[key] = layer[key];
+  }
+  return resolved;
+};
@@ -0,0 +1,111 @@
+import axios from 'axios';
+
+// Shared implementation for any server that speaks the OpenAI chat completions protocol
+// (OpenRouter, OpenAI, llama.cpp's server, Ollama, vLLM, ...).
+export const createOpenAICompatibleProvider = ({
+  name,
+  requiredEnv = [],
+  baseURL,
+  getApiKey = () => null,
+  headers = {},
+  defaultModel,
+  embeddingModel,
+  embeddingBatchSize = 64
+}) => {
+  const createClient = () => {
+    const apiKey = getApiKey();
+    return axios.create({
+      baseURL: baseURL(),
+      headers: {
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        'Content-Type': 'application/json',
+        ...headers
+      }
+    });
+  };
+
+  // Read the Server-Sent Events body of a streamed completion: "data: {json}" lines ending
+  // with "data: [DONE]". Resolves early with the partial text if the signal aborts.
+  const readStream = async (stream, { onToken, signal }) => {
+    let text = '';
+    let buffer = '';
+    try {
+      for await (const piece of stream) {
+        buffer += piece.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+
+          const data = trimmed.slice(5).trim();
+          if (data === '[DONE]') return { text, aborted: false };
+
+          const event = JSON.parse(data);
+          if (event.error) {
+            throw new Error(event.error.message || `${name} stream error`);
+          }
+          const token = event.choices?.[0]?.delta?.content;
+          if (token) {
+            text += token;
+            onToken(token);
+          }
+        }
+      }
+    } catch (error) {
+      if (signal?.aborted) return { text, aborted: true };
+      throw error;
+    }
+
+    return { text, aborted: Boolean(signal?.aborted) };
+  };
+
+  return {
+    name,
+    requiredEnv,
+    defaultModel,
+    embeddingModel,
+    embeddingBatchSize,
+
+    async complete({ model, messages, temperature, maxTokens, topP, onToken, signal }) {
+      const client = createClient();
+      const body = {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        top_p: topP
+      };
+
+      if (!onToken) {
+        const response = await client.post('/chat/completions', body, { signal });
+        return { text: response.data.choices[0].message.content, aborted: false };
+      }
+
+      try {
+        const response = await client.post('/chat/completions', { ...body, stream: true }, {
+          responseType: 'stream',
+          signal
+        });
+        return await readStream(response.data, { onToken, signal });
+      } catch (error) {
+        if (signal?.aborted) return { text: '', aborted: true };
+        throw error;
+      }
+    },
+
+    async embed(text, model = embeddingModel()) {
+      const client = createClient();
+      const response = await client.post('/embeddings', { model, input: text });
+      return response.data.data[0].embedding;
+    },
+
+    async embedBatch(texts, model = embeddingModel()) {
+      const client = createClient();
+      const response = await client.post('/embeddings', { model, input: texts });
+      // Each entry carries the index of its input; servers needn't keep the order
+      return [...response.data.data].sort((a, b) => a.index - b.index).map(entry => entry.embedding);
+    }
+  };
+};
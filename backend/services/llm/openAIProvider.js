@@ -0,0 +1,11 @@
+import { createOpenAICompatibleProvider } from './openAICompatible.js';
+
+// Any OpenAI-compatible endpoint, e.g. a local llama.cpp server (http://localhost:8080/v1)
+// or Ollama (http://localhost:11434/v1). The API key is optional for local servers.
+export const openAIProvider = createOpenAICompatibleProvider({
+  name: 'openai',
+  baseURL: () => process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+  getApiKey: () => process.env.OPENAI_API_KEY || null,
+  defaultModel: 'llama3.1',
+  embeddingModel: () => process.env.OPENAI_EMBEDDING_MODEL || 'nomic-embed-text'
+});
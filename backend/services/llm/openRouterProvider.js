@@ -0,0 +1,27 @@
+import { createOpenAICompatibleProvider } from './openAICompatible.js';
+
+// OpenRouter configuration
+const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1';
+
+// Get API key dynamically (to handle timing issues)
+const getApiKey = () => {
+  const apiKey = process.env.OPENROUTER_API_KEY;
+  if (!apiKey) {
+    console.error('❌ OPENROUTER_API_KEY is missing from environment variables');
+    throw new Error('OpenRouter API key not configured');
+  }
+  return apiKey;
+};
+
+export const openRouterProvider = createOpenAICompatibleProvider({
+  name: 'openrouter',
+  requiredEnv: ['OPENROUTER_API_KEY'],
+  baseURL: () => OPENROUTER_API_URL,
+  getApiKey,
+  headers: {
+    'HTTP-Referer': process.env.FRONTEND_URL || 'http://localhost:5173',
+    'X-Title': 'Docu Genie'
+  },
+  defaultModel: 'openai/gpt-oss-20b:free',
+  embeddingModel: () => process.env.OPENROUTER_EMBEDDING_MODEL || 'openai/text-embedding-3-small'
+});
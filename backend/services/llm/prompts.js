@@ -0,0 +1,209 @@
+import { contextLabel } from '../citationService.js';
+
+// Prompt recipes shared by every provider. Each builder returns the messages plus the
+// sampling settings for one kind of request, ready to hand to complete().
+
+// Tables start on their own line so their Markdown rows stay intact
+const formatContext = (chunks) => chunks.map((chunk, index) => 
+  `${contextLabel(chunk, index)}:${chunk.chunkType === 'table' ? '\n' : ' '}${chunk.text}`
+).join('\n\n');
+
+const formatHistory = (conversationHistory, turns) => conversationHistory.length > 0 
+  ? conversationHistory.slice(-turns).map(msg => `${msg.role}: ${msg.content}`).join('\n')
+  : '';
+
+// Answer a question about one document from its retrieved chunks
+export const documentAnswerPrompt = ({ query, documentName, chunks, conversationHistory = [] }) => {
+  const context = formatContext(chunks);
+  const historyContext = formatHistory(conversationHistory, 6);
+
+  const prompt = `You are Docu Genie, an intelligent assistant that helps users understand their documents. Maintain a professional, concise, and friendly tutoring tone. You have access to content from "${documentName}" and should provide helpful, accurate answers based on the document content.
+
+Context from the document:
+${context}
+
+${historyContext ? `Previous conversation:\n${historyContext}\n` : ''}
+
+Current question: ${query}
+
+Instructions:
+1. Synthesize the answer in your own words based on the context. Do not copy long passages. Quote only short phrases when necessary and keep quotes under ~20 words.
+2. Format your response using plain text (no Markdown needed) with clear sections and bullets:
+ - Title: a short, professional heading
+ - Answer: 1–2 sentences
+ - Key points: 3–5 concise bullets (prefix with "- ")
+ - Optional example: 1 short example if helpful (paraphrased)
+ - Next steps: 1 follow-up suggestion if context is incomplete
+3. Keep the response concise (under 200–250 words) and conversational yet professional.
+4. If the context is insufficient, state what’s missing and ask a targeted follow-up question.
+5. Do not repeat the context verbatim and do not invent facts not grounded in the context.
+6. Cite the context that supports each claim inline with its number in square brackets, e.g. [1] or [2][3]. Only use numbers of the contexts above.
+7. Context marked [low-confidence OCR] was read from an image and may contain misread words. If your answer depends on it, say that the source text may be inaccurate.
+8. Some context is a Markdown table (rows of "| a | b |" under a header row). Read a value by matching its row and column headers, and quote the numbers exactly as they appear.
+
+Answer:`;
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: 'You are Docu Genie, a helpful document assistant. Use a professional tutoring tone. Synthesize in your own words. Start with a brief answer, then provide clean bullet points. Avoid copying long passages.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    maxTokens: 1024,
+    temperature: 0.5,
+    topP: 0.9
+  };
+};
+
+// Answer a general question, using chunks from the user's documents when any were found
+export const generalAnswerPrompt = ({ query, chunks, conversationHistory = [] }) => {
+  const historyContext = formatHistory(conversationHistory, 4);
+
+  let prompt = `You are Docu Genie, a helpful document assistant. Maintain a professional, concise, and friendly tutoring tone. `;
+
+  if (chunks.length > 0) {
+    const context = formatContext(chunks);
+
+    prompt += `I found some relevant information from your uploaded documents:
+
+${context}
+
+${historyContext ? `Previous conversation:\n${historyContext}\n` : ''}
+
+Question: ${query}
+
+Please provide a helpful response based on the available context and your knowledge.
+
+Instructions:
+1. Synthesize in your own words; do not copy long passages from the context.
+2. Use plain-text sections and bullets:
+ - Title
+ - Answer (1–2 sentences)
+ - Key points (3–5 bullets with "- ")
+ - Optional example (paraphrased)
+ - Next steps (if needed)
+3. Keep it concise (under 200–250 words).
+4. Cite the context that supports each claim inline with its number in square brackets, e.g. [1] or [2][3]. Only use numbers of the contexts above.
+5. Context marked [low-confidence OCR] was read from an image and may contain misread words. If your answer depends on it, say that the source text may be inaccurate.
+6. Some context is a Markdown table (rows of "| a | b |" under a header row). Read a value by matching its row and column headers, and quote the numbers exactly as they appear.`;
+  } else {
+    prompt += `${historyContext ? `Previous conversation:\n${historyContext}\n` : ''}
+
+Question: ${query}
+
+Please provide a helpful educational response in a conversational, professional tone. If this is about study materials, suggest that the user upload their documents for more specific help. Format with Title, Answer, Key points (bullets), and Next steps when suitable.`;
+  }
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: 'You are Docu Genie, a helpful document assistant. Write in a conversational tutoring tone, synthesize in your own words, and avoid copying long passages.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    maxTokens: 1024,
+    temperature: 0.5,
+    topP: 0.9
+  };
+};
+
+// Study questions from a sample of a document's content
+export const suggestQuestionsPrompt = ({ documentName, sampleContent }) => {
+  const prompt = `Based on this content from "${documentName}", suggest 3-5 good study questions that would help a student understand the key concepts:
+
+Content:
+${sampleContent}
+
+Generate questions that are:
+1. Specific to the content
+2. Educational and thought-provoking
+3. Suitable for studying/review
+4. Varied in difficulty
+
+Format as a simple list of questions:`;
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: 'You are Docu Genie. Generate helpful questions based on the given content.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    maxTokens: 512,
+    temperature: 0.7,
+    topP: 0.9
+  };
+};
+
+// Short study summary from representative chunks of a document
+export const summaryPrompt = ({ documentName, contentSample }) => {
+  const prompt = `Please provide a concise summary of this document "${documentName}":
+
+Content:
+${contentSample}
+
+Summary requirements:
+1. Capture the main topics and key points
+2. Keep it under 200 words
+3. Make it helpful for studying
+4. Use clear, educational language
+5. Refer to chapters by name when the content is labelled with them
+
+Summary:`;
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: 'You are Docu Genie. Provide concise, helpful summaries of documents.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    maxTokens: 512,
+    temperature: 0.7,
+    topP: 0.95
+  };
+};
+
+// Grade every candidate passage for relevance in a single call (used by the LLM reranker)
+export const rerankPrompt = ({ query, passages }) => {
+  const prompt = `Rate how well each passage answers the question, from 0 (irrelevant) to 10 (directly answers it).
+
+Question: ${query}
+
+Passages:
+${passages}
+
+Reply with only a JSON array like [{"id": 1, "score": 7}], one entry per passage.`;
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: 'You are a search relevance grader. Reply with JSON only.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    maxTokens: 512,
+    temperature: 0
+  };
+};
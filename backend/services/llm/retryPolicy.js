@@ -0,0 +1,81 @@
+import { AppError } from '../../middleware/errorHandler.js';
+
+// Retries per provider/model before moving on to the next fallback
+const MAX_RETRIES = process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2;
+// First backoff delay; each further retry doubles it
+const BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS) || 1000;
+// Longest we wait before a retry. A Retry-After beyond this skips to the next fallback instead.
+const MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS) || 20000;
+
+const TRANSIENT_NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE']);
+
+// Every provider and model in the fallback list failed; the client may try again later
+export class LLMUnavailableError extends AppError {
+  constructor(message, { retryAfter = null, attempts = [] } = {}) {
+    super(message, 503, 'AI_UNAVAILABLE');
+    this.retryable = true;
+    this.retryAfter = retryAfter;
+    this.attempts = attempts;
+  }
+}
+
+// Every provider and model in the fallback list refused the request itself (bad credentials,
+// unknown model, malformed request): trying again won't help until the configuration is fixed
+export class LLMRejectedError extends AppError {
+  constructor(message, { attempts = [] } = {}) {
+    super(message, 502, 'AI_REQUEST_REJECTED');
+    this.retryable = false;
+    this.attempts = attempts;
+  }
+}
+
+// HTTP status of a provider error, whichever SDK produced it
+export const errorStatus = (error) => error.response?.status ?? error.status ?? null;
+
+// Rate limits, server errors and dropped connections are worth retrying; bad requests,
+// auth failures and unknown models are not
+export const isRetryable = (error) => {
+  const status = errorStatus(error);
+  if (status !== null) return status === 408 || status === 429 || status >= 500;
+  return TRANSIENT_NETWORK_CODES.has(error.code) || (error.isAxiosError && !error.response);
+};
+
+// Retry-After in milliseconds (the header is either seconds or an HTTP date), or null
+export const retryAfterMs = (error) => {
+  const header = error.response?.headers?.['retry-after'];
+  if (header === undefined || header === null || header === '') return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+// Exponential backoff with jitter, unless the server told us how long to wait
+export const retryDelay = (error, attempt) => {
+  const requested = retryAfterMs(error);
+  if (requested !== null) return requested;
+  const backoff = BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(backoff / 2 + Math.random() * backoff / 2, MAX_DELAY_MS);
+};
+
+export const shouldRetry = (error, attempt) => {
+  if (attempt >= MAX_RETRIES || !isRetryable(error)) return false;
+  const requested = retryAfterMs(error);
+  return requested === null || requested <= MAX_DELAY_MS;
+};
+
+// Resolves after ms, or early (with false) when the signal aborts
+export const sleep = (ms, signal) => new Promise(resolve => {
+  if (signal?.aborted) return resolve(false);
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve(true);
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    resolve(false);
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
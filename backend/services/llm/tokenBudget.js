@@ -0,0 +1,32 @@
+import { sleep } from './retryPolicy.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Tokens-per-minute budget over a sliding window: take(tokens) resolves once the tokens sent
+// in the last minute leave room for these. A request larger than the whole budget waits for
+// an empty window rather than forever. Without a limit (0) take() never waits.
+export const createTokenBudget = (tokensPerMinute, windowMs = MINUTE_MS) => {
+  const sent = []; // [{ at, tokens }], oldest first
+
+  return {
+    tokensPerMinute,
+
+    async take(tokens) {
+      if (!tokensPerMinute) return;
+      const wanted = Math.min(tokens, tokensPerMinute);
+
+      for (;;) {
+        const now = Date.now();
+        while (sent.length > 0 && sent[0].at <= now - windowMs) sent.shift();
+
+        const used = sent.reduce((sum, entry) => sum + entry.tokens, 0);
+        if (used + wanted <= tokensPerMinute) {
+          sent.push({ at: now, tokens: wanted });
+          return;
+        }
+        // Wait until the oldest request leaves the window, then look again
+        await sleep(sent[0].at + windowMs - now + 1);
+      }
+    }
+  };
+};
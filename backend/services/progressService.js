@@ -0,0 +1,72 @@
+import { EventEmitter } from 'events';
+import { dbUtils } from '../config/database.js';
+
+// Stages a document moves through; 'done' and 'failed' are final
+export const PROGRESS_STAGES = ['queued', 'extracting', 'ocr', 'chunking', 'embedding', 'done', 'failed'];
+
+// Per-item updates (pages, chunks) are written at most this often; stage changes always are
+const WRITE_INTERVAL_MS = 1000;
+
+// Emits `document:<id>` with the saved progress whenever a document's progress is persisted
+export const progressEvents = new EventEmitter();
+// One listener per open status stream
+progressEvents.setMaxListeners(0);
+
+export const isFinalStage = (stage) => stage === 'done' || stage === 'failed';
+
+// Seconds left in the current stage, extrapolated from how long the finished items took
+const estimateEta = (startedAt, current, total, now) => {
+  if (!current || !total || current >= total) return null;
+  const perItem = (now - startedAt) / current;
+  return Math.round((perItem * (total - current)) / 1000);
+};
+
+const saveProgress = async (documentId, progress) => {
+  await dbUtils.updateDocumentProgress(documentId, progress);
+  progressEvents.emit(`document:${documentId}`, progress);
+};
+
+// report(stage, current, total) for one processing run of a document. current/total count
+// the stage's items (OCR pages, chunks) and may be omitted for stages without items.
+export const createProgressReporter = (documentId) => {
+  let stage = null;
+  let stageStartedAt = 0;
+  let lastWrite = 0;
+
+  return async (nextStage, current = null, total = null) => {
+    const now = Date.now();
+    const stageChanged = nextStage !== stage;
+    if (stageChanged) {
+      stage = nextStage;
+      stageStartedAt = now;
+    }
+
+    if (!stageChanged && current !== total && now - lastWrite < WRITE_INTERVAL_MS) return;
+    lastWrite = now;
+
+    try {
+      await saveProgress(documentId, {
+        stage,
+        current,
+        total,
+        etaSeconds: estimateEta(stageStartedAt, current, total, now),
+        updatedAt: new Date(now).toISOString()
+      });
+    } catch (error) {
+      // Progress is informational; never fail processing because of it
+      console.warn(`Failed to save progress for document ${documentId}:`, error.message);
+    }
+  };
+};
+
+// One-off stage change outside a processing run (queued, retrying, failed)
+export const reportStage = (documentId, stage) => createProgressReporter(documentId)(stage);
+
+export const parseProgress = (row) => {
+  if (!row?.progress) return null;
+  try {
+    return JSON.parse(row.progress);
+  } catch (error) {
+    return null;
+  }
+};
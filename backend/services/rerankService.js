@@ -0,0 +1,114 @@
+import { complete } from './llm/index.js';
+import { rerankPrompt } from './llm/prompts.js';
+
+// Words that carry no signal when comparing a question with a passage
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+  'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when',
+  'where', 'which', 'who', 'why', 'with', 'you', 'your', 'explain', 'tell', 'me', 'about'
+]);
+
+// Passages are cut to this length in the LLM reranking prompt to keep it affordable
+const LLM_PASSAGE_CHARS = 600;
+
+const tokenize = (text) => {
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).filter(token => !STOPWORDS.has(token));
+};
+
+// Offline heuristic: how many distinct query terms (and adjacent term pairs) the passage contains
+const overlapReranker = {
+  name: 'overlap',
+
+  async score(query, chunks) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return chunks.map(() => 0);
+
+    const queryTokens = tokenize(query);
+    const bigrams = [];
+    for (let i = 1; i < queryTokens.length; i++) {
+      bigrams.push(`${queryTokens[i - 1]} ${queryTokens[i]}`);
+    }
+
+    return chunks.map(chunk => {
+      const tokens = tokenize(chunk.text);
+      const vocabulary = new Set(tokens);
+      const coverage = terms.filter(term => vocabulary.has(term)).length / terms.length;
+
+      if (bigrams.length === 0) return coverage;
+
+      const passageBigrams = new Set();
+      for (let i = 1; i < tokens.length; i++) {
+        passageBigrams.add(`${tokens[i - 1]} ${tokens[i]}`);
+      }
+      const phraseMatch = bigrams.filter(bigram => passageBigrams.has(bigram)).length / bigrams.length;
+
+      return 0.8 * coverage + 0.2 * phraseMatch;
+    });
+  }
+};
+
+// Ask the chat model to grade every passage from 0 to 10 in a single call
+const llmReranker = {
+  name: 'llm',
+
+  async score(query, chunks) {
+    const passages = chunks
+      .map((chunk, index) => `[${index + 1}] ${chunk.text.substring(0, LLM_PASSAGE_CHARS)}`)
+      .join('\n\n');
+
+    const { text } = await complete(rerankPrompt({ query, passages }));
+    const match = text.match(/\[[\s\S]*\]/);
+    if (!match) {
+      throw new Error('Reranker reply did not contain a JSON array');
+    }
+
+    const grades = new Map(JSON.parse(match[0]).map(grade => [Number(grade.id), Number(grade.score)]));
+    return chunks.map((chunk, index) => {
+      const grade = grades.get(index + 1);
+      return Number.isFinite(grade) ? Math.min(Math.max(grade, 0), 10) / 10 : 0;
+    });
+  }
+};
+
+// Keeps the retrieval order; useful for comparing against the reranked output
+const noopReranker = {
+  name: 'none',
+
+  async score(query, chunks) {
+    return chunks.map(() => null);
+  }
+};
+
+const rerankers = {
+  [overlapReranker.name]: overlapReranker,
+  [llmReranker.name]: llmReranker,
+  [noopReranker.name]: noopReranker
+};
+
+// Reranker selected by RERANKER (defaults to the offline term-overlap heuristic)
+export const getReranker = (name = process.env.RERANKER || overlapReranker.name) => {
+  const reranker = rerankers[name];
+  if (!reranker) {
+    throw new Error(`Unknown reranker: ${name}`);
+  }
+  return reranker;
+};
+
+// Reorder retrieved chunks by reranker score and keep the best topN. Retrieval order
+// breaks ties, and an LLM failure falls back to the heuristic instead of failing the chat.
+export const rerankChunks = async (query, chunks, topN, reranker = getReranker()) => {
+  if (chunks.length === 0) return [];
+
+  let scores;
+  try {
+    scores = await reranker.score(query, chunks);
+  } catch (error) {
+    console.warn(`Reranker "${reranker.name}" failed, falling back to term overlap:`, error.message);
+    scores = await overlapReranker.score(query, chunks);
+  }
+
+  return chunks
+    .map((chunk, index) => ({ ...chunk, rerankScore: scores[index] }))
+    .sort((a, b) => (b.rerankScore ?? 0) - (a.rerankScore ?? 0))
+    .slice(0, topN);
+};
@@ -0,0 +1,67 @@
+import { searchSimilarChunks } from './vectorService.js';
+import { searchLexicalChunks } from './lexicalService.js';
+import { rerankChunks } from './rerankService.js';
+
+// How vector and keyword results are merged: 'rrf' (reciprocal rank fusion) or 'weighted'
+const FUSION_METHOD = process.env.RETRIEVAL_FUSION || 'rrf';
+// RRF damping constant; 60 is the value from the original RRF paper
+const RRF_K = parseInt(process.env.RETRIEVAL_RRF_K) || 60;
+// Share of the fused score given to the vector retriever (the lexical one gets the rest)
+const VECTOR_WEIGHT = process.env.RETRIEVAL_VECTOR_WEIGHT !== undefined
+  ? parseFloat(process.env.RETRIEVAL_VECTOR_WEIGHT)
+  : 0.5;
+// Size of the fused candidate pool handed to the reranker
+const RERANK_CANDIDATES = parseInt(process.env.RERANK_CANDIDATES) || 30;
+
+// Merge ranked result lists by chunk. Each list is { name, weight, results, score? } and
+// every fused entry records which retrievers found it.
+export const fuseResults = (lists, { method = FUSION_METHOD, rrfK = RRF_K } = {}) => {
+  const fused = new Map();
+
+  for (const { name, weight, results, score } of lists) {
+    // Min-max normalize raw scores for weighted fusion so the two scales are comparable
+    const raw = results.map(score || (() => 0));
+    const min = Math.min(...raw);
+    const max = Math.max(...raw);
+
+    results.forEach((result, rank) => {
+      const contribution = method === 'weighted'
+        ? weight * (max > min ? (raw[rank] - min) / (max - min) : 1)
+        : weight / (rrfK + rank + 1);
+
+      const entry = fused.get(result.chunkId) || { retrievers: [], score: 0 };
+      fused.set(result.chunkId, {
+        ...entry,
+        ...result,
+        retrievers: [...entry.retrievers, name],
+        score: entry.score + contribution
+      });
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+};
+
+// Hybrid retrieval: embedding similarity plus BM25 keyword matches fused into one
+// candidate pool, which the reranker trims down to the topK chunks that reach the prompt
+export const retrieveRelevantChunks = async (query, userId, documentIds = null, topK = 5) => {
+  const poolSize = Math.max(RERANK_CANDIDATES, topK);
+
+  const [vectorResults, lexicalResults] = await Promise.all([
+    searchSimilarChunks(query, userId, documentIds, poolSize),
+    searchLexicalChunks(query, userId, documentIds, poolSize)
+  ]);
+
+  const fused = fuseResults([
+    { name: 'vector', weight: VECTOR_WEIGHT, results: vectorResults, score: r => r.similarity },
+    { name: 'lexical', weight: 1 - VECTOR_WEIGHT, results: lexicalResults, score: r => r.lexicalScore }
+  ]);
+
+  const reranked = await rerankChunks(query, fused.slice(0, poolSize), topK);
+
+  return reranked.map(chunk => ({
+    ...chunk,
+    similarity: chunk.similarity ?? null,
+    lexicalScore: chunk.lexicalScore ?? null
+  }));
+};
@@ -0,0 +1,193 @@
+import { dbUtils } from '../config/database.js';
+
+// Number of clusters each document's IVF index may grow to per embedding model, and how many
+// to probe per query
+const IVF_MAX_LISTS = parseInt(process.env.VECTOR_INDEX_LISTS) || 16;
+const IVF_NPROBE = parseInt(process.env.VECTOR_INDEX_NPROBE) || 4;
+// A new vector opens its own cluster while it is less similar than this to every centroid
+const IVF_NEW_LIST_THRESHOLD = 0.9;
+// Probe until at least this many candidates per requested result have been gathered
+const IVF_CANDIDATES_PER_RESULT = 4;
+
+// Store embeddings as unit-length Float32 BLOBs so cosine similarity is a plain dot product
+export const encodeEmbedding = (values) => {
+  return Buffer.from(normalizeVector(Float32Array.from(values)).buffer);
+};
+
+export const decodeEmbedding = (blob) => {
+  // Copy out of the Buffer because SQLite hands back slices that may not be 4-byte aligned
+  const bytes = blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength);
+  return new Float32Array(bytes);
+};
+
+export const normalizeVector = (vector) => {
+  let magnitude = 0;
+  for (let i = 0; i < vector.length; i++) magnitude += vector[i] * vector[i];
+  magnitude = Math.sqrt(magnitude);
+  const normalized = new Float32Array(vector.length);
+  if (magnitude > 0) {
+    for (let i = 0; i < vector.length; i++) normalized[i] = vector[i] / magnitude;
+  }
+  return normalized;
+};
+
+export const dotProduct = (a, b) => {
+  if (a.length !== b.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// Chunks of the documents' active versions only; a version still being built stays invisible
+const ACTIVE_CHUNKS = `SELECT dc.* FROM document_chunks dc
+  JOIN documents d ON d.id = dc.document_id AND dc.version = d.chunk_version`;
+
+// Only chunks embedded by the query's model, with its dimension, are ever compared with it.
+// A null model matches chunks stored before models were recorded.
+const SAME_MODEL = 'dc.embedding_model IS ? AND dc.embedding_dimension = ?';
+
+// An index is { name, add(documentId, [{ chunkId, vector, model }]), removeDocument(documentId),
+// candidates(queryVector, documentIds, topK, model) } where model is the "provider:model" id
+// of the embedder
+
+// Brute force: every chunk of every allowed document is a candidate
+const flatIndex = {
+  name: 'flat',
+
+  async add() {
+    // Vectors live on the chunk rows already; nothing else to maintain
+  },
+
+  async removeDocument() {},
+
+  async candidates(queryVector, documentIds, topK, model = null) {
+    if (documentIds.length === 0) return [];
+    return await dbUtils.db.allAsync(
+      `${ACTIVE_CHUNKS} WHERE dc.embedding IS NOT NULL AND dc.document_id IN (${placeholders(documentIds)}) AND ${SAME_MODEL}`,
+      [...documentIds, model, queryVector.length]
+    );
+  }
+};
+
+// Inverted file index: chunks are grouped into clusters per document and embedding model, and
+// only the clusters whose centroids are closest to the query are scanned
+const listCache = new Map(); // documentId -> [{ id, centroid, size, model }]
+
+const loadLists = async (documentId) => {
+  if (!listCache.has(documentId)) {
+    const rows = await dbUtils.db.allAsync(
+      'SELECT id, centroid, size, embedding_model FROM vector_index_lists WHERE document_id = ?',
+      [documentId]
+    );
+    listCache.set(documentId, rows.map(row => ({
+      id: row.id,
+      centroid: decodeEmbedding(row.centroid),
+      size: row.size,
+      model: row.embedding_model
+    })));
+  }
+  return listCache.get(documentId);
+};
+
+const ivfIndex = {
+  name: 'ivf',
+
+  async add(documentId, entries) {
+    const allLists = await loadLists(documentId);
+
+    for (const { chunkId, vector, model = null } of entries) {
+      const unit = normalizeVector(Float32Array.from(vector));
+      const lists = allLists.filter(list => list.model === model && list.centroid.length === unit.length);
+
+      let best = null;
+      let bestScore = -Infinity;
+      for (const list of lists) {
+        const score = dotProduct(unit, list.centroid);
+        if (score > bestScore) {
+          best = list;
+          bestScore = score;
+        }
+      }
+
+      if (!best || (lists.length < IVF_MAX_LISTS && bestScore < IVF_NEW_LIST_THRESHOLD)) {
+        const result = await dbUtils.db.runAsync(
+          'INSERT INTO vector_index_lists (document_id, centroid, size, embedding_model) VALUES (?, ?, 1, ?)',
+          [documentId, Buffer.from(unit.buffer), model]
+        );
+        best = { id: result.lastID, centroid: unit, size: 1, model };
+        allLists.push(best);
+      } else {
+        // Running mean of the members, renormalized so centroid scores stay comparable
+        const merged = new Float32Array(unit.length);
+        for (let i = 0; i < unit.length; i++) {
+          merged[i] = (best.centroid[i] * best.size + unit[i]) / (best.size + 1);
+        }
+        best.centroid = normalizeVector(merged);
+        best.size += 1;
+        await dbUtils.db.runAsync(
+          'UPDATE vector_index_lists SET centroid = ?, size = ? WHERE id = ?',
+          [Buffer.from(best.centroid.buffer), best.size, best.id]
+        );
+      }
+
+      await dbUtils.db.runAsync('UPDATE document_chunks SET ivf_list_id = ? WHERE id = ?', [best.id, chunkId]);
+    }
+  },
+
+  async removeDocument(documentId) {
+    listCache.delete(documentId);
+    await dbUtils.db.runAsync('DELETE FROM vector_index_lists WHERE document_id = ?', [documentId]);
+    await dbUtils.db.runAsync('UPDATE document_chunks SET ivf_list_id = NULL WHERE document_id = ?', [documentId]);
+  },
+
+  async candidates(queryVector, documentIds, topK, model = null) {
+    if (documentIds.length === 0) return [];
+
+    const query = normalizeVector(Float32Array.from(queryVector));
+    const ranked = [];
+    for (const documentId of documentIds) {
+      for (const list of await loadLists(documentId)) {
+        if (list.model !== model || list.centroid.length !== query.length) continue;
+        ranked.push({ id: list.id, size: list.size, score: dotProduct(query, list.centroid) });
+      }
+    }
+    ranked.sort((a, b) => b.score - a.score);
+
+    const wanted = topK * IVF_CANDIDATES_PER_RESULT;
+    const probed = [];
+    let gathered = 0;
+    for (const list of ranked) {
+      if (probed.length >= IVF_NPROBE && gathered >= wanted) break;
+      probed.push(list.id);
+      gathered += list.size;
+    }
+
+    // Chunks that were never indexed are always scanned so nothing silently disappears
+    const params = [...documentIds, model, query.length];
+    let sql = `${ACTIVE_CHUNKS}
+      WHERE dc.embedding IS NOT NULL AND dc.document_id IN (${placeholders(documentIds)}) AND ${SAME_MODEL}
+      AND (dc.ivf_list_id IS NULL`;
+    if (probed.length > 0) {
+      sql += ` OR dc.ivf_list_id IN (${placeholders(probed)})`;
+      params.push(...probed);
+    }
+    return await dbUtils.db.allAsync(`${sql})`, params);
+  }
+};
+
+const vectorIndexes = {
+  [flatIndex.name]: flatIndex,
+  [ivfIndex.name]: ivfIndex
+};
+
+// Index implementation selected by VECTOR_INDEX (defaults to IVF)
+export const getVectorIndex = () => {
+  const name = process.env.VECTOR_INDEX || ivfIndex.name;
+  const index = vectorIndexes[name];
+  if (!index) {
+    throw new Error(`Unknown vector index: ${name}`);
+  }
+  return index;
+};
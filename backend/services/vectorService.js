@@ -1,102 +1,191 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import crypto from 'crypto';
 import { dbUtils } from '../config/database.js';
+import { embed, embedBatch, embedBatchWith, embedWith, getEmbeddingBatchLimits, getEmbeddingTargets, modelId } from './llm/index.js';
+import { countTokens } from './chunking/segments.js';
+import { chunkLocation } from './citationService.js';
+import { getVectorIndex, encodeEmbedding, decodeEmbedding, normalizeVector, dotProduct } from './vectorIndex.js';
 
-// Initialize Google AI
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-
-// Create embeddings using Google AI
+// Embed text with the configured embedding provider, or its fallback, as { vector, model }.
+// model is the "provider:model" id stored with the chunk so it is only compared with vectors
+// of the same model.
 export const createEmbeddings = async (text) => {
   try {
-    // Use Google's embedding model
-    const model = genAI.getGenerativeModel({ model: 'embedding-001' });
-    
-    const result = await model.embedContent(text);
-    return result.embedding.values;
+    return await embed(text);
   } catch (error) {
-    console.error('Error creating embeddings:', error);
-    
-    // Fallback: create a simple hash-based embedding (not ideal for production)
-    console.warn('Using fallback embedding method');
-    return createFallbackEmbedding(text);
+    console.error('Error creating embeddings:', error.message);
+    throw error;
   }
 };
 
-// Fallback embedding method (simple hash-based)
-const createFallbackEmbedding = (text) => {
-  const words = text.toLowerCase().split(/\s+/);
-  const embedding = new Array(384).fill(0); // Standard embedding size
-  
-  words.forEach((word, index) => {
-    const hash = simpleHash(word);
-    const position = Math.abs(hash) % embedding.length;
-    embedding[position] += 1 / (index + 1); // Weight by position
+// Questions asked recently, embedded per model, so asking again doesn't call the provider
+const QUERY_CACHE_SIZE = parseInt(process.env.QUERY_EMBEDDING_CACHE_SIZE) || 500;
+const queryCache = new Map(); // "model\nquery" -> unit vector, least recently used first
+
+const contentHash = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Group text indexes into requests as large as the embedder takes and the token budget allows
+const toBatches = (texts, indexes, model) => {
+  const limits = getEmbeddingBatchLimits(model);
+  const batches = [];
+  let batch = [];
+  let tokens = 0;
+  for (const i of indexes) {
+    const size = countTokens(texts[i]);
+    if (batch.length > 0 && (batch.length >= limits.texts || tokens + size > limits.tokens)) {
+      batches.push(batch);
+      batch = [];
+      tokens = 0;
+    }
+    batch.push(i);
+    tokens += size;
+  }
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+};
+
+// Embed many texts as [{ vector, model }], in order. Text one of the configured embedders has
+// embedded before comes from the embedding cache (the earliest embedder's copy); the rest is
+// sent in batches, each text once however often it repeats. Texts of a batch no embedder could
+// handle are null. onProgress(done) is called as texts are ready. With a model ("provider:model")
+// only that one is used, without fallback. cache: false bypasses the embedding cache, for
+// texts that are never stored (such as the sentences the semantic chunker compares).
+export const createEmbeddingsBatch = async (texts, { onProgress, model: only = null, cache = true } = {}) => {
+  const results = new Array(texts.length).fill(null);
+  const models = only ? [only] : getEmbeddingTargets().map(modelId);
+  const indexesOf = new Map(); // content hash -> indexes of the texts with it
+  texts.forEach((text, i) => {
+    const hash = contentHash(text);
+    if (!indexesOf.has(hash)) indexesOf.set(hash, []);
+    indexesOf.get(hash).push(i);
   });
-  
-  // Normalize the embedding
-  const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-  return magnitude > 0 ? embedding.map(val => val / magnitude) : embedding;
+
+  let done = 0;
+  const fill = (hash, embedding) => {
+    for (const i of indexesOf.get(hash)) results[i] = embedding;
+    done += indexesOf.get(hash).length;
+  };
+
+  const cached = new Map();
+  const rows = cache ? await dbUtils.getCachedEmbeddings([...indexesOf.keys()], models) : [];
+  for (const row of rows) {
+    const current = cached.get(row.content_hash);
+    if (!current || models.indexOf(row.embedding_model) < models.indexOf(current.model)) {
+      cached.set(row.content_hash, { vector: decodeEmbedding(row.embedding), model: row.embedding_model });
+    }
+  }
+  cached.forEach((embedding, hash) => fill(hash, embedding));
+  if (done > 0) console.log(`♻️ Reused ${done}/${texts.length} cached embeddings`);
+  await onProgress?.(done);
+
+  // Each missing text is embedded once, for every place it occurs
+  const missing = [...indexesOf.entries()].filter(([hash]) => !cached.has(hash));
+  const firstIndexes = new Map(missing.map(([hash, indexes]) => [indexes[0], hash]));
+  const batches = toBatches(texts, [...firstIndexes.keys()], only);
+
+  for (const [n, batch] of batches.entries()) {
+    try {
+      const batchTexts = batch.map(i => texts[i]);
+      const { vectors, model } = only ? await embedBatchWith(only, batchTexts) : await embedBatch(batchTexts);
+      batch.forEach((i, j) => fill(firstIndexes.get(i), { vector: vectors[j], model }));
+      if (cache) {
+        await dbUtils.cacheEmbeddings(batch.map((i, j) => ({
+          contentHash: firstIndexes.get(i),
+          model,
+          embedding: encodeEmbedding(vectors[j])
+        })));
+      }
+      console.log(`✅ Embedding batch ${n + 1}/${batches.length} done (${batch.length} texts, ${model})`);
+    } catch (error) {
+      console.error(`❌ Error embedding batch ${n + 1}/${batches.length}:`, error.message);
+    }
+    await onProgress?.(done);
+  }
+
+  return results;
 };
 
-// Simple hash function for fallback
-const simpleHash = (str) => {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
+// A query's unit vector from the given model, or from the current embedder without one.
+// Recent questions come from the query cache.
+export const createQueryEmbedding = async (query, model = null) => {
+  const wanted = model ?? modelId(getEmbeddingTargets()[0]);
+  const key = `${wanted}\n${query}`;
+  if (queryCache.has(key)) {
+    const vector = queryCache.get(key);
+    // Now the most recently used
+    queryCache.delete(key);
+    queryCache.set(key, vector);
+    return vector;
+  }
+
+  const result = model ? await embedWith(model, query) : await createEmbeddings(query);
+  const vector = normalizeVector(Float32Array.from(result.vector));
+  // A fallback's answer to "the current embedder" isn't what later searches should get
+  if (result.model === wanted) {
+    queryCache.set(key, vector);
+    if (queryCache.size > QUERY_CACHE_SIZE) queryCache.delete(queryCache.keys().next().value);
   }
-  return hash;
+  return vector;
 };
 
-// Cosine similarity
-const cosineSimilarity = (a, b) => {
-  const dot = a.reduce((sum, ai, i) => sum + ai * b[i], 0);
-  const magA = Math.sqrt(a.reduce((sum, ai) => sum + ai * ai, 0));
-  const magB = Math.sqrt(b.reduce((sum, bi) => sum + bi * bi, 0));
-  return magA && magB ? dot / (magA * magB) : 0;
+// Normalize an optional document filter into an array of IDs (or null for "all accessible")
+export const toDocumentIdList = (documentIds) => {
+  if (documentIds === null || documentIds === undefined) return null;
+  return (Array.isArray(documentIds) ? documentIds : [documentIds]).map(Number);
 };
 
-// Search for similar text chunks
-export const searchSimilarChunks = async (query, documentId = null, topK = 5) => {
+// Search for similar text chunks among the documents the user can access
+export const searchSimilarChunks = async (query, userId, documentIds = null, topK = 5) => {
+  if (!userId) {
+    throw new Error('searchSimilarChunks requires the requesting user');
+  }
+
+  const allowedIds = toDocumentIdList(documentIds);
+
   try {
-    const queryEmbedding = await createEmbeddings(query);
-    
-    const chunks = documentId 
-      ? await dbUtils.getDocumentChunks(documentId)
-      : await dbUtils.db.allAsync('SELECT * FROM document_chunks');
-      
-    const scored = chunks
-      .filter(c => c.embedding_vector)
-      .map(c => {
-        let vec;
-        try { vec = JSON.parse(c.embedding_vector); } catch(e) { return null; }
-        return {
-          ...c,
-          similarity: cosineSimilarity(queryEmbedding, vec)
-        };
-      })
-      .filter(Boolean)
+    const accessibleIds = await dbUtils.getAccessibleDocumentIds(userId, allowedIds);
+    const spaces = await dbUtils.getChunkEmbeddingModels(accessibleIds);
+
+    // The query is embedded once per model the chunks were embedded with and only scored
+    // against those chunks. Chunks of an unknown (older) model are compared with the query as
+    // the current embedder sees it, if the dimensions agree.
+    let scored = [];
+    let lastError = null;
+    for (const { embedding_model: model, embedding_dimension: dimension } of spaces) {
+      let queryEmbedding;
+      try {
+        queryEmbedding = await createQueryEmbedding(query, model);
+      } catch (error) {
+        // Chunks of a model that can't embed the query right now are left out
+        console.warn(`⚠️ Could not embed the query with ${model ?? 'the current embedder'}:`, error.message);
+        lastError = error;
+        continue;
+      }
+      if (queryEmbedding.length !== dimension) continue;
+
+      const chunks = await getVectorIndex().candidates(queryEmbedding, accessibleIds, topK, model);
+      scored.push(...chunks.map(c => ({
+        ...c,
+        similarity: dotProduct(queryEmbedding, decodeEmbedding(c.embedding))
+      })));
+    }
+    if (scored.length === 0 && lastError) throw lastError;
+
+    scored = scored
       .sort((a, b) => b.similarity - a.similarity)
       .slice(0, topK);
 
     return scored.map(c => ({
+      chunkId: c.id,
       text: c.chunk_text,
       similarity: c.similarity,
       documentId: c.document_id,
-      chunkIndex: c.chunk_index
+      chunkIndex: c.chunk_index,
+      ...chunkLocation(c)
     }));
   } catch (error) {
-    console.warn('Error searching similar chunks, using fallback:', error.message);
-    const chunks = documentId 
-      ? await dbUtils.getDocumentChunks(documentId)
-      : [];
-    
-    return chunks.slice(0, topK).map((chunk, index) => ({
-      text: chunk.chunk_text,
-      similarity: 0.7 - (index * 0.1),
-      documentId: documentId,
-      chunkIndex: chunk.chunk_index
-    }));
+    // No vector hits; hybrid retrieval still has the keyword results
+    console.warn('Error searching similar chunks:', error.message);
+    return [];
   }
 };
 
@@ -114,16 +203,51 @@ export const getDocumentChunks = async (documentId) => {
   }
 };
 
-// Delete document embeddings from vector DB
+// Add freshly stored chunk embeddings to the document's vector index
+export const indexChunkEmbeddings = async (documentId, entries) => {
+  await getVectorIndex().add(documentId, entries);
+};
+
+// Rebuild the document's vector index over the chunks of a newly activated version
+export const reindexChunkEmbeddings = async (documentId, entries) => {
+  const index = getVectorIndex();
+  await index.removeDocument(documentId);
+  await index.add(documentId, entries);
+};
+
+// Delete document embeddings from the vector index
 export const deleteDocumentEmbeddings = async (documentId) => {
-  // SQLite handles this via CASCADE on the foreign key, so we do nothing here.
-  return;
+  // Chunk rows and index lists go with the document via CASCADE; this drops cached index state
+  await getVectorIndex().removeDocument(documentId);
+};
+
+// Convert chunks stored by older versions (JSON text vectors) into indexed Float32 BLOBs
+export const migrateLegacyEmbeddings = async () => {
+  const legacy = await dbUtils.db.allAsync(
+    'SELECT id, document_id, embedding_vector FROM document_chunks WHERE embedding IS NULL AND embedding_vector IS NOT NULL'
+  );
+
+  for (const chunk of legacy) {
+    let vector;
+    try { vector = JSON.parse(chunk.embedding_vector); } catch (e) { continue; }
+
+    await dbUtils.db.runAsync(
+      'UPDATE document_chunks SET embedding = ?, embedding_dimension = ?, embedding_vector = NULL WHERE id = ?',
+      [encodeEmbedding(vector), vector.length, chunk.id]
+    );
+    await indexChunkEmbeddings(chunk.document_id, [{ chunkId: chunk.id, vector }]);
+  }
+
+  if (legacy.length > 0) {
+    console.log(`✅ Migrated ${legacy.length} legacy chunk embeddings to the vector index`);
+  }
 };
 
 // Health check for vector service
 export const vectorServiceHealthCheck = async () => {
   return {
     status: 'healthy',
+    index: getVectorIndex().name,
     timestamp: new Date().toISOString()
   };
 };
@@ -0,0 +1,197 @@
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+import { mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+
+const { splitTextIntoChunks } = await import('../services/chunking/index.js');
+const { formatCitation } = await import('../services/citationService.js');
+
+const sentence = (topic, n) => `Sentence ${n} explains ${topic} in some detail for the reader.`;
+
+const buildText = () => {
+  const intro = Array.from({ length: 12 }, (_, i) => sentence('the introduction', i)).join(' ');
+  const methods = Array.from({ length: 12 }, (_, i) => sentence('the methods', i)).join(' ');
+  return [
+    '--- Page 1 ---',
+    '1 Introduction',
+    intro,
+    '--- Page 2 ---',
+    '3.2 Methods',
+    methods
+  ].join('\n');
+};
+
+describe('splitTextIntoChunks location metadata', () => {
+  const text = buildText();
+  let chunks;
+
+  beforeAll(async () => {
+    chunks = await splitTextIntoChunks(text, { size: 400, overlap: 50 });
+  });
+
+  test('page markers are not part of chunk text', () => {
+    expect(chunks.length).toBeGreaterThan(2);
+    expect(chunks.every(c => !c.text.includes('--- Page'))).toBe(true);
+  });
+
+  test('chunks record the pages and heading they come from', () => {
+    expect(chunks[0]).toMatchObject({ pageStart: 1, pageEnd: 1, heading: '1 Introduction' });
+
+    const last = chunks[chunks.length - 1];
+    expect(last).toMatchObject({ pageStart: 2, pageEnd: 2, heading: '3.2 Methods' });
+  });
+
+  test('offsets point at the chunk content in the extracted text', () => {
+    for (const chunk of chunks) {
+      const slice = text.slice(chunk.startOffset, chunk.endOffset);
+      const lastWords = chunk.text.split(' ').slice(-3).join(' ');
+      expect(slice.replace(/\s+/g, ' ')).toContain(lastWords);
+    }
+  });
+
+  test('Markdown headings from Word documents are picked up', async () => {
+    const [chunk] = await splitTextIntoChunks('# Glossary\n\nAn atom is the smallest unit of matter.');
+    expect(chunk).toMatchObject({ heading: 'Glossary', pageStart: null });
+  });
+
+  test('long text without punctuation is still cut to size', async () => {
+    const ocr = Array.from({ length: 400 }, (_, i) => `word${i}`).join(' ');
+    const pieces = await splitTextIntoChunks(ocr, { size: 500, overlap: 0 });
+    expect(pieces.length).toBeGreaterThan(1);
+    expect(pieces.every(c => c.text.length <= 500)).toBe(true);
+  });
+});
+
+describe('slide and sheet sections', () => {
+  test('slides are never merged and keep their own title', async () => {
+    const text = [
+      '--- Slide 1 ---', '# Osmosis', 'Water moves across membranes.',
+      '--- Slide 2 ---', 'A diagram with no title.',
+      '--- Slide 3 ---', '# Diffusion', 'Particles spread out.', '', 'Speaker notes: Demo with ink.'
+    ].join('\n');
+
+    const chunks = await splitTextIntoChunks(text, { size: 1000, overlap: 50 });
+
+    expect(chunks.map(c => [c.slide, c.heading])).toEqual([[1, 'Osmosis'], [2, null], [3, 'Diffusion']]);
+    expect(chunks[2].text).toContain('Speaker notes: Demo with ink');
+    expect(chunks.every(c => !c.text.includes('--- Slide'))).toBe(true);
+  });
+
+  test('sheet chunks are cut between rows and repeat the header', async () => {
+    const rows = Array.from({ length: 30 }, (_, i) => `Row ${i + 2}: Sample ${i} | ${i * 1.5} | ok`);
+    const text = [
+      '--- Sheet Results ---', 'Columns: Sample | Value | Status', ...rows,
+      '',
+      '--- Sheet Notes ---', 'Columns: Note', 'Row 2: Repeat run 4.'
+    ].join('\n');
+
+    const chunks = await splitTextIntoChunks(text, { size: 200, overlap: 50 });
+    const results = chunks.filter(c => c.sheet === 'Results');
+
+    expect(results.length).toBeGreaterThan(1);
+    for (const chunk of results) {
+      expect(chunk.text.startsWith('Columns: Sample | Value | Status\n')).toBe(true);
+      expect(chunk.text.length).toBeLessThanOrEqual(200);
+    }
+    expect(results[0].rowStart).toBe(2);
+    expect(results[results.length - 1].rowEnd).toBe(31);
+    // Each chunk picks up at the row after the previous one, without overlap
+    results.slice(1).forEach((chunk, i) => expect(chunk.rowStart).toBe(results[i].rowEnd + 1));
+
+    expect(chunks[chunks.length - 1]).toMatchObject({
+      sheet: 'Notes', rowStart: 2, rowEnd: 2, text: 'Columns: Note\nRow 2: Repeat run 4.'
+    });
+  });
+});
+
+describe('chapter sections', () => {
+  test('chunks never cross chapters and carry the chapter title', async () => {
+    const facts = (topic) => Array.from({ length: 6 }, (_, i) => `Fact ${i} about ${topic}.`).join(' ');
+    const text = [
+      'Copyright page.',
+      '--- Chapter 1. Cells ---', '# Cells', facts('cells'), '## Membranes', facts('membranes'),
+      '--- Chapter 2. Tissues ---', facts('tissues')
+    ].join('\n\n');
+
+    const chunks = await splitTextIntoChunks(text, { size: 200, overlap: 50 });
+
+    expect(chunks[0]).toMatchObject({ chapter: null, text: 'Copyright page.' });
+    const cells = chunks.filter(c => c.chapter === '1. Cells');
+    const tissues = chunks.filter(c => c.chapter === '2. Tissues');
+    expect(cells.length).toBeGreaterThan(1);
+    expect(cells.every(c => !c.text.includes('tissues'))).toBe(true);
+    expect(cells[cells.length - 1].heading).toBe('Membranes');
+    // The chapter's headings do not leak into the next chapter
+    expect(tissues[0]).toMatchObject({ heading: null });
+    expect(tissues.every(c => !c.text.includes('membranes'))).toBe(true);
+  });
+});
+
+describe('table chunks', () => {
+  const table = (caption, rows) => [
+    '--- Table ---',
+    ...(caption ? [caption] : []),
+    '| Element | Symbol | Mass |',
+    '| --- | --- | --- |',
+    ...rows.map(([element, symbol, mass]) => `| ${element} | ${symbol} | ${mass} |`),
+    '--- End table ---'
+  ].join('\n');
+
+  test('a table is a chunk of its own, in document order, with its caption', async () => {
+    const text = [
+      '--- Page 3 ---',
+      '# Light elements',
+      'The lightest elements are listed below.',
+      table('Table 1: Light elements', [['Hydrogen', 'H', '1.008'], ['Helium', 'He', '4.003']]),
+      'Both are gases at room temperature.'
+    ].join('\n');
+
+    const chunks = await splitTextIntoChunks(text, { size: 1000, overlap: 50 });
+
+    expect(chunks.map(c => c.chunkType)).toEqual(['text', 'table', 'text']);
+    expect(chunks[0].text).toBe('# Light elements\nThe lightest elements are listed below.');
+    expect(chunks[1]).toMatchObject({
+      text: 'Table 1: Light elements\n| Element | Symbol | Mass |\n| --- | --- | --- |\n| Hydrogen | H | 1.008 |\n| Helium | He | 4.003 |',
+      tableCaption: 'Table 1: Light elements',
+      heading: 'Light elements',
+      pageStart: 3,
+      rowStart: null,
+      rowEnd: null
+    });
+    expect(text.slice(chunks[1].startOffset, chunks[1].endOffset)).toMatch(/^\| Element[\s\S]*4\.003 \|$/);
+    expect(chunks[2].text).toBe('Both are gases at room temperature.');
+  });
+
+  test('long tables are cut between rows and repeat the caption and header', async () => {
+    const rows = Array.from({ length: 20 }, (_, i) => [`Element ${i + 1}`, `E${i + 1}`, `${(i + 1) * 2}.0`]);
+    const chunks = await splitTextIntoChunks(table('Table 2: Elements', rows), { size: 200, overlap: 50 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.chunkType).toBe('table');
+      expect(chunk.text.startsWith('Table 2: Elements\n| Element | Symbol | Mass |\n| --- | --- | --- |\n')).toBe(true);
+      expect(chunk.text.length).toBeLessThanOrEqual(200);
+    }
+    expect(chunks[0].rowStart).toBe(1);
+    expect(chunks[chunks.length - 1].rowEnd).toBe(20);
+    chunks.slice(1).forEach((chunk, i) => expect(chunk.rowStart).toBe(chunks[i].rowEnd + 1));
+  });
+});
+
+describe('formatCitation', () => {
+  test.each([
+    [{ pageStart: 12, pageEnd: 12, heading: '3.2 Methods' }, 'p. 12, §3.2'],
+    [{ pageStart: 4, pageEnd: 5, heading: 'Introduction' }, 'pp. 4–5, "Introduction"'],
+    [{ pageStart: 7, pageEnd: 7, heading: null }, 'p. 7'],
+    [{ slide: 7, heading: 'Osmosis' }, 'slide 7, "Osmosis"'],
+    [{ sheet: 'Sheet2', rowStart: 10, rowEnd: 40 }, 'Sheet2 rows 10–40'],
+    [{ sheet: null, rowStart: 5, rowEnd: 5 }, 'row 5'],
+    [{ chapter: 'Genetics', heading: 'Alleles' }, 'chapter "Genetics", "Alleles"'],
+    [{ chapter: 'Genetics', heading: 'Genetics' }, 'chapter "Genetics"'],
+    [{ pageStart: 3, pageEnd: 3, chunkType: 'table', tableCaption: 'Table 1: Light elements' }, 'p. 3, table "Table 1: Light elements"'],
+    [{ pageStart: 3, pageEnd: 4, chunkType: 'table', tableCaption: null, rowStart: 11, rowEnd: 20 }, 'pp. 3–4, table rows 11–20'],
+    [{ pageStart: null, pageEnd: null, heading: null }, null]
+  ])('%o -> %s', (location, expected) => {
+    expect(formatCitation(location)).toBe(expected);
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, test, expect } from '@jest/globals';
+
+const { splitTextIntoChunks, resolveChunking, getChunkingStrategies } = await import('../services/chunking/index.js');
+const { splitSentences, splitBlocks, countTokens } = await import('../services/chunking/segments.js');
+const { scanStructure } = await import('../services/chunking/structure.js');
+
+const sentencesOf = (text) => splitSentences(text, 0, text.length).map(({ start, end }) => text.slice(start, end));
+const blocksOf = (text) => splitBlocks(text, 0, text.length, scanStructure(text))
+  .map(({ start, end, kind }) => [kind, text.slice(start, end)]);
+const texts = (chunks) => chunks.map(chunk => chunk.text);
+
+describe('sentence splitting', () => {
+  test('keeps punctuation and does not break on decimals, abbreviations or initials', () => {
+    expect(sentencesOf(
+      'Pi is about 3.14 and e is 2.718. Dr. Watson and J. D. Bernal agreed, e.g. on X-ray work. ' +
+      'The U.S. Congress funded it! Was it cheap? No. See Fig. 3 for details.'
+    )).toEqual([
+      'Pi is about 3.14 and e is 2.718.',
+      'Dr. Watson and J. D. Bernal agreed, e.g. on X-ray work.',
+      'The U.S. Congress funded it!',
+      'Was it cheap?',
+      'No.',
+      'See Fig. 3 for details.'
+    ]);
+  });
+
+  test('quotes and brackets stay with their sentence; lowercase continuations do not start one', () => {
+    expect(sentencesOf('He said "it works." Then he left (quietly.) It costs approx. five dollars.')).toEqual([
+      'He said "it works."',
+      'Then he left (quietly.)',
+      'It costs approx. five dollars.'
+    ]);
+  });
+
+  test('list items are sentences of their own, numbered or not', () => {
+    expect(sentencesOf('Steps:\n1. Mix 2.5 ml of buffer\n2. Heat to 37 °C\n- stir gently\n- let it cool')).toEqual([
+      'Steps:',
+      '1. Mix 2.5 ml of buffer',
+      '2. Heat to 37 °C',
+      '- stir gently',
+      '- let it cool'
+    ]);
+  });
+});
+
+describe('blocks', () => {
+  test('code blocks stay whole, blank lines and "#" comments included', () => {
+    const text = '# Setup\n\nInstall it.\n\n```bash\n# install\nnpm install\n\nnpm test\n```\n\nDone.';
+
+    expect(blocksOf(text)).toEqual([
+      ['heading', '# Setup'],
+      ['paragraph', 'Install it.'],
+      ['code', '```bash\n# install\nnpm install\n\nnpm test\n```'],
+      ['paragraph', 'Done.']
+    ]);
+    expect(scanStructure(text).headings.map(heading => heading.title)).toEqual(['Setup']);
+  });
+});
+
+describe('recursive strategy', () => {
+  const paragraph = (topic) => Array.from({ length: 4 }, (_, i) => `Fact ${i} about ${topic} matters.`).join(' ');
+
+  test('paragraphs are kept whole and a heading starts a new chunk', async () => {
+    const text = ['# Cells', paragraph('cells'), paragraph('membranes'), '# Tissues', paragraph('tissues')].join('\n\n');
+
+    const chunks = await splitTextIntoChunks(text, { strategy: 'recursive', size: 300, overlap: 0 });
+
+    expect(texts(chunks)).toEqual([
+      `# Cells\n\n${paragraph('cells')}\n\n${paragraph('membranes')}`,
+      `# Tissues\n\n${paragraph('tissues')}`
+    ]);
+    expect(chunks.map(chunk => chunk.heading)).toEqual(['Cells', 'Tissues']);
+  });
+
+  test('long paragraphs are cut between sentences, with whole sentences of overlap', async () => {
+    const text = Array.from({ length: 12 }, (_, i) => `Sentence ${i} has a value of ${i}.5 units.`).join(' ');
+
+    const chunks = await splitTextIntoChunks(text, { strategy: 'recursive', size: 120, overlap: 40 });
+
+    expect(chunks.length).toBeGreaterThan(2);
+    for (const chunk of chunks) {
+      expect(chunk.text.length).toBeLessThanOrEqual(120);
+      expect(chunk.text).toMatch(/^Sentence \d+ .*units\.$/);
+    }
+    // Each chunk repeats the last sentence of the one before
+    chunks.slice(1).forEach((chunk, i) => {
+      const previous = sentencesOf(chunks[i].text);
+      expect(chunk.text.startsWith(previous[previous.length - 1])).toBe(true);
+    });
+  });
+
+  test('a chunk never ends on a heading', async () => {
+    const text = [paragraph('cells'), '## Membranes', paragraph('membranes')].join('\n\n');
+
+    const chunks = await splitTextIntoChunks(text, { strategy: 'recursive', size: 140, overlap: 0 });
+
+    expect(chunks.every(chunk => !chunk.text.endsWith('## Membranes'))).toBe(true);
+    expect(chunks.find(chunk => chunk.text.includes('## Membranes')).text).toMatch(/^## Membranes\n\nFact 0/);
+  });
+
+  test('code blocks that fit stay whole; longer ones are cut between lines', async () => {
+    const small = '```js\nconst a = 1;\n\nconst b = 2;\n```';
+    const large = `\`\`\`js\n${Array.from({ length: 20 }, (_, i) => `const value${i} = ${i};`).join('\n')}\n\`\`\``;
+
+    const [whole] = await splitTextIntoChunks(small, { strategy: 'recursive', size: 200 });
+    const cut = await splitTextIntoChunks(large, { strategy: 'recursive', size: 200, overlap: 0 });
+
+    expect(whole.text).toBe(small);
+    expect(cut.length).toBeGreaterThan(1);
+    for (const chunk of cut) {
+      expect(chunk.text.length).toBeLessThanOrEqual(200);
+      expect(chunk.text.split('\n').every(line => /^(```(js)?|const value\d+ = \d+;)$/.test(line))).toBe(true);
+    }
+  });
+
+  test('lists keep one item per line and are cut between items', async () => {
+    const items = Array.from({ length: 10 }, (_, i) => `- Item ${i} is a reagent`);
+    const chunks = await splitTextIntoChunks(`Reagents:\n${items.join('\n')}`, { strategy: 'recursive', size: 120, overlap: 0 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.flatMap(chunk => chunk.text.split('\n'))).toEqual(['Reagents:', ...items]);
+  });
+});
+
+describe('token strategy', () => {
+  test('windows hold size tokens and repeat overlap tokens', async () => {
+    const text = Array.from({ length: 100 }, (_, i) => `w${i}`).join(' ');
+
+    const chunks = await splitTextIntoChunks(text, { strategy: 'token', size: 40, overlap: 10 });
+
+    // "w12" is two tokens: a word and a number
+    expect(chunks.map(chunk => countTokens(chunk.text))).toEqual([40, 40, 40, 40, 40, 40, 20]);
+    expect(chunks[0].text.startsWith('w0 ')).toBe(true);
+    expect(chunks[1].text.startsWith('w15 ')).toBe(true);
+    expect(chunks[chunks.length - 1].text.endsWith('w99')).toBe(true);
+  });
+
+  test('tokens count numbers, punctuation and long words in pieces', () => {
+    expect(countTokens('Pi is 3.14159!')).toBe(7);
+    expect(countTokens('photosynthesis')).toBe(2);
+  });
+});
+
+describe('semantic strategy', () => {
+  const cells = ['Cells divide by mitosis.', 'Mitosis makes two cells.', 'Each cell gets the chromosomes.'];
+  const planets = ['Mars is a red planet.', 'Its orbit takes two years.', 'Planets circle the sun.'];
+  // Sentences about cells and planets point in different directions
+  const embed = async (sentences) => sentences.map(sentence => [/cell|mitosis|chromosome/i.test(sentence) ? 1 : 0, /planet|orbit|sun/i.test(sentence) ? 1 : 0]);
+
+  test('a chunk ends where the topic changes', async () => {
+    const chunks = await splitTextIntoChunks([...cells, ...planets].join(' '), { strategy: 'semantic', size: 1000, embed });
+
+    expect(texts(chunks)).toEqual([cells.join(' '), planets.join(' ')]);
+  });
+
+  test('without embeddings it packs sentences like the recursive strategy', async () => {
+    const chunks = await splitTextIntoChunks([...cells, ...planets].join(' '), { strategy: 'semantic', size: 1000 });
+
+    expect(texts(chunks)).toEqual([[...cells, ...planets].join(' ')]);
+  });
+
+  test('headings always start a chunk', async () => {
+    const text = `# Biology\n\n${cells.join(' ')}\n\n# More biology\n\n${cells.join(' ')}`;
+    const chunks = await splitTextIntoChunks(text, { strategy: 'semantic', size: 1000, embed });
+
+    expect(chunks.map(chunk => chunk.heading)).toEqual(['Biology', 'More biology']);
+  });
+});
+
+describe('chunking settings', () => {
+  test('defaults are filled in and sizes checked against the strategy', () => {
+    expect(resolveChunking()).toEqual({ strategy: 'recursive', size: 1000, unit: 'characters' });
+    expect(resolveChunking({ strategy: 'token' })).toEqual({ strategy: 'token', size: 256, unit: 'tokens' });
+    expect(resolveChunking({ strategy: 'token', size: '512' })).toEqual({ strategy: 'token', size: 512, unit: 'tokens' });
+    expect(resolveChunking({ strategy: 'token', size: 5000 })).toBeNull();
+    expect(resolveChunking({ size: 12.5 })).toBeNull();
+    expect(resolveChunking({ strategy: 'paragraphs' })).toBeNull();
+  });
+
+  test('strategies are listed without their implementation', () => {
+    expect(getChunkingStrategies().map(strategy => strategy.name)).toEqual(['recursive', 'token', 'semantic']);
+    expect(getChunkingStrategies().every(strategy => !('chunk' in strategy))).toBe(true);
+  });
+});
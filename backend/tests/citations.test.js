@@ -0,0 +1,71 @@
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+import { fakeEmbedding, mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+
+const postMock = jest.fn();
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+jest.unstable_mockModule('axios', () => ({
+  default: { create: () => ({ post: postMock }) }
+}));
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { indexChunkEmbeddings } = await import('../services/vectorService.js');
+const { encodeEmbedding } = await import('../services/vectorIndex.js');
+const { validateCitations } = await import('../services/citationService.js');
+const { generateDocumentResponse } = await import('../services/chatService.js');
+
+describe('validateCitations', () => {
+  test('keeps markers that match a source', () => {
+    expect(validateCitations('Water boils at 100°C [1][2].', 2)).toEqual({
+      text: 'Water boils at 100°C [1][2].',
+      cited: [1, 2]
+    });
+  });
+
+  test('removes hallucinated numbers together with their leading space', () => {
+    expect(validateCitations('Claim one [1]. Claim two [7].', 3)).toEqual({
+      text: 'Claim one [1]. Claim two.',
+      cited: [1]
+    });
+  });
+
+  test('normalizes grouped and "Context" style markers', () => {
+    expect(validateCitations('See [1, 4, 2] and [Context 3].', 3).text).toBe('See [1][2] and [3].');
+  });
+
+  test('leaves Markdown links alone', () => {
+    expect(validateCitations('Read [1](https://example.com) first.', 0).text).toBe('Read [1](https://example.com) first.');
+  });
+});
+
+describe('generateDocumentResponse citations', () => {
+  let userId;
+  let documentId;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await initializeDatabase();
+    userId = await dbUtils.createUser('cite', 'cite@example.com', 'hash');
+    documentId = await dbUtils.createDocument(userId, 'bio.pdf', 'bio.pdf', '/tmp/bio.pdf', 1, 'application/pdf');
+    const text = 'Enzymes lower the activation energy of reactions.';
+    const vector = fakeEmbedding(text);
+    const chunkId = await dbUtils.createDocumentChunk(documentId, text, 0, null, encodeEmbedding(vector), { pageStart: 3, pageEnd: 3 });
+    await indexChunkEmbeddings(documentId, [{ chunkId, vector }]);
+  });
+
+  test('invalid markers are stripped and sources say what is cited', async () => {
+    postMock.mockResolvedValue({
+      data: { choices: [{ message: { content: 'Enzymes speed reactions up [1] by a lot [5].' } }] }
+    });
+
+    const result = await generateDocumentResponse('What do enzymes do?', documentId, userId, []);
+
+    expect(result.response).toBe('Enzymes speed reactions up [1] by a lot.');
+    expect(result.sources[0]).toMatchObject({
+      index: 1,
+      cited: true,
+      content: 'Enzymes lower the activation energy of reactions.',
+      citation: 'p. 3'
+    });
+  });
+});
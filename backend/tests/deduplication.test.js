@@ -0,0 +1,199 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fakeEmbedding, mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+import { startTestApp } from './helpers/testApp.js';
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+
+const uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dedupe-'));
+process.env.UPLOAD_DIR = uploadDir;
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { errorHandler } = await import('../middleware/errorHandler.js');
+const { default: fileRoutes } = await import('../routes/files.js');
+const { searchSimilarChunks } = await import('../services/vectorService.js');
+const { encodeEmbedding } = await import('../services/vectorIndex.js');
+
+let alice;
+let bob;
+let currentUser;
+let app;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await initializeDatabase();
+  alice = await dbUtils.createUser('alice', 'alice@example.com', 'hash');
+  bob = await dbUtils.createUser('bob', 'bob@example.com', 'hash');
+  app = await startTestApp({ '/api/files': fileRoutes }, () => currentUser, errorHandler);
+});
+
+afterAll(async () => {
+  await app.close();
+  await fs.rm(uploadDir, { recursive: true, force: true });
+});
+
+const upload = async (userId, content, name = 'lecture.pdf', fields = {}) => {
+  currentUser = userId;
+  const form = new FormData();
+  form.append('file', new Blob([content], { type: 'application/pdf' }), name);
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  const response = await fetch(`${app.baseUrl}/api/files/upload`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+};
+
+const remove = async (userId, documentId) => {
+  currentUser = userId;
+  return fetch(`${app.baseUrl}/api/files/${documentId}`, { method: 'DELETE' });
+};
+
+const storedFiles = () => fs.readdir(uploadDir);
+
+describe('upload deduplication', () => {
+  test('stores the SHA-256 of the upload', async () => {
+    const { status, body } = await upload(alice, 'hashed content');
+
+    expect(status).toBe(201);
+    const document = await dbUtils.getDocumentById(body.document.id);
+    expect(document.content_hash).toBe(crypto.createHash('sha256').update('hashed content').digest('hex'));
+  });
+
+  test('uploading the same content again returns the existing document', async () => {
+    const first = await upload(alice, 'week 1 slides');
+    const filesBefore = await storedFiles();
+
+    const again = await upload(alice, 'week 1 slides', 'copy of week 1.pdf');
+
+    expect(again.status).toBe(200);
+    expect(again.body).toMatchObject({ duplicate: true, document: { id: first.body.document.id } });
+    expect(await storedFiles()).toEqual(filesBefore);
+    expect(await dbUtils.getDocumentsByUserId(alice)).toHaveLength(2);
+  });
+
+  test('uploading a file that failed to process again queues it for processing', async () => {
+    const first = await upload(alice, 'week 4 slides');
+    // Its job ran out of attempts
+    await dbUtils.db.runAsync("UPDATE jobs SET status = 'failed' WHERE document_id = ?", [first.body.document.id]);
+    await dbUtils.updateDocumentStatus(first.body.document.id, 'failed', 'No text content found in document');
+
+    const again = await upload(alice, 'week 4 slides', 'week 4.pdf', { ocrLanguages: 'fra+eng', chunkStrategy: 'token' });
+
+    expect(again.status).toBe(200);
+    expect(again.body).toMatchObject({ duplicate: true, document: { id: first.body.document.id }, job: { status: 'queued' } });
+    const document = await dbUtils.getDocumentById(first.body.document.id);
+    expect(document.processing_status).toBe('pending');
+    expect(document.ocr_languages).toBe('fra+eng');
+    expect(document.chunk_strategy).toBe('token');
+  });
+
+  test('identical content from another user reuses the file, text and embeddings', async () => {
+    const { body } = await upload(alice, 'week 2 slides');
+    const source = body.document.id;
+    for (const [i, text] of ['Enzymes lower activation energy', 'Substrates bind the active site'].entries()) {
+      await dbUtils.createDocumentChunk(source, text, i, null, encodeEmbedding(fakeEmbedding(text)), { pageStart: i + 1 });
+    }
+    await dbUtils.updateDocumentStatus(source, 'ready');
+    const filesBefore = await storedFiles();
+
+    const shared = await upload(bob, 'week 2 slides', 'bio-week2.pdf');
+
+    expect(shared.status).toBe(201);
+    expect(shared.body).toMatchObject({ document: { processed: true }, job: null });
+    expect(await storedFiles()).toEqual(filesBefore);
+
+    const copy = await dbUtils.getDocumentById(shared.body.document.id);
+    expect(copy).toMatchObject({ user_id: bob, original_name: 'bio-week2.pdf', processing_status: 'ready' });
+    expect(copy.file_path).toBe((await dbUtils.getDocumentById(source)).file_path);
+
+    const chunks = await dbUtils.getDocumentChunks(copy.id);
+    expect(chunks.map(c => [c.chunk_text, c.page_start])).toEqual([
+      ['Enzymes lower activation energy', 1],
+      ['Substrates bind the active site', 2]
+    ]);
+
+    // Each user searches their own document
+    const bobHits = await searchSimilarChunks('activation energy', bob, copy.id);
+    expect(bobHits[0]).toMatchObject({ documentId: copy.id, text: 'Enzymes lower activation energy' });
+    expect(await searchSimilarChunks('activation energy', bob, source)).toHaveLength(0);
+
+    // The shared file survives until its last document is deleted
+    expect((await remove(alice, source)).status).toBe(200);
+    await expect(fs.access(copy.file_path)).resolves.toBeUndefined();
+    expect(await dbUtils.getDocumentChunks(copy.id)).toHaveLength(2);
+
+    expect((await remove(bob, copy.id)).status).toBe(200);
+    await expect(fs.access(copy.file_path)).rejects.toThrow();
+  });
+
+  test('a copy that is still processing shares the file and gets its own job', async () => {
+    await upload(alice, 'week 3 slides');
+
+    const { status, body } = await upload(bob, 'week 3 slides');
+
+    expect(status).toBe(201);
+    expect(body.document.processed).toBe(false);
+    expect(body.job).toMatchObject({ status: 'queued' });
+  });
+
+  test('a copy OCR\'d in other languages is processed again in the requested ones', async () => {
+    const { body } = await upload(alice, 'scanned handout');
+    await dbUtils.updateDocumentOcrReport(body.document.id, { languages: ['eng'], totalPages: 1 });
+    await dbUtils.updateDocumentStatus(body.document.id, 'ready');
+
+    const hindi = await upload(bob, 'scanned handout', 'handout.pdf', { ocrLanguages: 'hin+eng' });
+
+    expect(hindi.status).toBe(201);
+    expect(hindi.body.job).toMatchObject({ status: 'queued' });
+    expect((await dbUtils.getDocumentById(hindi.body.document.id)).ocr_languages).toBe('hin+eng');
+  });
+
+  test('a copy chunked with another strategy is processed again with the requested one', async () => {
+    const { body } = await upload(alice, 'long reading list');
+    await dbUtils.updateDocumentStatus(body.document.id, 'ready');
+
+    const tokens = await upload(bob, 'long reading list', 'reading.pdf', { chunkStrategy: 'token', chunkSize: '128' });
+
+    expect(tokens.status).toBe(201);
+    expect(tokens.body.job).toMatchObject({ status: 'queued' });
+    const document = await dbUtils.getDocumentById(tokens.body.document.id);
+    expect([document.chunk_strategy, document.chunk_size]).toEqual(['token', 128]);
+  });
+});
+
+describe('upload OCR languages', () => {
+  test('malformed language codes are rejected and the upload removed', async () => {
+    const filesBefore = await storedFiles();
+
+    const { status, body } = await upload(alice, 'any scan', 'scan.pdf', { ocrLanguages: 'english' });
+
+    expect(status).toBe(400);
+    expect(body.code).toBe('VALIDATION_ERROR');
+    expect(await storedFiles()).toEqual(filesBefore);
+  });
+});
+
+describe('upload chunking', () => {
+  test('unknown strategies and sizes outside the strategy\'s range are rejected', async () => {
+    const filesBefore = await storedFiles();
+
+    const unknown = await upload(alice, 'chunk me', 'c.pdf', { chunkStrategy: 'sentences' });
+    const tooSmall = await upload(alice, 'chunk me', 'c.pdf', { chunkStrategy: 'recursive', chunkSize: '20' });
+
+    expect(unknown).toMatchObject({ status: 400, body: { code: 'VALIDATION_ERROR' } });
+    expect(tooSmall).toMatchObject({ status: 400, body: { code: 'INVALID_CHUNK_SIZE' } });
+    expect(tooSmall.body.error).toBe('chunkSize must be between 200 and 8000 characters for the recursive strategy');
+    expect(await storedFiles()).toEqual(filesBefore);
+  });
+
+  test('the chosen strategy and size are listed with the document', async () => {
+    const { body } = await upload(bob, 'semantic notes', 'notes.pdf', { chunkStrategy: 'semantic', chunkSize: '1500' });
+    currentUser = bob;
+    const list = await (await fetch(`${app.baseUrl}/api/files/list`)).json();
+
+    expect(list.documents.find(doc => doc.id === body.document.id).chunking)
+      .toEqual({ strategy: 'semantic', size: 1500, unit: 'characters' });
+  });
+});
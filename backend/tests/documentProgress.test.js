@@ -0,0 +1,133 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+import { startTestApp } from './helpers/testApp.js';
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { createProgressReporter, reportStage } = await import('../services/progressService.js');
+const { errorHandler } = await import('../middleware/errorHandler.js');
+const { default: fileRoutes } = await import('../routes/files.js');
+
+let userId;
+let app;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await initializeDatabase();
+  userId = await dbUtils.createUser('progress', 'progress@example.com', 'hash');
+  app = await startTestApp({ '/api/files': fileRoutes }, () => userId, errorHandler);
+});
+
+afterAll(() => app.close());
+
+const createDocument = (name) =>
+  dbUtils.createDocument(userId, name, name, `/tmp/${name}`, 1, 'application/pdf');
+
+const savedProgress = async (documentId) =>
+  JSON.parse((await dbUtils.getDocumentById(documentId)).progress);
+
+// Parse "event: x\ndata: {...}" blocks from a finished SSE response body
+const readEvents = async (response) => {
+  const body = await response.text();
+  return body.split('\n\n').filter(block => block.startsWith('event:')).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice(6).trim(), data: JSON.parse(dataLine.slice(5)) };
+  });
+};
+
+describe('progress reporter', () => {
+  test('saves stage changes and item counts with an ETA', async () => {
+    const documentId = await createDocument('eta.pdf');
+    const progress = createProgressReporter(documentId);
+
+    await progress('ocr', 0, 10);
+    expect(await savedProgress(documentId)).toMatchObject({ stage: 'ocr', current: 0, total: 10, etaSeconds: null });
+
+    // The last item is always written, even inside the throttle window
+    await progress('ocr', 10, 10);
+    expect(await savedProgress(documentId)).toMatchObject({ stage: 'ocr', current: 10, total: 10 });
+
+    await progress('embedding', 0, 4);
+    await progress('embedding', 1, 4);
+    // Throttled: still the stage-change write
+    expect(await savedProgress(documentId)).toMatchObject({ stage: 'embedding', current: 0 });
+  });
+
+  test('estimates the time left from the pace so far', async () => {
+    const documentId = await createDocument('pace.pdf');
+    const now = jest.spyOn(Date, 'now');
+    const progress = createProgressReporter(documentId);
+
+    now.mockReturnValue(1000000);
+    await progress('ocr', 0, 10);
+    now.mockReturnValue(1000000 + 8000);
+    await progress('ocr', 4, 10);
+    now.mockRestore();
+
+    // 2s per page, 6 pages left
+    expect(await savedProgress(documentId)).toMatchObject({ current: 4, total: 10, etaSeconds: 12 });
+  });
+});
+
+describe('GET /api/files/:id/status', () => {
+  test('returns the status, progress and pending job', async () => {
+    const documentId = await createDocument('status.pdf');
+    await dbUtils.updateDocumentStatus(documentId, 'processing');
+    await createProgressReporter(documentId)('ocr', 3, 10);
+
+    const response = await fetch(`${app.baseUrl}/api/files/${documentId}/status`);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({
+      id: documentId,
+      status: 'processing',
+      processed: false,
+      progress: { stage: 'ocr', current: 3, total: 10 },
+      job: null
+    });
+  });
+
+  test("other users' documents are not found", async () => {
+    const otherUser = await dbUtils.createUser('other', 'other@example.com', 'hash');
+    const documentId = await dbUtils.createDocument(otherUser, 'x.pdf', 'x.pdf', '/tmp/x.pdf', 1, 'application/pdf');
+
+    const response = await fetch(`${app.baseUrl}/api/files/${documentId}/status`);
+    expect(response.status).toBe(404);
+  });
+
+  test('the stream sends updates until the document is ready', async () => {
+    const documentId = await createDocument('stream.pdf');
+    await dbUtils.updateDocumentStatus(documentId, 'processing');
+
+    const response = await fetch(`${app.baseUrl}/api/files/${documentId}/status/stream`);
+    expect(response.headers.get('content-type')).toContain('text/event-stream');
+
+    const progress = createProgressReporter(documentId);
+    await progress('embedding', 2, 2);
+    await dbUtils.updateDocumentStatus(documentId, 'ready');
+    await progress('done');
+
+    const events = await readEvents(response);
+    expect(events.every(e => e.event === 'status')).toBe(true);
+    expect(events.map(e => e.data.progress?.stage)).toEqual(expect.arrayContaining(['embedding', 'done']));
+    expect(events[events.length - 1].data).toMatchObject({ status: 'ready', processed: true });
+  });
+
+  test('the stream ends at once for a document that already failed', async () => {
+    const documentId = await createDocument('failed.pdf');
+    await dbUtils.updateDocumentStatus(documentId, 'failed', 'No text content found in document');
+    await reportStage(documentId, 'failed');
+
+    const events = await readEvents(await fetch(`${app.baseUrl}/api/files/${documentId}/status/stream`));
+
+    expect(events).toHaveLength(1);
+    expect(events[0].data).toMatchObject({
+      status: 'failed',
+      error: 'No text content found in document',
+      progress: { stage: 'failed' }
+    });
+  });
+});
@@ -0,0 +1,231 @@
+import { jest, describe, test, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fakeEmbedding } from './helpers/fakeEmbeddings.js';
+
+const singleRequests = [];
+const batchRequests = [];
+let geminiDown = false;
+let rateLimitsLeft = 0;
+let batchesBeforeFailure = Infinity;
+
+const rateLimitError = () => Object.assign(new Error('Too Many Requests'), { status: 429 });
+
+jest.unstable_mockModule('@google/generative-ai', () => ({
+  GoogleGenerativeAI: class {
+    getGenerativeModel() {
+      return {
+        embedContent: async (text) => {
+          if (geminiDown) throw new Error('quota exceeded');
+          singleRequests.push(text);
+          return { embedding: { values: fakeEmbedding(text) } };
+        },
+        batchEmbedContents: async ({ requests }) => {
+          if (geminiDown) throw new Error('quota exceeded');
+          if (batchesBeforeFailure-- <= 0) throw new Error('quota exceeded');
+          if (rateLimitsLeft > 0) {
+            rateLimitsLeft--;
+            throw rateLimitError();
+          }
+          const texts = requests.map(request => request.content.parts[0].text);
+          batchRequests.push(texts);
+          return { embeddings: texts.map(text => ({ values: fakeEmbedding(text) })) };
+        }
+      };
+    }
+  }
+}));
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { createEmbeddingsBatch, searchSimilarChunks, indexChunkEmbeddings } = await import('../services/vectorService.js');
+const { processDocument } = await import('../services/documentProcessor.js');
+const { encodeEmbedding, normalizeVector, dotProduct } = await import('../services/vectorIndex.js');
+const { createTokenBudget } = await import('../services/llm/tokenBudget.js');
+
+let userId;
+let tempDir;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await initializeDatabase();
+  userId = await dbUtils.createUser('batcher', 'batcher@example.com', 'hash');
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-batches-'));
+});
+
+afterAll(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  singleRequests.length = 0;
+  batchRequests.length = 0;
+  geminiDown = false;
+  rateLimitsLeft = 0;
+  batchesBeforeFailure = Infinity;
+  delete process.env.EMBEDDING_FALLBACK;
+});
+
+const sameDirection = (a, b) => dotProduct(normalizeVector(Float32Array.from(a)), normalizeVector(Float32Array.from(b)));
+
+describe('batched embeddings', () => {
+  test('texts go out in requests of the provider\'s batch size and come back in order', async () => {
+    const texts = Array.from({ length: 150 }, (_, i) => `Batch fact number ${i} about enzymes`);
+
+    const embeddings = await createEmbeddingsBatch(texts);
+
+    expect(batchRequests.map(batch => batch.length)).toEqual([100, 50]);
+    expect(singleRequests).toHaveLength(0);
+    embeddings.forEach((embedding, i) => {
+      expect(embedding.model).toBe('gemini:embedding-001');
+      expect(sameDirection(embedding.vector, fakeEmbedding(texts[i]))).toBeCloseTo(1);
+    });
+  });
+
+  test('repeated text is embedded once, and text embedded before comes from the cache', async () => {
+    const first = await createEmbeddingsBatch(['Ribosomes build proteins', 'Lipids form membranes', 'Ribosomes build proteins']);
+
+    expect(batchRequests).toEqual([['Ribosomes build proteins', 'Lipids form membranes']]);
+    expect(first[2]).toEqual(first[0]);
+
+    const progress = [];
+    const again = await createEmbeddingsBatch(['Lipids form membranes', 'Ribosomes build proteins'], {
+      onProgress: done => progress.push(done)
+    });
+
+    expect(batchRequests).toHaveLength(1);
+    expect(sameDirection(again[1].vector, first[0].vector)).toBeCloseTo(1);
+    expect(again[1].model).toBe('gemini:embedding-001');
+    expect(progress).toEqual([2]);
+  });
+
+  test('rate limits are retried before falling back', async () => {
+    rateLimitsLeft = 1;
+
+    const [embedding] = await createEmbeddingsBatch(['Golgi bodies package proteins', 'Vacuoles store water']);
+
+    expect(embedding.model).toBe('gemini:embedding-001');
+    expect(batchRequests).toHaveLength(1);
+  });
+
+  test('texts no embedder could handle are null', async () => {
+    geminiDown = true;
+    process.env.EMBEDDING_FALLBACK = 'none';
+
+    expect(await createEmbeddingsBatch(['Chloroplasts capture light', 'Cilia beat in waves'])).toEqual([null, null]);
+  });
+
+  test('reprocessing an unchanged document embeds nothing again', async () => {
+    const filePath = path.join(tempDir, 'organelles.txt');
+    await fs.writeFile(filePath, 'Mitochondria release energy. Nuclei hold the chromosomes. Lysosomes digest waste.');
+    const documentId = await dbUtils.createDocument(userId, 'organelles.txt', 'organelles.txt', filePath, 1, 'text/plain');
+
+    await processDocument(documentId, filePath, 'text/plain');
+    const requests = batchRequests.length + singleRequests.length;
+    await processDocument(documentId, filePath, 'text/plain');
+
+    expect(requests).toBeGreaterThan(0);
+    expect(batchRequests.length + singleRequests.length).toBe(requests);
+    expect((await dbUtils.getDocumentChunks(documentId)).every(chunk => chunk.embedding_model === 'gemini:embedding-001')).toBe(true);
+  });
+
+  test('the semantic chunker\'s sentences are embedded without filling the cache', async () => {
+    const filePath = path.join(tempDir, 'tissues.txt');
+    await fs.writeFile(filePath, 'Epithelium lines organs. Muscle tissue contracts. Nervous tissue carries signals.');
+    const documentId = await dbUtils.createDocument(userId, 'tissues.txt', 'tissues.txt', filePath, 1, 'text/plain', null, null, { strategy: 'semantic', size: 200 });
+    const cacheSize = async () => (await dbUtils.db.getAsync('SELECT COUNT(*) AS count FROM embedding_cache')).count;
+    const before = await cacheSize();
+
+    await processDocument(documentId, filePath, 'text/plain');
+
+    const chunks = await dbUtils.getDocumentChunks(documentId);
+    expect(batchRequests[0]).toEqual(['Epithelium lines organs.', 'Muscle tissue contracts.', 'Nervous tissue carries signals.']);
+    expect(await cacheSize()).toBe(before + chunks.length);
+  });
+});
+
+describe('a batch that fails', () => {
+  // Enough token windows for two Gemini batches
+  const notes = (topic) => Array.from({ length: 600 }, (_, i) => `Note ${i} on ${topic} number ${i}.`).join(' ');
+
+  const processNotes = async (name, topic) => {
+    const filePath = path.join(tempDir, name);
+    await fs.writeFile(filePath, notes(topic));
+    const documentId = await dbUtils.createDocument(userId, name, name, filePath, 1, 'text/plain');
+    await dbUtils.updateDocumentChunking(documentId, { strategy: 'token', size: 32 });
+    return { documentId, filePath, run: () => processDocument(documentId, filePath, 'text/plain') };
+  };
+
+  test('leaves a new document unprocessed instead of ready with chunks missing', async () => {
+    const { documentId, run } = await processNotes('quartz.txt', 'quartz');
+    process.env.EMBEDDING_FALLBACK = 'none';
+    batchesBeforeFailure = 1;
+
+    await expect(run()).rejects.toThrow('Failed to embed');
+
+    expect(batchRequests).toHaveLength(1);
+    const document = await dbUtils.getDocumentById(documentId);
+    expect(document.processing_status).not.toBe('ready');
+    expect(await dbUtils.getDocumentChunks(documentId)).toHaveLength(0);
+  });
+
+  test('keeps the previous version of a reprocessed document', async () => {
+    const { documentId, filePath, run } = await processNotes('feldspar.txt', 'feldspar');
+    await run();
+    const before = await dbUtils.getDocumentChunks(documentId);
+    expect(before.length).toBeGreaterThan(100);
+
+    await fs.writeFile(filePath, notes('mica'));
+    process.env.EMBEDDING_FALLBACK = 'none';
+    batchesBeforeFailure = 1;
+    await expect(run()).rejects.toThrow('Failed to embed');
+
+    expect(await dbUtils.getDocumentChunks(documentId)).toEqual(before);
+  });
+});
+
+describe('query embeddings', () => {
+  test('a repeated question is embedded once', async () => {
+    const documentId = await dbUtils.createDocument(userId, 'cells.pdf', 'cells.pdf', '/tmp/cells.pdf', 1, 'application/pdf');
+    const text = 'Centrioles organise cell division';
+    const vector = fakeEmbedding(text);
+    const chunkId = await dbUtils.createDocumentChunk(documentId, text, 0, null, encodeEmbedding(vector), {}, null, 'gemini:embedding-001');
+    await indexChunkEmbeddings(documentId, [{ chunkId, vector, model: 'gemini:embedding-001' }]);
+
+    const first = await searchSimilarChunks('What do centrioles do?', userId, documentId);
+    const second = await searchSimilarChunks('What do centrioles do?', userId, documentId);
+
+    expect(singleRequests).toEqual(['What do centrioles do?']);
+    expect(second).toEqual(first);
+  });
+});
+
+describe('token budget', () => {
+  test('waits until the tokens sent in the last window leave room', async () => {
+    const budget = createTokenBudget(10, 50);
+
+    const start = Date.now();
+    await budget.take(6);
+    await budget.take(6);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+  });
+
+  test('a request larger than the budget waits for an empty window instead of forever', async () => {
+    const budget = createTokenBudget(10, 50);
+
+    const start = Date.now();
+    await budget.take(25);
+
+    expect(Date.now() - start).toBeLessThan(45);
+  });
+
+  test('without a limit nothing waits', async () => {
+    const budget = createTokenBudget(0);
+
+    await budget.take(1e9);
+    await budget.take(1e9);
+  });
+});
@@ -0,0 +1,213 @@
+import { jest, describe, test, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import express from 'express';
+import { fakeEmbedding, mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+import { startTestApp } from './helpers/testApp.js';
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+
+// The migration target: same dimension as the Gemini stand-in but another space
+const localEmbedding = (text) => fakeEmbedding(text).reverse();
+const localCalls = [];
+let localCallsBeforeCrash = Infinity;
+
+jest.unstable_mockModule('@huggingface/transformers', () => ({
+  env: {},
+  pipeline: async () => async (texts) => {
+    if (localCallsBeforeCrash-- <= 0) throw new Error('onnxruntime crashed');
+    localCalls.push(texts);
+    return { tolist: () => texts.map(localEmbedding) };
+  }
+}));
+
+process.env.REEMBED_PAGE_SIZE = '2';
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { errorHandler } = await import('../middleware/errorHandler.js');
+const { requireAdmin } = await import('../middleware/auth.js');
+const { default: adminRoutes } = await import('../routes/admin.js');
+const { createEmbeddingMigration, getEmbeddingMigration, runEmbeddingMigration } = await import('../services/embeddingMigrations.js');
+const { searchSimilarChunks, indexChunkEmbeddings } = await import('../services/vectorService.js');
+const { encodeEmbedding } = await import('../services/vectorIndex.js');
+const { startJobQueue, stopJobQueue, waitForIdle } = await import('../services/jobQueue.js');
+
+const GEMINI = 'gemini:embedding-001';
+const LOCAL = 'local:Xenova/all-MiniLM-L6-v2';
+
+let alice;
+let bob;
+let admin;
+let currentUser;
+let app;
+
+const createEmbeddedDocument = async (userId, name, texts) => {
+  const documentId = await dbUtils.createDocument(userId, name, name, `/tmp/${name}`, 1, 'application/pdf');
+  for (const [i, text] of texts.entries()) {
+    const vector = fakeEmbedding(text);
+    const chunkId = await dbUtils.createDocumentChunk(documentId, text, i, null, encodeEmbedding(vector), {}, null, GEMINI);
+    await indexChunkEmbeddings(documentId, [{ chunkId, vector, model: GEMINI }]);
+  }
+  return documentId;
+};
+
+const modelsOf = async (documentId) => (await dbUtils.getDocumentChunks(documentId)).map(chunk => chunk.embedding_model);
+
+const stagedCount = async (migrationId) => (await dbUtils.db.getAsync(
+  'SELECT COUNT(*) AS count FROM embedding_migration_chunks WHERE migration_id = ?',
+  [migrationId]
+)).count;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await initializeDatabase();
+  alice = await dbUtils.createUser('alice', 'alice@example.com', 'hash');
+  bob = await dbUtils.createUser('bob', 'bob@example.com', 'hash');
+  admin = await dbUtils.createUser('root', 'Root@Example.com', 'hash');
+  process.env.ADMIN_EMAILS = 'ops@example.com, root@example.com';
+
+  // The stub auth only sets the user id; load the email the way authenticateToken does
+  const adminApi = express.Router();
+  adminApi.use(async (req, res, next) => {
+    req.user = await dbUtils.getUserById(req.user.id);
+    next();
+  }, requireAdmin, adminRoutes);
+  app = await startTestApp({ '/api/admin': adminApi }, () => currentUser, errorHandler);
+});
+
+afterAll(async () => {
+  stopJobQueue();
+  await app.close();
+  delete process.env.ADMIN_EMAILS;
+});
+
+afterEach(() => {
+  localCalls.length = 0;
+  localCallsBeforeCrash = Infinity;
+});
+
+describe('re-embedding a user\'s chunks', () => {
+  const GEOLOGY = ['Basalt forms from cooling lava', 'Granite cools slowly underground', 'Sandstone is cemented sand'];
+  let geology;
+  let notes;
+  let bobsDocument;
+  let migration;
+
+  beforeAll(async () => {
+    geology = await createEmbeddedDocument(alice, 'geology.pdf', GEOLOGY);
+    notes = await createEmbeddedDocument(alice, 'notes.pdf', ['Fossils record ancient life']);
+    bobsDocument = await createEmbeddedDocument(bob, 'tides.pdf', ['The moon pulls the tides']);
+    migration = await createEmbeddingMigration({ model: 'local', userId: alice, requestedBy: admin });
+  });
+
+  test('a run that stops keeps its progress while the old vectors keep serving search', async () => {
+    localCallsBeforeCrash = 1;
+
+    await expect(runEmbeddingMigration(migration.id)).rejects.toThrow('could not be embedded');
+
+    expect(migration.model).toBe(LOCAL);
+    expect(await stagedCount(migration.id)).toBe(2);
+    expect(await getEmbeddingMigration(migration.id)).toMatchObject({ total: 4, done: 2, percent: 50 });
+    expect(await modelsOf(geology)).toEqual([GEMINI, GEMINI, GEMINI]);
+
+    const [result] = await searchSimilarChunks(GEOLOGY[1], alice, geology, 1);
+    expect(result.text).toBe(GEOLOGY[1]);
+    expect(result.similarity).toBeCloseTo(1);
+  });
+
+  test('running it again embeds only the rest, then swaps every vector in at once', async () => {
+    const progress = [];
+
+    const finished = await runEmbeddingMigration(migration.id, { onProgress: step => progress.push(step) });
+
+    expect(localCalls.flat()).toHaveLength(2);
+    expect(progress[0]).toEqual({ total: 4, done: 2 });
+    expect(finished).toMatchObject({ status: 'completed', total: 4, done: 4, percent: 100 });
+    expect(finished.finishedAt).toBeTruthy();
+    expect(await stagedCount(migration.id)).toBe(0);
+    expect(await modelsOf(geology)).toEqual([LOCAL, LOCAL, LOCAL]);
+    expect(await modelsOf(notes)).toEqual([LOCAL]);
+    expect(await modelsOf(bobsDocument)).toEqual([GEMINI]);
+
+    const lists = await dbUtils.db.allAsync('SELECT DISTINCT embedding_model FROM vector_index_lists WHERE document_id = ?', [geology]);
+    expect(lists.map(list => list.embedding_model)).toEqual([LOCAL]);
+
+    const [result] = await searchSimilarChunks(GEOLOGY[2], alice, geology, 1);
+    expect(result.text).toBe(GEOLOGY[2]);
+    expect(result.similarity).toBeCloseTo(1);
+  });
+
+  test('a scope with nothing left on another model completes right away', async () => {
+    const again = await createEmbeddingMigration({ model: LOCAL, documentId: notes });
+
+    expect(await runEmbeddingMigration(again.id)).toMatchObject({ status: 'completed', total: 0, percent: 100 });
+    expect(localCalls).toHaveLength(0);
+  });
+});
+
+describe('admin endpoint', () => {
+  let river;
+  let lake;
+
+  beforeAll(async () => {
+    river = await createEmbeddedDocument(bob, 'river.pdf', ['Rivers erode their banks', 'Deltas form at river mouths']);
+    lake = await createEmbeddedDocument(bob, 'lake.pdf', ['Lakes freeze from the top down']);
+  });
+
+  const post = async (userId, path, body = {}) => {
+    currentUser = userId;
+    const response = await fetch(`${app.baseUrl}/api/admin${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const get = async (userId, path) => {
+    currentUser = userId;
+    const response = await fetch(`${app.baseUrl}/api/admin${path}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('only admins may start a migration', async () => {
+    const { status, body } = await post(alice, '/embedding-migrations', { model: 'local' });
+
+    expect(status).toBe(403);
+    expect(body.code).toBe('ADMIN_REQUIRED');
+  });
+
+  test('unknown providers are rejected', async () => {
+    const { status, body } = await post(admin, '/embedding-migrations', { model: 'nope:model' });
+
+    expect(status).toBe(400);
+    expect(body.code).toBe('INVALID_MODEL');
+  });
+
+  test('a migration runs in the background and reports its progress', async () => {
+    const started = await post(admin, '/embedding-migrations', { model: 'local', documentId: river });
+
+    expect(started.status).toBe(202);
+    expect(started.body.migration).toMatchObject({ model: LOCAL, documentId: river, status: 'queued', requestedBy: admin });
+
+    const second = await post(admin, '/embedding-migrations', { model: 'local' });
+    expect(second.status).toBe(409);
+    expect(second.body.code).toBe('MIGRATION_IN_PROGRESS');
+
+    startJobQueue();
+    await waitForIdle();
+
+    const { body } = await get(admin, `/embedding-migrations/${started.body.migration.id}`);
+    expect(body.migration).toMatchObject({ status: 'completed', total: 2, done: 2, percent: 100 });
+    expect(body.job).toBeNull();
+    expect(await modelsOf(river)).toEqual([LOCAL, LOCAL]);
+    expect(await modelsOf(lake)).toEqual([GEMINI]);
+
+    const listed = await get(admin, '/embedding-migrations');
+    expect(listed.body.migrations[0].id).toBe(started.body.migration.id);
+
+    const resumed = await post(admin, `/embedding-migrations/${started.body.migration.id}/resume`);
+    expect(resumed.status).toBe(409);
+    expect(resumed.body.code).toBe('MIGRATION_COMPLETED');
+  });
+});
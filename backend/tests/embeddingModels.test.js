@@ -0,0 +1,160 @@
+import { jest, describe, test, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fakeEmbedding } from './helpers/fakeEmbeddings.js';
+
+let geminiDown = false;
+const localLoads = [];
+const localCalls = [];
+
+jest.unstable_mockModule('@google/generative-ai', () => ({
+  GoogleGenerativeAI: class {
+    getGenerativeModel() {
+      return {
+        embedContent: async (text) => {
+          if (geminiDown) throw new Error('quota exceeded');
+          return { embedding: { values: fakeEmbedding(text) } };
+        },
+        batchEmbedContents: async ({ requests }) => {
+          if (geminiDown) throw new Error('quota exceeded');
+          return { embeddings: requests.map(request => ({ values: fakeEmbedding(request.content.parts[0].text) })) };
+        }
+      };
+    }
+  }
+}));
+
+// Same dimension as the Gemini stand-in but another space: the same text gives a reversed vector
+const localEmbedding = (text) => fakeEmbedding(text).reverse();
+
+jest.unstable_mockModule('@huggingface/transformers', () => ({
+  env: {},
+  pipeline: async (task, model) => {
+    localLoads.push({ task, model });
+    return async (texts, options) => {
+      localCalls.push({ texts, options });
+      return { tolist: () => texts.map(localEmbedding) };
+    };
+  }
+}));
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { createEmbeddings, searchSimilarChunks, indexChunkEmbeddings } = await import('../services/vectorService.js');
+const { processDocument } = await import('../services/documentProcessor.js');
+const { encodeEmbedding } = await import('../services/vectorIndex.js');
+
+const LOCAL_MODEL = 'local:Xenova/all-MiniLM-L6-v2';
+
+let userId;
+let tempDir;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await initializeDatabase();
+  userId = await dbUtils.createUser('embedder', 'embedder@example.com', 'hash');
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-models-'));
+});
+
+afterAll(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  geminiDown = false;
+  delete process.env.EMBEDDING_PROVIDER;
+  delete process.env.EMBEDDING_FALLBACK;
+  delete process.env.LOCAL_EMBEDDING_MODEL;
+});
+
+describe('embedders', () => {
+  test('Gemini embeddings name their model', async () => {
+    const { vector, model } = await createEmbeddings('Cells divide by mitosis');
+
+    expect(model).toBe('gemini:embedding-001');
+    expect(vector).toEqual(fakeEmbedding('Cells divide by mitosis'));
+  });
+
+  test('when Gemini fails the local model embeds instead, mean-pooled and normalized', async () => {
+    geminiDown = true;
+
+    const { vector, model } = await createEmbeddings('Cells divide by mitosis');
+
+    expect(model).toBe(LOCAL_MODEL);
+    expect(vector).toEqual(localEmbedding('Cells divide by mitosis'));
+    expect(localLoads).toContainEqual({ task: 'feature-extraction', model: 'Xenova/all-MiniLM-L6-v2' });
+    expect(localCalls[localCalls.length - 1].options).toEqual({ pooling: 'mean', normalize: true });
+  });
+
+  test('the fallback can be turned off', async () => {
+    geminiDown = true;
+    process.env.EMBEDDING_FALLBACK = 'none';
+
+    await expect(createEmbeddings('Cells divide by mitosis')).rejects.toThrow('quota exceeded');
+  });
+
+  test('the local model can be the primary embedder', async () => {
+    process.env.EMBEDDING_PROVIDER = 'local';
+    process.env.LOCAL_EMBEDDING_MODEL = 'Xenova/bge-small-en-v1.5';
+
+    const { model } = await createEmbeddings('Cells divide by mitosis');
+
+    expect(model).toBe('local:Xenova/bge-small-en-v1.5');
+    expect(localLoads).toContainEqual({ task: 'feature-extraction', model: 'Xenova/bge-small-en-v1.5' });
+  });
+});
+
+describe('chunks record their embedding model', () => {
+  test('processing stores the model and dimension with each chunk and its index cluster', async () => {
+    geminiDown = true;
+    const filePath = path.join(tempDir, 'cells.txt');
+    await fs.writeFile(filePath, 'Cells divide by mitosis. Each daughter cell gets a full set of chromosomes.');
+    const documentId = await dbUtils.createDocument(userId, 'cells.txt', 'cells.txt', filePath, 1, 'text/plain');
+
+    await processDocument(documentId, filePath, 'text/plain');
+
+    const chunks = await dbUtils.getDocumentChunks(documentId);
+    expect(chunks.length).toBeGreaterThan(0);
+    expect(chunks.every(chunk => chunk.embedding_model === LOCAL_MODEL && chunk.embedding_dimension === 64)).toBe(true);
+    const lists = await dbUtils.db.allAsync('SELECT embedding_model FROM vector_index_lists WHERE document_id = ?', [documentId]);
+    expect(lists.map(list => list.embedding_model)).toEqual([LOCAL_MODEL]);
+  });
+});
+
+describe('search across embedding models', () => {
+  const GEMINI_TEXT = 'Volcanoes erupt molten rock and ash';
+  const LOCAL_TEXT = 'Glaciers carve deep valleys into mountains';
+  let documentId;
+
+  beforeAll(async () => {
+    documentId = await dbUtils.createDocument(userId, 'earth.pdf', 'earth.pdf', '/tmp/earth.pdf', 1, 'application/pdf');
+    const stored = [
+      { text: GEMINI_TEXT, vector: fakeEmbedding(GEMINI_TEXT), model: 'gemini:embedding-001' },
+      { text: LOCAL_TEXT, vector: localEmbedding(LOCAL_TEXT), model: LOCAL_MODEL }
+    ];
+    for (const [i, { text, vector, model }] of stored.entries()) {
+      const chunkId = await dbUtils.createDocumentChunk(documentId, text, i, null, encodeEmbedding(vector), {}, null, model);
+      await indexChunkEmbeddings(documentId, [{ chunkId, vector, model }]);
+    }
+  });
+
+  test('the query is embedded with each model and only scored against its chunks', async () => {
+    const [local] = await searchSimilarChunks(LOCAL_TEXT, userId, documentId, 1);
+    const [gemini] = await searchSimilarChunks(GEMINI_TEXT, userId, documentId, 1);
+
+    expect(local.text).toBe(LOCAL_TEXT);
+    expect(local.similarity).toBeCloseTo(1);
+    expect(gemini.text).toBe(GEMINI_TEXT);
+    expect(gemini.similarity).toBeCloseTo(1);
+  });
+
+  test('chunks of a model that cannot embed the query right now are left out', async () => {
+    geminiDown = true;
+
+    const results = await searchSimilarChunks('Where does molten rock come from?', userId, documentId, 5);
+
+    expect(results.map(result => result.text)).toEqual([LOCAL_TEXT]);
+  });
+});
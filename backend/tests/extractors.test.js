@@ -0,0 +1,408 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { buildPdf } from './helpers/pdf.js';
+
+const { detectExtractor, isSupportedUpload } = await import('../services/extractors/index.js');
+const { splitTextIntoChunks } = await import('../services/chunking/index.js');
+
+let dir;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'extractors-'));
+});
+
+afterAll(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const writeFile = async (name, content) => {
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, content);
+  return filePath;
+};
+
+const odtPackage = (contentXml) => {
+  const zip = new JSZip();
+  // ODF requires the uncompressed mimetype entry first
+  zip.file('mimetype', 'application/vnd.oasis.opendocument.text', { compression: 'STORE' });
+  zip.file('content.xml', contentXml);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+// Minimal OOXML package: the given parts plus the relationship files that link them
+const ooxmlPackage = (parts) => {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<Types/>');
+  for (const [name, xml] of Object.entries(parts)) zip.file(name, xml);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const relationships = (entries) =>
+  `<Relationships>${entries.map(([id, target, type = 'slide']) =>
+    `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`
+  ).join('')}</Relationships>`;
+
+const slideXml = (title, ...body) => `<p:sld><p:cSld><p:spTree>
+  <p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr><p:spPr/>
+    <p:txBody><a:p><a:r><a:t>${title}</a:t></a:r></a:p></p:txBody></p:sp>
+  <p:sp><p:nvSpPr><p:nvPr><p:ph idx="1"/></p:nvPr></p:nvSpPr>
+    <p:txBody>${body.map(line => `<a:p><a:r><a:rPr lang="en-US"/><a:t>${line}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sp>
+</p:spTree></p:cSld></p:sld>`;
+
+const epubPackage = (parts) => {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', '<container><rootfiles><rootfile full-path="OEBPS/book.opf" media-type="application/oebps-package+xml"/></rootfiles></container>');
+  for (const [name, xml] of Object.entries(parts)) zip.file(`OEBPS/${name}`, xml);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+// Minimal DOCX with the given body XML
+const docxPackage = (body) => {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>');
+  zip.file('_rels/.rels', '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>');
+  zip.file('word/document.xml', `<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const xhtml = (body) => `<?xml version="1.0"?><html xmlns="http://www.w3.org/1999/xhtml"><head><title>Book</title></head><body>${body}</body></html>`;
+
+const extract = async (name, content, mimeType = 'application/octet-stream') => {
+  const filePath = await writeFile(name, content);
+  const extractor = await detectExtractor(filePath, { mimeType, filename: name });
+  return { extractor: extractor?.name, text: extractor && await extractor.extract(filePath) };
+};
+
+describe('format detection', () => {
+  test('magic bytes win over a wrong extension or MIME type', async () => {
+    const rtf = await writeFile('notes.txt', '{\\rtf1\\ansi Hello}');
+    expect((await detectExtractor(rtf, { mimeType: 'text/plain', filename: 'notes.txt' })).name).toBe('rtf');
+
+    const pdf = await writeFile('scan.bin', '%PDF-1.7\n...');
+    expect((await detectExtractor(pdf, { mimeType: 'application/octet-stream' })).name).toBe('pdf');
+
+    const html = await writeFile('page.txt', '<!DOCTYPE html><html><body>Hi</body></html>');
+    expect((await detectExtractor(html, { mimeType: 'text/plain', filename: 'page.txt' })).name).toBe('html');
+  });
+
+  test('ZIP containers are told apart by their contents', async () => {
+    const odt = await writeFile('a.zip', await odtPackage('<office:document-content/>'));
+    expect((await detectExtractor(odt)).name).toBe('odt');
+
+    const docx = new JSZip();
+    docx.file('[Content_Types].xml', '<Types/>');
+    docx.file('word/document.xml', '<w:document/>');
+    const docxPath = await writeFile('b.zip', await docx.generateAsync({ type: 'nodebuffer' }));
+    expect((await detectExtractor(docxPath)).name).toBe('word');
+  });
+
+  test('formats without magic bytes use the extension, then the MIME type', async () => {
+    const notes = await writeFile('notes.md', '# Notes');
+    expect((await detectExtractor(notes, { mimeType: 'text/plain', filename: 'notes.md' })).name).toBe('markdown');
+    expect((await detectExtractor(notes, { mimeType: 'text/markdown' })).name).toBe('markdown');
+    expect(await detectExtractor(notes, { mimeType: 'application/zip', filename: 'notes.zip' })).toBeNull();
+  });
+
+  test('uploads are filtered by declared type or extension', () => {
+    expect(isSupportedUpload({ mimetype: 'application/octet-stream', originalname: 'lecture.md' })).toBe(true);
+    expect(isSupportedUpload({ mimetype: 'application/rtf', originalname: 'x' })).toBe(true);
+    expect(isSupportedUpload({ mimetype: 'application/zip', originalname: 'archive.zip' })).toBe(false);
+  });
+});
+
+describe('extractors keep headings', () => {
+  test('plain text, including UTF-16 with a BOM', async () => {
+    const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Lecture transcript\r\nPart one', 'utf16le')]);
+    const { extractor, text } = await extract('talk.txt', utf16, 'text/plain');
+
+    expect(extractor).toBe('text');
+    expect(text).toBe('Lecture transcript\nPart one');
+  });
+
+  test('binary content with a text extension is rejected', async () => {
+    const filePath = await writeFile('fake.txt', Buffer.from([0x00, 0x01, 0x02, 0x00]));
+    const extractor = await detectExtractor(filePath, { filename: 'fake.txt' });
+    await expect(extractor.extract(filePath)).rejects.toThrow('plain text');
+  });
+
+  test('Markdown drops front matter and normalizes underlined headings', async () => {
+    const { text } = await extract('notes.md', '---\ntitle: Week 1\n---\nCell Biology\n============\n\nIntro.\n\nMembranes\n---------\n\n## Transport\nDetails.');
+    expect(text).toBe('# Cell Biology\n\nIntro.\n\n## Membranes\n\n## Transport\nDetails.');
+  });
+
+  test('HTML pages lose scripts, styles and the head', async () => {
+    const { text } = await extract('page.html', `<!doctype html><html><head><title>T</title><style>p{}</style></head>
+      <body>
+        <script>alert(1)</script>
+        <h1>Photosynthesis</h1>
+        <p>Light &amp;
+           water</p>
+        <h2>Calvin cycle</h2>
+        <pre>fix(CO2)
+  -> G3P</pre>
+      </body></html>`);
+
+    expect(text).toBe('# Photosynthesis\n\nLight & water\n\n## Calvin cycle\n\nfix(CO2)\n  -> G3P');
+  });
+
+  test('invalid numeric entities read as the replacement character', async () => {
+    const { text } = await extract('refs.html', '<p>&#x41;&#955; &#1114112; &#xD800; &#x110000; &#0;</p>');
+    expect(text).toBe('A\u03bb \ufffd \ufffd \ufffd \ufffd');
+  });
+
+  test('RTF headings come from outline levels and heading styles', async () => {
+    const rtf = [
+      '{\\rtf1\\ansi\\deff0{\\fonttbl{\\f0 Times;}}',
+      '{\\stylesheet{\\s0 Normal;}{\\s2\\sbasedon0 heading 2;}}',
+      '{\\info{\\title Ignored}}',
+      '\\pard\\outlinelevel0 Genetics\\par',
+      '\\pard Mendel\\rquote s peas, caf\\\'e9 and \\u8364?5.\\par',
+      '\\pard\\s2 Alleles\\par',
+      '\\pard {\\*\\fldinst HYPERLINK "x"}{\\fldrslt Dominant} traits\\par}'
+    ].join('\n');
+
+    const { extractor, text } = await extract('genetics.rtf', rtf);
+
+    expect(extractor).toBe('rtf');
+    expect(text).toBe('# Genetics\n\nMendel’s peas, café and €5.\n\n## Alleles\n\nDominant traits');
+  });
+
+  test('ODT headings keep their outline level', async () => {
+    const content = `<?xml version="1.0" encoding="UTF-8"?>
+      <office:document-content><office:body><office:text>
+        <text:h text:outline-level="1">Ecology</text:h>
+        <text:p>Food<text:s text:c="2"/>webs<office:annotation><text:p>reviewer note</text:p></office:annotation></text:p>
+        <text:h text:outline-level="2">Energy &amp; matter</text:h>
+        <text:list><text:list-item><text:p>Producers</text:p></text:list-item></text:list>
+      </office:text></office:body></office:document-content>`;
+
+    const { extractor, text } = await extract('ecology.odt', await odtPackage(content));
+
+    expect(extractor).toBe('odt');
+    expect(text).toBe('# Ecology\n\nFood  webs\n\n## Energy & matter\n\nProducers');
+  });
+
+  test('PPTX slides keep their order, titles and speaker notes', async () => {
+    const pptx = await ooxmlPackage({
+      'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>',
+      'ppt/_rels/presentation.xml.rels': relationships([['rId2', 'slides/slide1.xml'], ['rId3', 'slides/slide2.xml']]),
+      'ppt/slides/slide2.xml': slideXml('Cell division', 'Mitosis &amp; meiosis', 'Two daughter cells'),
+      'ppt/slides/slide1.xml': slideXml('Summary', 'Review questions'),
+      'ppt/slides/_rels/slide1.xml.rels': relationships([['rId1', '../notesSlides/notesSlide1.xml', 'notesSlide']]),
+      'ppt/notesSlides/notesSlide1.xml': `<p:notes><p:cSld><p:spTree>
+        <p:sp><p:nvSpPr><p:nvPr><p:ph type="sldNum"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>2</a:t></a:r></a:p></p:txBody></p:sp>
+        <p:sp><p:nvSpPr><p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>Ask about the quiz</a:t></a:r></a:p></p:txBody></p:sp>
+      </p:spTree></p:cSld></p:notes>`
+    });
+
+    const { extractor, text } = await extract('lecture.pptx', pptx);
+
+    expect(extractor).toBe('pptx');
+    expect(text).toBe([
+      '--- Slide 1 ---', '# Cell division', 'Mitosis & meiosis', 'Two daughter cells',
+      '',
+      '--- Slide 2 ---', '# Summary', 'Review questions', '', 'Speaker notes: Ask about the quiz'
+    ].join('\n'));
+  });
+
+  test('XLSX sheets become header and numbered row lines', async () => {
+    const xlsx = await ooxmlPackage({
+      'xl/workbook.xml': '<workbook><sheets><sheet name="Grades" sheetId="1" r:id="rId1"/><sheet name="Empty" sheetId="2" r:id="rId2"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': relationships([['rId1', 'worksheets/sheet1.xml', 'worksheet'], ['rId2', 'worksheets/sheet2.xml', 'worksheet']]),
+      'xl/sharedStrings.xml': '<sst><si><t>Name</t></si><si><t>Due</t></si><si><r><t>Ada</t></r><r><t> L.</t></r></si></sst>',
+      'xl/styles.xml': '<styleSheet><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>',
+      'xl/worksheets/sheet1.xml': `<worksheet><sheetData>
+        <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><t>Passed</t></is></c></row>
+        <row r="3"><c r="A3" t="s"><v>2</v></c><c r="B3" s="1"><v>45352</v></c><c r="C3" t="b"><v>1</v></c></row>
+        <row r="4"><c r="A4" t="str"><f>A3</f><v>Grace</v></c><c r="C4" t="b"><v>0</v></c></row>
+      </sheetData></worksheet>`,
+      'xl/worksheets/sheet2.xml': '<worksheet><sheetData/></worksheet>'
+    });
+
+    const { extractor, text } = await extract('grades.xlsx', xlsx);
+
+    expect(extractor).toBe('xlsx');
+    expect(text).toBe([
+      '--- Sheet Grades ---',
+      'Columns: Name | Due | Passed',
+      'Row 3: Ada L. | 2024-03-01 | TRUE',
+      'Row 4: Grace |  | FALSE'
+    ].join('\n'));
+  });
+
+  test('CSV quoting, embedded newlines and semicolon delimiters', async () => {
+    const csv = 'Species;Count;Notes\r\n"Oak; English";12;"tall\nand ""old"""\r\nBirch;7;\r\n';
+    const { extractor, text } = await extract('results.csv', csv, 'application/vnd.ms-excel');
+
+    expect(extractor).toBe('csv');
+    expect(text).toBe('--- Sheet ---\nColumns: Species | Count | Notes\nRow 2: Oak; English | 12 | tall and "old"\nRow 3: Birch | 7');
+  });
+
+  test('EPUB chapters follow the spine and take their titles from the table of contents', async () => {
+    const epub = await epubPackage({
+      'book.opf': `<package><manifest>
+          <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+          <item id="cover" href="text/cover.xhtml" media-type="application/xhtml+xml"/>
+          <item id="c1" href="text/ch%201.xhtml" media-type="application/xhtml+xml"/>
+          <item id="c1b" href="text/ch1b.xhtml" media-type="application/xhtml+xml"/>
+          <item id="rest" href="text/rest.xhtml" media-type="application/xhtml+xml"/>
+          <item id="answers" href="text/answers.xhtml" media-type="application/xhtml+xml"/>
+        </manifest><spine>
+          <itemref idref="cover"/><itemref idref="c1"/><itemref idref="c1b"/><itemref idref="answers" linear="no"/><itemref idref="rest"/>
+        </spine></package>`,
+      'nav.xhtml': xhtml(`<nav epub:type="toc"><ol>
+          <li><a href="text/ch%201.xhtml">Part I</a><ol>
+            <li><a href="text/ch%201.xhtml">1. Cells</a><ol><li><a href="text/ch%201.xhtml#membranes">Membranes</a></li></ol></li>
+          </ol></li>
+          <li><a href="text/rest.xhtml#ch2">2. Tissues</a></li>
+          <li><a href="text/rest.xhtml#ch3">3. Organs</a></li>
+        </ol></nav>`),
+      'text/cover.xhtml': xhtml('<p>Biology for Beginners</p>'),
+      'text/ch 1.xhtml': xhtml('<h1>Cells</h1><p>Cells are small.</p><h2 id="membranes">Membranes</h2><p>Lipid bilayers.</p>'),
+      'text/ch1b.xhtml': xhtml('<p>More about cells.</p>'),
+      'text/answers.xhtml': xhtml('<p>Answer key</p>'),
+      'text/rest.xhtml': xhtml('<section id="ch2"><h1>Tissues</h1><p>Groups of cells.</p></section><section id=\'ch3\'><h1>Organs</h1><p>Groups of tissues.</p></section>')
+    });
+
+    const { extractor, text } = await extract('biology.epub', epub);
+
+    expect(extractor).toBe('epub');
+    expect(text).toBe([
+      'Biology for Beginners',
+      '--- Chapter 1. Cells ---',
+      '# Cells\n\nCells are small.\n\n## Membranes\n\nLipid bilayers.',
+      'More about cells.',
+      '--- Chapter 2. Tissues ---',
+      '# Tissues\n\nGroups of cells.',
+      '--- Chapter 3. Organs ---',
+      '# Organs\n\nGroups of tissues.'
+    ].join('\n\n'));
+  });
+
+  test('EPUB 2 books fall back to the NCX table of contents', async () => {
+    const epub = await epubPackage({
+      'book.opf': `<package><manifest>
+          <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+          <item id="a" href="a.xhtml" media-type="application/xhtml+xml"/>
+        </manifest><spine toc="ncx"><itemref idref="a"/></spine></package>`,
+      'toc.ncx': `<ncx><navMap><navPoint id="p1" playOrder="1">
+          <navLabel><text>Genetics &amp; heredity</text></navLabel><content src="a.xhtml"/>
+        </navPoint></navMap></ncx>`,
+      'a.xhtml': xhtml('<p>Genes are inherited.</p>')
+    });
+
+    const { text } = await extract('genetics.epub', epub);
+
+    expect(text).toBe('--- Chapter Genetics & heredity ---\n\nGenes are inherited.');
+  });
+
+  test('extracted headings become chunk headings', async () => {
+    const { text } = await extract('bio.md', '# Cells\n\nAll living things are made of cells.\n\n# Tissues\n\nGroups of cells.');
+    const chunks = await splitTextIntoChunks(text, { size: 60, overlap: 0 });
+
+    expect(chunks[0].heading).toBe('Cells');
+    expect(chunks[chunks.length - 1].heading).toBe('Tissues');
+  });
+});
+
+describe('tables', () => {
+  const enzymes = [
+    '--- Table ---',
+    'Table 1: Enzyme activity',
+    '| Enzyme | pH |',
+    '| --- | --- |',
+    '| Pepsin | 2 |',
+    '| Amylase | 7 |',
+    '--- End table ---'
+  ].join('\n');
+
+  test('Word tables become Markdown blocks with their caption paragraph', async () => {
+    const paragraph = (text) => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`;
+    const row = (...cells) => `<w:tr>${cells.map(cell => `<w:tc>${paragraph(cell)}</w:tc>`).join('')}</w:tr>`;
+    const docx = await docxPackage([
+      paragraph('Results follow.'),
+      paragraph('Table 1: Enzyme activity'),
+      `<w:tbl>${row('Enzyme', 'pH')}${row('Pepsin', '2')}${row('Amylase', '7')}</w:tbl>`,
+      paragraph('Both are digestive enzymes.')
+    ].join(''));
+
+    const { extractor, text } = await extract('enzymes.docx', docx);
+
+    expect(extractor).toBe('word');
+    expect(text).toBe(`Results follow.\n\n${enzymes}\n\nBoth are digestive enzymes.`);
+  });
+
+  test('HTML tables keep <caption>, spanned columns and escaped pipes; layout tables stay text', async () => {
+    const html = `<html><body>
+      <table><caption>Table 2. Units</caption>
+        <tr><th>Quantity</th><th>Unit</th></tr>
+        <tr><td>Current</td><td>A | amp</td></tr>
+        <tr><td colspan="2">Derived units follow</td></tr>
+      </table>
+      <table><tr><td>Just a layout box</td></tr></table>
+    </body></html>`;
+
+    const { text } = await extract('units.html', html, 'text/html');
+
+    expect(text).toBe([
+      '--- Table ---',
+      'Table 2. Units',
+      '| Quantity | Unit |',
+      '| --- | --- |',
+      '| Current | A \\| amp |',
+      '| Derived units follow |  |',
+      '--- End table ---',
+      '',
+      'Just a layout box'
+    ].join('\n'));
+  });
+
+  test('ODT tables become Markdown blocks', async () => {
+    const cell = (text) => `<table:table-cell><text:p>${text}</text:p></table:table-cell>`;
+    const odt = await odtPackage(`<office:document-content><office:body><office:text>
+      <text:p>Table 1: Enzyme activity</text:p>
+      <table:table>
+        <table:table-row>${cell('Enzyme')}${cell('pH')}</table:table-row>
+        <table:table-row>${cell('Pepsin')}${cell('2')}</table:table-row>
+        <table:table-row>${cell('Amylase')}${cell('7')}</table:table-row>
+      </table:table>
+    </office:text></office:body></office:document-content>`);
+
+    const { text } = await extract('enzymes.odt', odt);
+
+    expect(text).toBe(enzymes);
+  });
+
+  test('PDF tables are found from the columns their cells line up in', async () => {
+    const pdf = buildPdf([[
+      'Reaction rates were measured at three temperatures.',
+      'Table 3: Reaction rates',
+      [[72, 'Temperature'], [200, 'Rate']],
+      [[72, '20 C'], [200, '1.2']],
+      [[72, '30 C'], [200, '2.5']],
+      [[72, '40 C'], [200, '3.9']],
+      'The rate doubles every ten degrees.'
+    ]]);
+
+    const { text } = await extract('rates.pdf', pdf, 'application/pdf');
+
+    expect(text.trim()).toBe([
+      '--- Page 1 ---',
+      'Reaction rates were measured at three temperatures.',
+      '--- Table ---',
+      'Table 3: Reaction rates',
+      '| Temperature | Rate |',
+      '| --- | --- |',
+      '| 20 C | 1.2 |',
+      '| 30 C | 2.5 |',
+      '| 40 C | 3.9 |',
+      '--- End table ---',
+      'The rate doubles every ten degrees.'
+    ].join('\n'));
+  });
+});
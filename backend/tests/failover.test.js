@@ -0,0 +1,157 @@
+import { jest, describe, test, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import { mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+import { startTestApp } from './helpers/testApp.js';
+
+const postMock = jest.fn();
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+jest.unstable_mockModule('axios', () => ({
+  default: { create: () => ({ post: postMock }) }
+}));
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { complete } = await import('../services/llm/index.js');
+const { isRetryable, retryAfterMs, LLMUnavailableError } = await import('../services/llm/retryPolicy.js');
+const { errorHandler } = await import('../middleware/errorHandler.js');
+const { default: chatRoutes } = await import('../routes/chat.js');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  response: { status, headers }
+});
+
+const answer = (content) => ({ data: { choices: [{ message: { content } }] } });
+
+const request = { messages: [{ role: 'user', content: 'Hi' }] };
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  postMock.mockReset();
+  delete process.env.LLM_FALLBACKS;
+});
+
+describe('retry policy', () => {
+  test('rate limits, server errors and dropped connections are retryable', () => {
+    expect(isRetryable(httpError(429))).toBe(true);
+    expect(isRetryable(httpError(503))).toBe(true);
+    expect(isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isRetryable(httpError(400))).toBe(false);
+    expect(isRetryable(httpError(401))).toBe(false);
+  });
+
+  test('Retry-After is read as seconds or an HTTP date', () => {
+    expect(retryAfterMs(httpError(429, { 'retry-after': '3' }))).toBe(3000);
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    expect(retryAfterMs(httpError(429, { 'retry-after': inTenSeconds }))).toBeGreaterThan(8000);
+    expect(retryAfterMs(httpError(429))).toBeNull();
+  });
+});
+
+describe('complete', () => {
+  test('retries a rate-limited request and then succeeds', async () => {
+    postMock
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+      .mockRejectedValueOnce(httpError(502))
+      .mockResolvedValueOnce(answer('Recovered'));
+
+    const result = await complete(request);
+
+    expect(result.text).toBe('Recovered');
+    expect(postMock).toHaveBeenCalledTimes(3);
+  });
+
+  test('falls back to the next provider when retries run out', async () => {
+    process.env.LLM_FALLBACKS = 'openrouter:backup/model:free, mock';
+    postMock.mockRejectedValue(httpError(503));
+
+    const result = await complete(request);
+
+    expect(result).toMatchObject({ provider: 'mock', model: 'mock-1' });
+    // Three attempts on each OpenRouter model before moving on
+    expect(postMock).toHaveBeenCalledTimes(6);
+    expect(postMock.mock.calls[3][1].model).toBe('backup/model:free');
+  });
+
+  test('does not wait out a long Retry-After when a fallback exists', async () => {
+    process.env.LLM_FALLBACKS = 'mock';
+    postMock.mockRejectedValue(httpError(429, { 'retry-after': '3600' }));
+
+    const result = await complete(request);
+
+    expect(result.provider).toBe('mock');
+    expect(postMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('throws a retryable error when every provider fails', async () => {
+    postMock.mockRejectedValue(httpError(429, { 'retry-after': '45' }));
+
+    const error = await complete(request).catch(e => e);
+
+    expect(error).toBeInstanceOf(LLMUnavailableError);
+    expect(error).toMatchObject({ statusCode: 503, code: 'AI_UNAVAILABLE', retryable: true, retryAfter: 45 });
+  });
+});
+
+describe('POST /api/chat/message', () => {
+  let app;
+  let userId;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    userId = await dbUtils.createUser('failover', 'failover@example.com', 'hash');
+    app = await startTestApp({ '/api/chat': chatRoutes }, () => userId, errorHandler);
+  });
+
+  afterAll(() => app.close());
+
+  const send = (body) => fetch(`${app.baseUrl}/api/chat/message`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('a failed answer returns a retryable error and saves nothing', async () => {
+    postMock.mockRejectedValue(httpError(429, { 'retry-after': '0' }));
+    const before = await dbUtils.getConversationsByUserId(userId);
+
+    const response = await send({ message: 'What is osmosis?' });
+
+    expect(response.status).toBe(503);
+    expect(await response.json()).toMatchObject({ code: 'AI_UNAVAILABLE', retryable: true });
+    expect(await dbUtils.getConversationsByUserId(userId)).toHaveLength(before.length);
+  });
+
+  test('a request every provider refuses is reported as not worth retrying', async () => {
+    postMock.mockRejectedValue(httpError(404));
+
+    const response = await send({ message: 'What is diffusion?' });
+
+    expect(response.status).toBe(502);
+    expect(await response.json()).toMatchObject({ code: 'AI_REQUEST_REJECTED', retryable: false });
+  });
+
+  test('in an existing conversation, neither the question nor an error message is stored', async () => {
+    const conversationId = await dbUtils.createConversation(userId, null, 'Biology');
+    postMock.mockRejectedValue(httpError(500));
+
+    const failed = await send({ message: 'What is osmosis?', conversationId });
+    expect(failed.status).toBe(503);
+    expect(await dbUtils.getMessagesByConversationId(conversationId)).toHaveLength(0);
+
+    postMock.mockReset();
+    postMock.mockResolvedValue(answer('Osmosis is diffusion of water.'));
+    const retried = await send({ message: 'What is osmosis?', conversationId });
+
+    expect(retried.status).toBe(200);
+    const messages = await dbUtils.getMessagesByConversationId(conversationId);
+    expect(messages.map(m => [m.role, m.content])).toEqual([
+      ['user', 'What is osmosis?'],
+      ['assistant', 'Osmosis is diffusion of water.']
+    ]);
+  });
+});
@@ -0,0 +1,161 @@
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+import { startTestApp } from './helpers/testApp.js';
+
+const postMock = jest.fn();
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+jest.unstable_mockModule('axios', () => ({
+  default: { create: () => ({ post: postMock }) }
+}));
+
+process.env.LLM_MODELS = 'openrouter:some/stronger-model, mock';
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { errorHandler } = await import('../middleware/errorHandler.js');
+const { resolveGenerationSettings } = await import('../services/llm/models.js');
+const { default: chatRoutes } = await import('../routes/chat.js');
+const { default: userRoutes } = await import('../routes/user.js');
+const { default: modelRoutes } = await import('../routes/models.js');
+
+let app;
+let userId;
+
+const call = async (method, path, body) => {
+  const response = await fetch(`${app.baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await initializeDatabase();
+  userId = await dbUtils.createUser('settings', 'settings@example.com', 'hash');
+  app = await startTestApp(
+    { '/api/chat': chatRoutes, '/api/user': userRoutes, '/api/models': modelRoutes },
+    () => userId,
+    errorHandler
+  );
+});
+
+afterAll(() => app.close());
+
+beforeEach(() => {
+  postMock.mockReset();
+  postMock.mockResolvedValue({ data: { choices: [{ message: { content: 'An answer.' } }] } });
+});
+
+test('settings layers: the first layer that sets a value wins', () => {
+  expect(resolveGenerationSettings({ temperature: 1 }, { temperature: 0.2, topP: 0.5 })).toEqual({
+    model: null,
+    temperature: 1,
+    maxTokens: 1024,
+    topP: 0.5
+  });
+});
+
+describe('GET /api/models', () => {
+  test('lists the configured model first, then the extra choices', async () => {
+    const { status, body } = await call('GET', '/api/models');
+
+    expect(status).toBe(200);
+    expect(body.models.map(model => model.id)).toEqual([
+      'openrouter:openai/gpt-oss-20b:free',
+      'openrouter:some/stronger-model',
+      'mock:mock-1'
+    ]);
+    expect(body.defaults.model).toBe('openrouter:openai/gpt-oss-20b:free');
+    expect(body.limits.temperature).toEqual({ min: 0, max: 2 });
+  });
+});
+
+describe('user settings', () => {
+  test('invalid values are rejected', async () => {
+    const { status, body } = await call('PUT', '/api/user/settings', { temperature: 5, model: 'openrouter:nope' });
+
+    expect(status).toBe(400);
+    expect(body.details.map(detail => detail.path)).toEqual(expect.arrayContaining(['temperature', 'model']));
+  });
+
+  test('are used for answers in conversations that set nothing', async () => {
+    await call('PUT', '/api/user/settings', { temperature: 1.2, maxTokens: 300 });
+
+    const { status } = await call('POST', '/api/chat/message', { message: 'Explain entropy' });
+
+    expect(status).toBe(200);
+    expect(postMock.mock.calls[0][1]).toMatchObject({ temperature: 1.2, max_tokens: 300, top_p: 0.9 });
+  });
+});
+
+describe('conversation settings', () => {
+  test('a model chosen with a message sticks to the conversation and is recorded on answers', async () => {
+    const first = await call('POST', '/api/chat/message', {
+      message: 'Quick lookup',
+      settings: { model: 'mock:mock-1', temperature: 0.1 }
+    });
+    expect(first.status).toBe(200);
+    expect(first.body.model).toBe('mock:mock-1');
+
+    const second = await call('POST', '/api/chat/message', {
+      message: 'And another',
+      conversationId: first.body.conversationId
+    });
+    expect(second.body.model).toBe('mock:mock-1');
+    expect(postMock).not.toHaveBeenCalled();
+
+    const { body } = await call('GET', `/api/chat/conversations/${first.body.conversationId}/messages`);
+    expect(body.settings).toEqual({ model: 'mock:mock-1', temperature: 0.1 });
+    expect(body.messages.filter(m => m.role === 'assistant').map(m => m.model)).toEqual(['mock:mock-1', 'mock:mock-1']);
+  });
+
+  test('can be changed without sending a message', async () => {
+    const { body: created } = await call('POST', '/api/chat/message', { message: 'Exam prep' });
+
+    const updated = await call('PUT', `/api/chat/conversations/${created.conversationId}/settings`, {
+      model: 'openrouter:some/stronger-model'
+    });
+    expect(updated.status).toBe(200);
+
+    postMock.mockClear();
+    await call('POST', '/api/chat/message', { message: 'Next question', conversationId: created.conversationId });
+    expect(postMock.mock.calls[0][1].model).toBe('some/stronger-model');
+  });
+
+  test('settings sent with a message that fails are not kept', async () => {
+    const { body: created } = await call('POST', '/api/chat/message', { message: 'Lab safety', settings: { temperature: 0.3 } });
+    postMock.mockRejectedValue(Object.assign(new Error('Bad Request'), { response: { status: 400, data: {} } }));
+
+    const failed = await call('POST', '/api/chat/message', {
+      message: 'Try the stronger model',
+      conversationId: created.conversationId,
+      settings: { model: 'openrouter:some/stronger-model', temperature: 1.5 }
+    });
+    expect(failed.status).toBe(502);
+
+    const { body } = await call('GET', `/api/chat/conversations/${created.conversationId}/messages`);
+    expect(body.settings).toEqual({ temperature: 0.3 });
+    expect(body.messages).toHaveLength(2);
+  });
+
+  test('unknown models are rejected', async () => {
+    const { status } = await call('POST', '/api/chat/message', {
+      message: 'Hello',
+      settings: { model: 'openrouter:not-offered' }
+    });
+
+    expect(status).toBe(400);
+  });
+
+  test("someone else's conversation is not found", async () => {
+    const otherUser = await dbUtils.createUser('other', 'other@example.com', 'hash');
+    const conversationId = await dbUtils.createConversation(otherUser, null, 'Private');
+
+    const { status } = await call('POST', '/api/chat/message', { message: 'Hi', conversationId });
+
+    expect(status).toBe(404);
+  });
+});
@@ -0,0 +1,26 @@
+// Deterministic bag-of-words embedding so similarity tests don't need a network call
+export const fakeEmbedding = (text, dimensions = 64) => {
+  const vector = new Array(dimensions).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let hash = 0;
+    for (let i = 0; i < word.length; i++) {
+      hash = (hash * 31 + word.charCodeAt(i)) | 0;
+    }
+    vector[Math.abs(hash) % dimensions] += 1;
+  }
+  return vector;
+};
+
+// Stand-in for @google/generative-ai that embeds with fakeEmbedding
+export const mockGoogleGenerativeAI = () => ({
+  GoogleGenerativeAI: class {
+    getGenerativeModel() {
+      return {
+        embedContent: async (text) => ({ embedding: { values: fakeEmbedding(text) } }),
+        batchEmbedContents: async ({ requests }) => ({
+          embeddings: requests.map(request => ({ values: fakeEmbedding(request.content.parts[0].text) }))
+        })
+      };
+    }
+  }
+});
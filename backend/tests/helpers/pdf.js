@@ -0,0 +1,36 @@
+const escapeText = (text) => text.replace(/[\\()]/g, '\\$&');
+
+// Content stream for a page: lines top to bottom, each a string or [[x, text], ...] cells
+const pageContent = (lines) => lines.map((line, i) => {
+  const y = 720 - i * 16;
+  const cells = typeof line === 'string' ? [[72, line]] : line;
+  return cells.map(([x, text]) => `BT /F1 10 Tf ${x} ${y} Td (${escapeText(text)}) Tj ET`).join('\n');
+}).join('\n');
+
+// A minimal PDF with one page per entry: a line of text, an array of lines, or null for a
+// page with no text layer, like a scan
+export const buildPdf = (pages) => {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  pages.forEach((page, i) => {
+    const stream = page ? pageContent(typeof page === 'string' ? [page] : page) : '';
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+
+  // Padded past 4 KB: pdf-parse's bundled pdf.js misreads small files, which Node allocates from a shared pool
+  let pdf = `%PDF-1.4\n%${' '.repeat(4096)}\n`;
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf, 'latin1');
+};
@@ -0,0 +1,25 @@
+import express from 'express';
+
+// Start the given routers on a random port behind a stub auth middleware that signs every
+// request in as getUserId(). Resolves with { baseUrl, close }.
+export const startTestApp = async (mounts, getUserId, errorHandler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: getUserId() };
+    next();
+  });
+  for (const [path, router] of Object.entries(mounts)) {
+    app.use(path, router);
+  }
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
@@ -0,0 +1,111 @@
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+import { fakeEmbedding, mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+jest.unstable_mockModule('axios', () => ({
+  default: {
+    create: () => ({
+      post: async () => ({ data: { choices: [{ message: { content: 'Mock answer' } }] } })
+    })
+  }
+}));
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { indexChunkEmbeddings } = await import('../services/vectorService.js');
+const { encodeEmbedding } = await import('../services/vectorIndex.js');
+const { buildMatchQuery, searchLexicalChunks } = await import('../services/lexicalService.js');
+const { fuseResults, retrieveRelevantChunks } = await import('../services/retrievalService.js');
+const { generateDocumentResponse } = await import('../services/chatService.js');
+
+let userId;
+let otherUserId;
+let documentId;
+
+const TEXTS = [
+  'The quadratic formula solves ax^2 + bx + c = 0 for any coefficients.',
+  'Error code E4417 is raised when the lab quota has been exceeded.',
+  'Mitochondria produce ATP through cellular respiration.'
+];
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await initializeDatabase();
+  userId = await dbUtils.createUser('hybrid', 'hybrid@example.com', 'hash');
+  otherUserId = await dbUtils.createUser('other', 'other@example.com', 'hash');
+  documentId = await dbUtils.createDocument(userId, 'notes.pdf', 'notes.pdf', '/tmp/notes.pdf', 1, 'application/pdf');
+  for (let i = 0; i < TEXTS.length; i++) {
+    const vector = fakeEmbedding(TEXTS[i]);
+    const chunkId = await dbUtils.createDocumentChunk(documentId, TEXTS[i], i, null, encodeEmbedding(vector));
+    await indexChunkEmbeddings(documentId, [{ chunkId, vector }]);
+  }
+});
+
+describe('fuseResults', () => {
+  const vector = [{ chunkId: 1, similarity: 0.9 }, { chunkId: 2, similarity: 0.5 }];
+  const lexical = [{ chunkId: 2, lexicalScore: 7 }, { chunkId: 3, lexicalScore: 2 }];
+
+  test('reciprocal rank fusion favours chunks both retrievers agree on', () => {
+    const fused = fuseResults([
+      { name: 'vector', weight: 0.5, results: vector },
+      { name: 'lexical', weight: 0.5, results: lexical }
+    ], { method: 'rrf', rrfK: 60 });
+
+    expect(fused.map(r => r.chunkId)).toEqual([2, 1, 3]);
+    expect(fused[0]).toMatchObject({ similarity: 0.5, lexicalScore: 7, retrievers: ['vector', 'lexical'] });
+    expect(fused[2].retrievers).toEqual(['lexical']);
+  });
+
+  test('weighted fusion follows the configured weight', () => {
+    const fused = fuseResults([
+      { name: 'vector', weight: 0.9, results: vector, score: r => r.similarity },
+      { name: 'lexical', weight: 0.1, results: lexical, score: r => r.lexicalScore }
+    ], { method: 'weighted' });
+
+    expect(fused[0].chunkId).toBe(1);
+  });
+});
+
+describe('lexical search', () => {
+  test('query words are quoted so FTS operators are matched literally', () => {
+    expect(buildMatchQuery('E4417 AND "quota"')).toBe('"E4417" OR "AND" OR "quota"');
+  });
+
+  test('exact error codes are found by BM25', async () => {
+    const results = await searchLexicalChunks('what does E4417 mean?', userId, null, 5);
+    expect(results[0].text).toBe(TEXTS[1]);
+    expect(results[0].lexicalScore).toBeGreaterThan(0);
+  });
+
+  test('only the requesting user\'s chunks are searched', async () => {
+    expect(await searchLexicalChunks('E4417', otherUserId, null, 5)).toEqual([]);
+  });
+});
+
+describe('hybrid retrieval', () => {
+  test('results report which retrievers found them', async () => {
+    const results = await retrieveRelevantChunks('E4417 quota', userId, documentId, 3);
+
+    expect(results[0].text).toBe(TEXTS[1]);
+    expect(results[0].retrievers).toEqual(expect.arrayContaining(['vector', 'lexical']));
+  });
+
+  test('a failed vector search leaves only the keyword results', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.VECTOR_INDEX = 'unavailable';
+
+    let results;
+    try {
+      results = await retrieveRelevantChunks('E4417 quota', userId, documentId, 3);
+    } finally {
+      delete process.env.VECTOR_INDEX;
+    }
+
+    expect(results.map(r => r.text)).toEqual([TEXTS[1]]);
+    expect(results[0].retrievers).toEqual(['lexical']);
+  });
+
+  test('chat sources carry the retrievers', async () => {
+    const result = await generateDocumentResponse('E4417 quota', documentId, userId, []);
+    expect(result.sources[0].retrievers).toEqual(expect.arrayContaining(['lexical']));
+  });
+});
@@ -0,0 +1,226 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+import { buildPdf } from './helpers/pdf.js';
+
+const recognize = jest.fn();
+const terminate = jest.fn();
+const createWorker = jest.fn(async () => ({ recognize, terminate }));
+
+process.env.OCR_PAGE_TIMEOUT_MS = '200';
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+jest.unstable_mockModule('tesseract.js', () => ({
+  default: { createWorker }
+}));
+// Renders a PDF page by writing a placeholder PNG; the mocked recognizer reads the page number
+// back from the image size (width = 100 + page)
+jest.unstable_mockModule('pdf2pic', () => ({
+  fromPath: (filePath, { savePath, saveFilename }) => async (page) => {
+    const imagePath = path.join(savePath, `${saveFilename}.${page}.png`);
+    await sharp({ create: { width: 100 + page, height: 50, channels: 3, background: 'white' } }).png().toFile(imagePath);
+    return { page, path: imagePath };
+  }
+}));
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { detectExtractor } = await import('../services/extractors/index.js');
+const { preprocessImage, layoutRecognizedText, parseOcrLanguages, recognizePages, ocrReport } = await import('../services/extractors/ocr.js');
+const { processDocument } = await import('../services/documentProcessor.js');
+const { chunkLocation, contextLabel, sourceLocation } = await import('../services/citationService.js');
+
+let dir;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await initializeDatabase();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-'));
+});
+
+afterAll(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const blankImage = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: { r: 200, g: 180, b: 160 } } });
+
+// Tesseract's blocks > paragraphs > lines > words layout
+const recognized = (...paragraphs) => ({
+  data: {
+    text: '',
+    blocks: [{
+      paragraphs: paragraphs.map(lines => ({
+        lines: lines.map(words => ({ words: words.map(([text, confidence]) => ({ text, confidence })) }))
+      }))
+    }]
+  }
+});
+
+describe('image detection and preprocessing', () => {
+  test('PNG, JPEG and TIFF are recognized by their magic bytes', async () => {
+    for (const format of ['png', 'jpeg', 'tiff']) {
+      const filePath = path.join(dir, `photo.${format}.bin`);
+      await fs.writeFile(filePath, await blankImage(8, 8).toFormat(format).toBuffer());
+      expect((await detectExtractor(filePath, { mimeType: 'application/octet-stream' })).name).toBe('image');
+    }
+  });
+
+  test('EXIF rotation is applied and the result is black and white', async () => {
+    // Orientation 6: the camera was turned 90°, so the stored 40x20 image displays as 20x40
+    const photo = await blankImage(40, 20).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+
+    const prepared = await preprocessImage(photo);
+    const { width, height, channels } = await sharp(prepared).metadata();
+    const { data } = await sharp(prepared).raw().toBuffer({ resolveWithObject: true });
+
+    expect([width, height]).toEqual([20, 40]);
+    expect(channels).toBe(1);
+    expect(new Set(data)).toEqual(new Set([255]));
+  });
+
+  test('recognized words are laid out with their offsets and confidence', () => {
+    const { text, words } = layoutRecognizedText(recognized(
+      [[['Krebs', 91.4], ['cycle', 88]], [['ATP', 40]]],
+      [[['NADH', 75]]]
+    ).data);
+
+    expect(text).toBe('Krebs cycle\nATP\n\nNADH');
+    expect(words).toEqual([
+      { text: 'Krebs', confidence: 91, start: 0, end: 5 },
+      { text: 'cycle', confidence: 88, start: 6, end: 11 },
+      { text: 'ATP', confidence: 40, start: 12, end: 15 },
+      { text: 'NADH', confidence: 75, start: 17, end: 21 }
+    ]);
+  });
+});
+
+describe('processing an image upload', () => {
+  test('stores per-word confidence and flags low-confidence chunks', async () => {
+    const filePath = path.join(dir, 'whiteboard.png');
+    await fs.writeFile(filePath, await blankImage(64, 48).png().toBuffer());
+    recognize.mockResolvedValue(recognized(
+      [[['Mitochondria', 62], ['make', 58], ['ATP.', 50]]]
+    ));
+
+    const userId = await dbUtils.createUser('ocr', 'ocr@example.com', 'hash');
+    const documentId = await dbUtils.createDocument(userId, 'board.png', 'board.png', filePath, 1, 'image/png');
+
+    await processDocument(documentId, filePath, 'image/png');
+
+    // Tesseract deskews the preprocessed image itself
+    expect(recognize).toHaveBeenCalledWith(expect.any(Buffer), { rotateAuto: true }, expect.objectContaining({ blocks: true }));
+    expect(terminate).toHaveBeenCalled();
+
+    const [row] = await dbUtils.getDocumentChunks(documentId);
+    expect(row.chunk_text).toBe('Mitochondria make ATP.');
+    expect(row.ocr_confidence).toBe(57);
+    expect(JSON.parse(row.ocr_words)).toEqual([['Mitochondria', 62], ['make', 58], ['ATP.', 50]]);
+
+    const chunk = { text: row.chunk_text, ...chunkLocation(row) };
+    expect(sourceLocation(chunk)).toMatchObject({ ocrConfidence: 57, lowConfidence: true });
+    expect(contextLabel(chunk, 0)).toBe('[Context 1] [low-confidence OCR]');
+    expect(sourceLocation({ ocrConfidence: 93 }).lowConfidence).toBe(false);
+    expect(sourceLocation({}).lowConfidence).toBe(false);
+  });
+});
+
+describe('OCR languages and page pool', () => {
+  test('language lists are normalised and malformed codes rejected', () => {
+    expect(parseOcrLanguages('hin+eng')).toEqual(['hin', 'eng']);
+    expect(parseOcrLanguages('HIN, eng,hin')).toEqual(['hin', 'eng']);
+    expect(parseOcrLanguages(['chi_sim'])).toEqual(['chi_sim']);
+    expect(parseOcrLanguages('english')).toBeNull();
+    expect(parseOcrLanguages('eng+../x')).toBeNull();
+    expect(parseOcrLanguages('eng+fra+deu+spa+ita')).toBeNull();
+    expect(parseOcrLanguages(null)).toBeNull();
+  });
+
+  test('pages run in parallel; failed and timed-out pages are reported, not fatal', async () => {
+    createWorker.mockClear();
+    terminate.mockClear();
+    recognize.mockReset().mockImplementation(async (image) => {
+      const page = image.toString();
+      if (page === '1') throw new Error('Image too small to scale');
+      if (page === '2') return new Promise(() => {});
+      return recognized([[[`page${page}`, 90]]]);
+    });
+    const finished = [];
+
+    const { pages, failed } = await recognizePages(4, async (i) => Buffer.from(String(i)), {
+      languages: ['hin', 'eng'],
+      onPage: (index) => finished.push(index)
+    });
+
+    expect(pages.map(page => page?.text ?? null)).toEqual(['page0', null, null, 'page3']);
+    expect(failed).toEqual([
+      { page: 2, error: 'Image too small to scale' },
+      { page: 3, error: 'OCR timeout' }
+    ]);
+    expect(finished.sort()).toEqual([0, 1, 2, 3]);
+    // Two workers in the pool, plus a replacement for the one that timed out
+    expect(createWorker).toHaveBeenCalledTimes(3);
+    expect(createWorker).toHaveBeenCalledWith('hin+eng');
+    expect(terminate).toHaveBeenCalledTimes(3);
+  });
+
+  test('the languages chosen for an upload are used and its OCR report is stored', async () => {
+    const filePath = path.join(dir, 'notice.png');
+    await fs.writeFile(filePath, await blankImage(64, 48).png().toBuffer());
+    createWorker.mockClear();
+    recognize.mockReset().mockResolvedValue(recognized([[['सूचना', 80], ['notice', 92]]]));
+
+    const userId = await dbUtils.createUser('hindi', 'hindi@example.com', 'hash');
+    const documentId = await dbUtils.createDocument(userId, 'n.png', 'n.png', filePath, 1, 'image/png', null, 'hin+eng');
+
+    await processDocument(documentId, filePath, 'image/png');
+
+    expect(createWorker).toHaveBeenCalledWith('hin+eng');
+    const document = await dbUtils.getDocumentById(documentId);
+    expect(JSON.parse(document.ocr_report)).toMatchObject({
+      languages: ['hin', 'eng'],
+      totalPages: 1,
+      ocrPages: [1],
+      skippedPages: [],
+      failedPages: []
+    });
+  });
+});
+
+describe('mixed-content PDFs', () => {
+  test('only pages without a text layer are OCR\'d, and merged back in page order', async () => {
+    const filePath = path.join(dir, 'report.pdf');
+    await fs.writeFile(filePath, buildPdf([
+      'Chapter 4 covers the light reactions of photosynthesis in detail.',
+      null,
+      'Chapter 5 covers the Calvin cycle and carbon fixation.',
+      '12'
+    ]));
+    recognize.mockReset().mockImplementation(async (image) => {
+      const { width } = await sharp(image).metadata();
+      return recognized([[[`Appendix`, 88], [`page${width - 100}`, 80]]]);
+    });
+
+    const userId = await dbUtils.createUser('mixed', 'mixed@example.com', 'hash');
+    const documentId = await dbUtils.createDocument(userId, 'r.pdf', 'r.pdf', filePath, 1, 'application/pdf');
+
+    await processDocument(documentId, filePath, 'application/pdf');
+
+    const chunks = await dbUtils.getDocumentChunks(documentId);
+    const text = chunks.map(chunk => chunk.chunk_text).join('\n');
+    expect(text.indexOf('light reactions')).toBeLessThan(text.indexOf('Appendix page2'));
+    expect(text.indexOf('Appendix page2')).toBeLessThan(text.indexOf('Calvin cycle'));
+    expect(text.indexOf('Calvin cycle')).toBeLessThan(text.indexOf('Appendix page4'));
+
+    const document = await dbUtils.getDocumentById(documentId);
+    expect(JSON.parse(document.ocr_report)).toMatchObject({ totalPages: 4, ocrPages: [2, 4], failedPages: [] });
+
+    // Only the OCR'd pages carry word confidences
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0]).toMatchObject({ page_start: 1, page_end: 4, ocr_confidence: 84 });
+    expect(JSON.parse(chunks[0].ocr_words)).toEqual([['Appendix', 88], ['page2', 80], ['Appendix', 88], ['page4', 80]]);
+  });
+});
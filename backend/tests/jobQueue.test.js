@@ -0,0 +1,153 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+
+const processDocumentMock = jest.fn();
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+jest.unstable_mockModule('../services/documentProcessor.js', () => ({
+  processDocument: processDocumentMock
+}));
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const {
+  registerJobHandler, enqueueJob, getJob, recoverStaleJobs, startJobQueue, stopJobQueue, waitForIdle
+} = await import('../services/jobQueue.js');
+const { enqueueDocumentProcessing, recoverDocumentProcessing } = await import('../services/documentJobs.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await initializeDatabase();
+});
+
+afterAll(() => {
+  stopJobQueue();
+});
+
+describe('job queue', () => {
+  test('interrupted running jobs are requeued, or failed once out of attempts', async () => {
+    const onFailed = jest.fn();
+    registerJobHandler('stale', { run: async () => {}, onFailed });
+
+    const retryable = await enqueueJob('stale', { n: 1 });
+    const exhausted = await enqueueJob('stale', { n: 2 }, { maxAttempts: 1 });
+    await dbUtils.db.runAsync(`UPDATE jobs SET status = 'running', attempts = 1`);
+
+    expect(await recoverStaleJobs()).toBe(2);
+    expect((await getJob(retryable.id)).status).toBe('queued');
+    expect((await getJob(exhausted.id)).status).toBe('failed');
+    expect(onFailed).toHaveBeenCalledWith({ n: 2 }, expect.any(Error), expect.objectContaining({ id: exhausted.id }));
+
+    startJobQueue();
+    await waitForIdle();
+    expect((await getJob(retryable.id)).status).toBe('completed');
+  });
+
+  test('runs at most JOB_CONCURRENCY jobs at once', async () => {
+    let running = 0;
+    let peak = 0;
+    registerJobHandler('slow', {
+      run: async () => {
+        running += 1;
+        peak = Math.max(peak, running);
+        await sleep(20);
+        running -= 1;
+      }
+    });
+
+    const jobs = await Promise.all([1, 2, 3, 4, 5].map(n => enqueueJob('slow', { n })));
+    await waitForIdle();
+
+    expect(peak).toBe(2);
+    for (const job of jobs) {
+      expect((await getJob(job.id)).status).toBe('completed');
+    }
+  });
+
+  test('retries a failing job with backoff until it succeeds', async () => {
+    const run = jest.fn()
+      .mockRejectedValueOnce(new Error('flaky'))
+      .mockResolvedValueOnce();
+    const onRetry = jest.fn();
+    registerJobHandler('flaky', { run, onRetry });
+
+    const job = await enqueueJob('flaky', { n: 1 });
+    await waitForIdle();
+
+    const done = await getJob(job.id);
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledTimes(1);
+    expect(done.status).toBe('completed');
+    expect(done.attempts).toBe(2);
+    expect(done.lastError).toBe('flaky');
+  });
+
+  test('gives up after max attempts', async () => {
+    const run = jest.fn().mockRejectedValue(new Error('broken'));
+    const onFailed = jest.fn();
+    registerJobHandler('broken', { run, onFailed });
+
+    const job = await enqueueJob('broken', {}, { maxAttempts: 2 });
+    await waitForIdle();
+
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(onFailed).toHaveBeenCalledTimes(1);
+    expect(await getJob(job.id)).toMatchObject({ status: 'failed', attempts: 2, lastError: 'broken' });
+  });
+
+  test('rejects job types without a handler', async () => {
+    await expect(enqueueJob('unknown', {})).rejects.toThrow('No handler registered');
+  });
+});
+
+describe('document processing jobs', () => {
+  let userId;
+
+  beforeAll(async () => {
+    userId = await dbUtils.createUser('jobs', 'jobs@example.com', 'hash');
+  });
+
+  test('processes a queued document and reuses an active job', async () => {
+    processDocumentMock.mockImplementation(async (documentId) => {
+      await dbUtils.updateDocumentStatus(documentId, 'ready');
+    });
+    const documentId = await dbUtils.createDocument(userId, 'a.pdf', 'a.pdf', '/tmp/a.pdf', 1, 'application/pdf');
+
+    const job = await enqueueDocumentProcessing(documentId);
+    const again = await enqueueDocumentProcessing(documentId);
+    expect(again.id).toBe(job.id);
+
+    await waitForIdle();
+    expect(processDocumentMock).toHaveBeenCalledTimes(1);
+    expect(processDocumentMock).toHaveBeenCalledWith(documentId, '/tmp/a.pdf', 'application/pdf');
+    expect((await dbUtils.getDocumentById(documentId)).processing_status).toBe('ready');
+  });
+
+  test('a document that keeps failing ends up failed with the last error', async () => {
+    processDocumentMock.mockReset().mockRejectedValue(new Error('No text content found in document'));
+    const documentId = await dbUtils.createDocument(userId, 'b.pdf', 'b.pdf', '/tmp/b.pdf', 1, 'application/pdf');
+
+    const job = await enqueueDocumentProcessing(documentId);
+    await waitForIdle();
+
+    expect(processDocumentMock).toHaveBeenCalledTimes(3);
+    expect((await getJob(job.id)).status).toBe('failed');
+    expect(await dbUtils.getDocumentById(documentId)).toMatchObject({
+      processing_status: 'failed',
+      processing_error: 'No text content found in document'
+    });
+  });
+
+  test('documents stuck in processing without a job are queued again', async () => {
+    processDocumentMock.mockReset().mockResolvedValue();
+    const documentId = await dbUtils.createDocument(userId, 'c.pdf', 'c.pdf', '/tmp/c.pdf', 1, 'application/pdf');
+    await dbUtils.updateDocumentStatus(documentId, 'processing');
+
+    expect(await recoverDocumentProcessing()).toBe(1);
+    await waitForIdle();
+    expect(processDocumentMock).toHaveBeenCalledWith(documentId, '/tmp/c.pdf', 'application/pdf');
+  });
+});
@@ -0,0 +1,166 @@
+import { jest, describe, test, expect, beforeAll, afterEach } from '@jest/globals';
+
+const geminiCalls = [];
+let geminiRejects = null;
+
+jest.unstable_mockModule('@google/generative-ai', () => ({
+  GoogleGenerativeAI: class {
+    getGenerativeModel(config) {
+      return {
+        generateContent: async (request) => {
+          if (geminiRejects) throw geminiRejects;
+          geminiCalls.push({ config, request });
+          return { response: { text: () => 'Gemini says hi' } };
+        },
+        embedContent: async () => ({ embedding: { values: [1, 0, 0] } })
+      };
+    }
+  }
+}));
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { getProvider, registerProvider, complete, getEmbeddingBatchLimits, getProviderEnvVars } = await import('../services/llm/index.js');
+const { createEmbeddings, createEmbeddingsBatch, indexChunkEmbeddings } = await import('../services/vectorService.js');
+const { encodeEmbedding } = await import('../services/vectorIndex.js');
+const { generateDocumentResponse, streamGeneralResponse } = await import('../services/chatService.js');
+
+afterEach(() => {
+  geminiRejects = null;
+  delete process.env.LLM_PROVIDER;
+  delete process.env.LLM_MODEL;
+  delete process.env.EMBEDDING_PROVIDER;
+});
+
+describe('provider selection', () => {
+  test('unknown providers are rejected', () => {
+    expect(() => getProvider('nope')).toThrow('Unknown LLM provider: nope');
+  });
+
+  test('LLM_PROVIDER and LLM_MODEL pick the provider and model', async () => {
+    process.env.LLM_PROVIDER = 'gemini';
+    process.env.LLM_MODEL = 'gemini-test';
+
+    const result = await complete({
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', content: 'Hi' },
+        { role: 'user', content: 'Again' }
+      ]
+    });
+
+    expect(result).toMatchObject({ text: 'Gemini says hi', provider: 'gemini', model: 'gemini-test' });
+    const { config, request } = geminiCalls.pop();
+    expect(config.model).toBe('gemini-test');
+    expect(config.systemInstruction).toBe('Be brief.');
+    expect(request.contents.map(content => content.role)).toEqual(['user', 'model', 'user']);
+  });
+
+  test('a provider that does not stream hands over its answer as one token', async () => {
+    process.env.LLM_PROVIDER = 'gemini';
+    const tokens = [];
+
+    // Stand in for a provider without streaming support
+    const gemini = getProvider('gemini');
+    const original = gemini.complete;
+    gemini.complete = async () => ({ text: 'whole answer', aborted: false });
+    try {
+      await complete({ messages: [{ role: 'user', content: 'Hi' }], onToken: t => tokens.push(t) });
+    } finally {
+      gemini.complete = original;
+    }
+
+    expect(tokens).toEqual(['whole answer']);
+  });
+});
+
+describe('requests every provider refuses', () => {
+  test('bad credentials give a non-retryable error instead of "try again later"', async () => {
+    process.env.LLM_PROVIDER = 'gemini';
+    geminiRejects = Object.assign(new Error('API key not valid'), { status: 401 });
+
+    const error = await complete({ messages: [{ role: 'user', content: 'Hi' }] }).catch(e => e);
+
+    expect(error).toMatchObject({ statusCode: 502, code: 'AI_REQUEST_REJECTED', retryable: false });
+    expect(error.attempts).toEqual([{ provider: 'gemini', model: expect.any(String), status: 401, message: 'API key not valid' }]);
+  });
+});
+
+describe('a provider with only complete() and embed()', () => {
+  const embedded = [];
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    registerProvider({
+      name: 'minimal',
+      complete: async ({ model, messages }) => ({ text: `${model}: ${messages.length} messages`, aborted: false }),
+      embed: async (text) => {
+        embedded.push(text);
+        return [text.length, 1];
+      }
+    });
+  });
+
+  test('answers chat', async () => {
+    process.env.LLM_PROVIDER = 'minimal';
+    process.env.LLM_MODEL = 'tiny';
+
+    const result = await complete({ messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(result).toMatchObject({ text: 'tiny: 1 messages', provider: 'minimal', model: 'tiny' });
+  });
+
+  test('embeds batches one text at a time, with default settings', async () => {
+    process.env.LLM_PROVIDER = 'minimal';
+    process.env.EMBEDDING_PROVIDER = 'minimal';
+
+    const embeddings = await createEmbeddingsBatch(['Quarks', 'Gluons bind quarks']);
+
+    expect(embedded).toEqual(['Quarks', 'Gluons bind quarks']);
+    expect(embeddings).toEqual([
+      { vector: [6, 1], model: 'minimal:default' },
+      { vector: [18, 1], model: 'minimal:default' }
+    ]);
+    expect(getEmbeddingBatchLimits().texts).toBe(16);
+    expect(getProviderEnvVars()).toEqual([]);
+  });
+});
+
+describe('mock provider', () => {
+  let userId;
+  let documentId;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await initializeDatabase();
+    userId = await dbUtils.createUser('mock', 'mock@example.com', 'hash');
+    documentId = await dbUtils.createDocument(userId, 'notes.txt', 'notes.txt', '/tmp/notes.txt', 1, 'text/plain');
+  });
+
+  test('answers deterministically and cites the contexts it was given', async () => {
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.EMBEDDING_PROVIDER = 'mock';
+    const text = 'Photosynthesis turns light into chemical energy.';
+    const { vector, model } = await createEmbeddings(text);
+    const chunkId = await dbUtils.createDocumentChunk(documentId, text, 0, null, encodeEmbedding(vector), {}, null, model);
+    await indexChunkEmbeddings(documentId, [{ chunkId, vector, model }]);
+
+    const first = await generateDocumentResponse('What is photosynthesis?', documentId, userId);
+    const second = await generateDocumentResponse('What is photosynthesis?', documentId, userId);
+
+    expect(first.response).toBe('Mock answer: What is photosynthesis? [1]');
+    expect(second.response).toBe(first.response);
+    expect(first.sources[0].cited).toBe(true);
+  });
+
+  test('streams word by word', async () => {
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.EMBEDDING_PROVIDER = 'mock';
+    const tokens = [];
+
+    const result = await streamGeneralResponse('Any tips for exams?', userId, [], { onToken: t => tokens.push(t) });
+
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.join('')).toBe(result.response);
+  });
+});
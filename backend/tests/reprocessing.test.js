@@ -0,0 +1,174 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fakeEmbedding, mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+
+const convertToHtml = jest.fn();
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+jest.unstable_mockModule('mammoth', () => ({ default: { convertToHtml } }));
+
+// Retries come round quickly
+process.env.JOB_RETRY_BASE_DELAY_MS = '10';
+process.env.JOB_POLL_INTERVAL_MS = '20';
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { startJobQueue, stopJobQueue, waitForIdle } = await import('../services/jobQueue.js');
+const { enqueueDocumentProcessing } = await import('../services/documentJobs.js');
+const { processDocument } = await import('../services/documentProcessor.js');
+const { searchSimilarChunks } = await import('../services/vectorService.js');
+const { searchLexicalChunks } = await import('../services/lexicalService.js');
+const { encodeEmbedding } = await import('../services/vectorIndex.js');
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+let userId;
+let tempDir;
+let filePath;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await initializeDatabase();
+  userId = await dbUtils.createUser('reprocess', 'reprocess@example.com', 'hash');
+
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'reprocess-'));
+  filePath = path.join(tempDir, 'notes.docx');
+  await fs.writeFile(filePath, 'placeholder');
+});
+
+afterAll(async () => {
+  stopJobQueue();
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+const wordDocument = (topic) =>
+  `<h1>${topic}</h1><p>${Array.from({ length: 8 }, (_, i) => `Fact ${i} about ${topic}.`).join(' ')}</p>`;
+
+const chunkTexts = async (documentId) =>
+  (await dbUtils.getDocumentChunks(documentId)).map(c => c.chunk_text).join(' ');
+
+const allChunkRows = (documentId) =>
+  dbUtils.db.allAsync('SELECT * FROM document_chunks WHERE document_id = ?', [documentId]);
+
+describe('reprocessing', () => {
+  let documentId;
+
+  beforeAll(async () => {
+    documentId = await dbUtils.createDocument(userId, 'notes.docx', 'notes.docx', filePath, 1, DOCX);
+    convertToHtml.mockResolvedValue({ value: wordDocument('photosynthesis') });
+    await processDocument(documentId, filePath, DOCX);
+  });
+
+  test('replaces the old chunks instead of adding to them', async () => {
+    const before = await allChunkRows(documentId);
+    expect(before.length).toBeGreaterThan(0);
+
+    convertToHtml.mockResolvedValue({ value: wordDocument('mitochondria') });
+    await processDocument(documentId, filePath, DOCX);
+    await processDocument(documentId, filePath, DOCX);
+
+    const after = await allChunkRows(documentId);
+    expect(after).toHaveLength(before.length);
+    expect(new Set(after.map(c => c.version)).size).toBe(1);
+    expect(await chunkTexts(documentId)).toContain('mitochondria');
+    expect(await chunkTexts(documentId)).not.toContain('photosynthesis');
+
+    const hits = await searchLexicalChunks('photosynthesis', userId, documentId);
+    expect(hits).toHaveLength(0);
+  });
+
+  test('a failed reprocess keeps the previous version searchable', async () => {
+    const before = await allChunkRows(documentId);
+
+    convertToHtml.mockRejectedValue(new Error('corrupt file'));
+    await expect(processDocument(documentId, filePath, DOCX)).rejects.toThrow();
+
+    expect(await allChunkRows(documentId)).toEqual(before);
+    const document = await dbUtils.getDocumentById(documentId);
+    expect(document.processing_status).toBe('ready');
+    expect(Boolean(document.processed)).toBe(true);
+    expect(document.processing_error).toMatch(/Failed to extract text/);
+
+    const hits = await searchSimilarChunks('mitochondria facts', userId, documentId);
+    expect(hits.length).toBeGreaterThan(0);
+    expect(hits[0].text).toContain('mitochondria');
+  });
+});
+
+describe('reprocessing through the job queue', () => {
+  test('the document stays ready on its previous version while queued, running and retried', async () => {
+    const documentId = await dbUtils.createDocument(userId, 'cells.docx', 'cells.docx', filePath, 1, DOCX);
+    convertToHtml.mockResolvedValue({ value: wordDocument('osmosis') });
+    await processDocument(documentId, filePath, DOCX);
+
+    const seen = [];
+    const record = async () => {
+      const document = await dbUtils.getDocumentById(documentId);
+      seen.push([document.processing_status, Boolean(document.processed)]);
+    };
+    convertToHtml
+      .mockImplementationOnce(async () => { await record(); throw new Error('corrupt file'); })
+      .mockImplementationOnce(async () => { await record(); return { value: wordDocument('diffusion') }; });
+
+    await enqueueDocumentProcessing(documentId);
+    await record();
+    startJobQueue();
+    await waitForIdle();
+
+    // Queued, first attempt, retry
+    expect(seen).toEqual([['ready', true], ['ready', true], ['ready', true]]);
+    const document = await dbUtils.getDocumentById(documentId);
+    expect(document).toMatchObject({ processing_status: 'ready', processing_error: null });
+    expect(await chunkTexts(documentId)).toContain('diffusion');
+  });
+});
+
+describe('first processing', () => {
+  test('a document that never processed is marked failed', async () => {
+    const documentId = await dbUtils.createDocument(userId, 'new.docx', 'new.docx', filePath, 1, DOCX);
+
+    convertToHtml.mockRejectedValue(new Error('corrupt file'));
+    await expect(processDocument(documentId, filePath, DOCX)).rejects.toThrow();
+
+    const document = await dbUtils.getDocumentById(documentId);
+    expect(document.processing_status).toBe('failed');
+    expect(Boolean(document.processed)).toBe(false);
+  });
+});
+
+describe('chunk versions', () => {
+  test('a version being built is invisible until it is activated', async () => {
+    const documentId = await dbUtils.createDocument(userId, 'v.docx', 'v.docx', filePath, 1, DOCX);
+    const addChunk = (text, version) =>
+      dbUtils.createDocumentChunk(documentId, text, 0, null, encodeEmbedding(fakeEmbedding(text)), {}, version);
+
+    await addChunk('Old cellular respiration notes', null);
+    const next = await dbUtils.getNextChunkVersion(documentId);
+    expect(next).toBe(1);
+    await addChunk('New cellular respiration notes', next);
+
+    expect(await chunkTexts(documentId)).toBe('Old cellular respiration notes');
+    const lexical = await searchLexicalChunks('respiration', userId, documentId);
+    expect(lexical.map(c => c.text)).toEqual(['Old cellular respiration notes']);
+    const similar = await searchSimilarChunks('respiration notes', userId, documentId);
+    expect(similar.map(c => c.text)).toEqual(['Old cellular respiration notes']);
+
+    await dbUtils.activateChunkVersion(documentId, next);
+
+    expect(await chunkTexts(documentId)).toBe('New cellular respiration notes');
+    expect(await allChunkRows(documentId)).toHaveLength(1);
+    expect((await dbUtils.getDocumentById(documentId)).chunk_version).toBe(next);
+  });
+
+  test('discarding a version never removes the active one', async () => {
+    const documentId = await dbUtils.createDocument(userId, 'w.docx', 'w.docx', filePath, 1, DOCX);
+    await dbUtils.createDocumentChunk(documentId, 'Active text', 0);
+
+    await dbUtils.discardChunkVersion(documentId, 0);
+
+    expect(await allChunkRows(documentId)).toHaveLength(1);
+  });
+});
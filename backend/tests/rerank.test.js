@@ -0,0 +1,60 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+const postMock = jest.fn();
+
+jest.unstable_mockModule('axios', () => ({
+  default: { create: () => ({ post: postMock }) }
+}));
+
+const { getReranker, rerankChunks } = await import('../services/rerankService.js');
+
+const chunks = [
+  { chunkId: 1, text: 'Cells divide through mitosis and meiosis.' },
+  { chunkId: 2, text: 'The Krebs cycle happens in the mitochondria and produces NADH.' },
+  { chunkId: 3, text: 'Where does the Krebs cycle take place? In the mitochondrial matrix.' }
+];
+
+beforeEach(() => {
+  postMock.mockReset();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('overlap reranker', () => {
+  test('moves passages covering the query terms to the top and keeps topN', async () => {
+    const reranked = await rerankChunks('Where does the Krebs cycle take place?', chunks, 2, getReranker('overlap'));
+
+    expect(reranked.map(c => c.chunkId)).toEqual([3, 2]);
+    expect(reranked[0].rerankScore).toBeGreaterThan(reranked[1].rerankScore);
+  });
+
+  test('a query of only stopwords keeps retrieval order', async () => {
+    const reranked = await rerankChunks('what is it?', chunks, 3, getReranker('overlap'));
+    expect(reranked.map(c => c.chunkId)).toEqual([1, 2, 3]);
+  });
+});
+
+describe('llm reranker', () => {
+  test('uses the grades returned by the model', async () => {
+    postMock.mockResolvedValue({
+      data: { choices: [{ message: { content: 'Scores: [{"id": 1, "score": 9}, {"id": 2, "score": 2}, {"id": 3, "score": 5}]' } }] }
+    });
+
+    const reranked = await rerankChunks('cell division', chunks, 3, getReranker('llm'));
+
+    expect(reranked.map(c => c.chunkId)).toEqual([1, 3, 2]);
+    expect(reranked[0].rerankScore).toBeCloseTo(0.9);
+    expect(postMock.mock.calls[0][1].messages[1].content).toContain('[3] Where does the Krebs cycle');
+  });
+
+  test('falls back to term overlap when the model call fails', async () => {
+    postMock.mockRejectedValue(new Error('rate limited'));
+
+    const reranked = await rerankChunks('Where does the Krebs cycle take place?', chunks, 1, getReranker('llm'));
+
+    expect(reranked.map(c => c.chunkId)).toEqual([3]);
+  });
+});
+
+test('unknown rerankers are rejected', () => {
+  expect(() => getReranker('cross-encoder-xl')).toThrow('Unknown reranker');
+});
@@ -0,0 +1,84 @@
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+import { fakeEmbedding, mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+
+const postMock = jest.fn(async () => ({
+  data: { choices: [{ message: { content: 'Mock answer' } }] }
+}));
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+jest.unstable_mockModule('axios', () => ({
+  default: { create: () => ({ post: postMock }) }
+}));
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { searchSimilarChunks, indexChunkEmbeddings } = await import('../services/vectorService.js');
+const { encodeEmbedding } = await import('../services/vectorIndex.js');
+const { generateGeneralResponse, generateDocumentResponse } = await import('../services/chatService.js');
+
+const ALICE_TEXT = 'Alice notes: the French revolution began in 1789 with the storming of the Bastille.';
+const BOB_TEXT = 'Bob private notes: photosynthesis converts light energy using chlorophyll in the chloroplast.';
+const QUERY = 'How does photosynthesis use chlorophyll and light energy?';
+
+let alice;
+let bob;
+let aliceDocId;
+let bobDocId;
+
+const addDocumentWithChunk = async (userId, name, text) => {
+  const documentId = await dbUtils.createDocument(userId, name, name, `/tmp/${name}`, text.length, 'application/pdf');
+  const vector = fakeEmbedding(text);
+  const chunkId = await dbUtils.createDocumentChunk(documentId, text, 0, null, encodeEmbedding(vector));
+  await indexChunkEmbeddings(documentId, [{ chunkId, vector }]);
+  await dbUtils.updateDocumentStatus(documentId, 'ready');
+  return documentId;
+};
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await initializeDatabase();
+  alice = await dbUtils.createUser('alice', 'alice@example.com', 'hash');
+  bob = await dbUtils.createUser('bob', 'bob@example.com', 'hash');
+  aliceDocId = await addDocumentWithChunk(alice, 'history.pdf', ALICE_TEXT);
+  bobDocId = await addDocumentWithChunk(bob, 'biology.pdf', BOB_TEXT);
+});
+
+describe('searchSimilarChunks ownership scoping', () => {
+  test('searching without a document only returns the requesting user\'s chunks', async () => {
+    const results = await searchSimilarChunks(QUERY, alice, null, 10);
+
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.every(r => r.documentId === aliceDocId)).toBe(true);
+    expect(results.map(r => r.text)).not.toContain(BOB_TEXT);
+  });
+
+  test('allowed document IDs owned by someone else are ignored', async () => {
+    const results = await searchSimilarChunks(QUERY, alice, [bobDocId], 10);
+    expect(results).toEqual([]);
+  });
+
+  test('allowed document IDs narrow the search to those documents', async () => {
+    const results = await searchSimilarChunks(QUERY, bob, [bobDocId], 10);
+    expect(results.map(r => r.text)).toEqual([BOB_TEXT]);
+  });
+
+  test('a requesting user is mandatory', async () => {
+    await expect(searchSimilarChunks(QUERY, null)).rejects.toThrow('requires the requesting user');
+  });
+});
+
+describe('chat responses never leak other users\' chunks in sources', () => {
+  test('general response', async () => {
+    const result = await generateGeneralResponse(QUERY, alice, []);
+    const sourceText = result.sources.map(s => s.text).join('\n');
+
+    expect(sourceText).not.toContain('photosynthesis converts light energy');
+    expect(JSON.stringify(postMock.mock.calls.at(-1))).not.toContain('Bob private notes');
+  });
+
+  test('document response for another user\'s document', async () => {
+    const result = await generateDocumentResponse(QUERY, bobDocId, alice, []);
+    const sourceText = result.sources.map(s => s.text).join('\n');
+
+    expect(sourceText).not.toContain('photosynthesis converts light energy');
+  });
+});
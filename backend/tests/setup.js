@@ -0,0 +1,8 @@
+// Every test file gets its own in-memory database and never talks to real AI providers
+process.env.DATABASE_URL = ':memory:';
+process.env.GOOGLE_API_KEY = 'test-google-key';
+process.env.OPENROUTER_API_KEY = 'test-openrouter-key';
+// Keep retry backoff and queue polling short so failover and job tests run quickly
+process.env.LLM_RETRY_BASE_DELAY_MS = '1';
+process.env.JOB_POLL_INTERVAL_MS = '20';
+process.env.JOB_RETRY_BASE_DELAY_MS = '10';
@@ -0,0 +1,94 @@
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import { Readable } from 'stream';
+import { fakeEmbedding, mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+
+const postMock = jest.fn();
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+jest.unstable_mockModule('axios', () => ({
+  default: { create: () => ({ post: postMock }) }
+}));
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { indexChunkEmbeddings } = await import('../services/vectorService.js');
+const { encodeEmbedding } = await import('../services/vectorIndex.js');
+const { openRouterProvider } = await import('../services/llm/openRouterProvider.js');
+const { streamDocumentResponse } = await import('../services/chatService.js');
+
+// An OpenRouter-style SSE body, split mid-line to exercise buffering
+const sseBody = (tokens) => {
+  const lines = [': OPENROUTER PROCESSING', ...tokens.map(token =>
+    `data: ${JSON.stringify({ choices: [{ delta: { content: token } }] })}`
+  ), 'data: [DONE]'];
+  const raw = lines.join('\n') + '\n';
+  const middle = Math.floor(raw.length / 2);
+  return Readable.from([Buffer.from(raw.slice(0, middle)), Buffer.from(raw.slice(middle))]);
+};
+
+describe('OpenAI-compatible streaming', () => {
+  beforeEach(() => postMock.mockReset());
+
+  test('relays tokens in order and requests a stream', async () => {
+    postMock.mockResolvedValue({ data: sseBody(['Hel', 'lo', ' there']) });
+    const tokens = [];
+
+    const result = await openRouterProvider.complete({ model: 'm', messages: [], onToken: t => tokens.push(t) });
+
+    expect(tokens).toEqual(['Hel', 'lo', ' there']);
+    expect(result).toEqual({ text: 'Hello there', aborted: false });
+    expect(postMock.mock.calls[0][1].stream).toBe(true);
+    expect(postMock.mock.calls[0][2].responseType).toBe('stream');
+  });
+
+  test('resolves with the partial text when aborted', async () => {
+    const controller = new AbortController();
+    async function* body() {
+      yield Buffer.from(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Partial' } }] })}\n`);
+      controller.abort();
+      throw Object.assign(new Error('canceled'), { name: 'CanceledError' });
+    }
+    postMock.mockResolvedValue({ data: body() });
+
+    const result = await openRouterProvider.complete({ messages: [], onToken: () => {}, signal: controller.signal });
+
+    expect(result).toEqual({ text: 'Partial', aborted: true });
+  });
+
+  test('throws on an upstream error event', async () => {
+    postMock.mockResolvedValue({
+      data: Readable.from([Buffer.from(`data: ${JSON.stringify({ error: { message: 'Rate limited' } })}\n`)])
+    });
+
+    await expect(openRouterProvider.complete({ messages: [], onToken: () => {} })).rejects.toThrow('Rate limited');
+  });
+});
+
+describe('streamDocumentResponse', () => {
+  let userId;
+  let documentId;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await initializeDatabase();
+    userId = await dbUtils.createUser('stream', 'stream@example.com', 'hash');
+    documentId = await dbUtils.createDocument(userId, 'cells.pdf', 'cells.pdf', '/tmp/cells.pdf', 1, 'application/pdf');
+    const text = 'Mitochondria produce most of the cell energy supply.';
+    const vector = fakeEmbedding(text);
+    const chunkId = await dbUtils.createDocumentChunk(documentId, text, 0, null, encodeEmbedding(vector), { pageStart: 2, pageEnd: 2 });
+    await indexChunkEmbeddings(documentId, [{ chunkId, vector }]);
+  });
+
+  test('streams tokens and returns validated text with sources', async () => {
+    postMock.mockResolvedValue({ data: sseBody(['Mitochondria make energy', ' [1]', ' [9].']) });
+    const tokens = [];
+
+    const result = await streamDocumentResponse('What do mitochondria do?', documentId, userId, [], {
+      onToken: t => tokens.push(t)
+    });
+
+    expect(tokens.join('')).toBe('Mitochondria make energy [1] [9].');
+    expect(result.response).toBe('Mitochondria make energy [1].');
+    expect(result.aborted).toBe(false);
+    expect(result.sources[0]).toMatchObject({ index: 1, cited: true, citation: 'p. 2' });
+  });
+});
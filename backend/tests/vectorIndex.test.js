@@ -0,0 +1,100 @@
+import { jest, describe, test, expect, beforeAll, afterEach } from '@jest/globals';
+import { fakeEmbedding, mockGoogleGenerativeAI } from './helpers/fakeEmbeddings.js';
+
+jest.unstable_mockModule('@google/generative-ai', mockGoogleGenerativeAI);
+
+const { initializeDatabase, dbUtils } = await import('../config/database.js');
+const { searchSimilarChunks, indexChunkEmbeddings, deleteDocumentEmbeddings, migrateLegacyEmbeddings } =
+  await import('../services/vectorService.js');
+const { encodeEmbedding, decodeEmbedding } = await import('../services/vectorIndex.js');
+
+const TOPICS = [
+  'cell membrane transport diffusion osmosis',
+  'newton laws motion force acceleration',
+  'supply demand market equilibrium price',
+  'sorting algorithms quicksort mergesort complexity',
+  'photosynthesis chlorophyll light reactions',
+  'french revolution bastille monarchy',
+  'integral calculus area under curve',
+  'plate tectonics earthquakes continental drift'
+];
+
+let userId;
+
+const addDocument = async (name, texts) => {
+  const documentId = await dbUtils.createDocument(userId, name, name, `/tmp/${name}`, 1, 'application/pdf');
+  for (let i = 0; i < texts.length; i++) {
+    const vector = fakeEmbedding(texts[i]);
+    const chunkId = await dbUtils.createDocumentChunk(documentId, texts[i], i, null, encodeEmbedding(vector));
+    await indexChunkEmbeddings(documentId, [{ chunkId, vector }]);
+  }
+  return documentId;
+};
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await initializeDatabase();
+  userId = await dbUtils.createUser('indexer', 'indexer@example.com', 'hash');
+});
+
+afterEach(() => {
+  delete process.env.VECTOR_INDEX;
+});
+
+describe('embedding storage', () => {
+  test('round-trips through a unit-length Float32 BLOB', () => {
+    const blob = encodeEmbedding([3, 4]);
+    expect(Buffer.isBuffer(blob)).toBe(true);
+    expect(blob.length).toBe(8);
+    expect(Array.from(decodeEmbedding(blob))).toEqual([expect.closeTo(0.6), expect.closeTo(0.8)]);
+  });
+});
+
+describe('IVF index', () => {
+  test('finds the same best match as a flat scan', async () => {
+    const texts = [];
+    for (let i = 0; i < 40; i++) {
+      texts.push(`${TOPICS[i % TOPICS.length]} lecture ${i}`);
+    }
+    const documentId = await addDocument('many-chunks.pdf', texts);
+
+    const lists = await dbUtils.db.allAsync('SELECT * FROM vector_index_lists WHERE document_id = ?', [documentId]);
+    expect(lists.length).toBeGreaterThan(1);
+    expect(lists.length).toBeLessThanOrEqual(16);
+
+    const query = 'quicksort complexity of sorting algorithms';
+    const ivf = await searchSimilarChunks(query, userId, [documentId], 3);
+    process.env.VECTOR_INDEX = 'flat';
+    const flat = await searchSimilarChunks(query, userId, [documentId], 3);
+
+    expect(ivf[0].text).toBe(flat[0].text);
+    expect(ivf[0].text).toContain('quicksort');
+  });
+
+  test('deleting a document removes its index lists', async () => {
+    const documentId = await addDocument('to-delete.pdf', TOPICS);
+
+    await deleteDocumentEmbeddings(documentId);
+    await dbUtils.deleteDocument(documentId);
+
+    const lists = await dbUtils.db.allAsync('SELECT * FROM vector_index_lists WHERE document_id = ?', [documentId]);
+    expect(lists).toEqual([]);
+  });
+
+  test('legacy JSON embeddings are migrated into the index', async () => {
+    const documentId = await dbUtils.createDocument(userId, 'legacy.pdf', 'legacy.pdf', '/tmp/legacy.pdf', 1, 'application/pdf');
+    await dbUtils.db.runAsync(
+      'INSERT INTO document_chunks (document_id, chunk_text, chunk_index, embedding_vector) VALUES (?, ?, 0, ?)',
+      [documentId, TOPICS[7], JSON.stringify(fakeEmbedding(TOPICS[7]))]
+    );
+
+    await migrateLegacyEmbeddings();
+
+    const [chunk] = await dbUtils.getDocumentChunks(documentId);
+    expect(chunk.embedding_vector).toBeNull();
+    expect(chunk.ivf_list_id).not.toBeNull();
+
+    const results = await searchSimilarChunks('earthquakes and plate tectonics', userId, [documentId], 1);
+    expect(results[0].text).toBe(TOPICS[7]);
+  });
+});
@@ -14,11 +14,73 @@ import {
   X,
   Menu,
   Trash2,
-  Download
+  Download,
+  Square,
+  SlidersHorizontal,
+  AlertTriangle
 } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import apiService from '../services/api';
 
+// Turn inline citation markers like [2] into links the Markdown renderer hands to CitationChip
+const linkCitations = (content, sources = []) => {
+  const indexes = new Set(sources.map(source => source.index));
+  return content.replace(/\[(\d+)\](?!\()/g, (marker, n) =>
+    indexes.has(Number(n)) ? `[${n}](#cite-${n})` : marker
+  );
+};
+
+const formatEta = (seconds) =>
+  seconds >= 60 ? `${Math.round(seconds / 60)}m` : `${seconds}s`;
+
+// Short description of a document's processing progress, e.g. "OCR page 4/10 · ~12s left"
+const progressLabel = (progress) => {
+  if (!progress) return 'Processing...';
+
+  const count = progress.total ? ` ${progress.current}/${progress.total}` : '';
+  const eta = progress.etaSeconds ? ` · ~${formatEta(progress.etaSeconds)} left` : '';
+
+  switch (progress.stage) {
+    case 'queued': return 'Queued';
+    case 'extracting': return 'Extracting text...';
+    case 'ocr': return `OCR page${count}${eta}`;
+    case 'chunking': return 'Splitting into chunks...';
+    case 'embedding': return `Embedding chunk${count}${eta}`;
+    default: return 'Processing...';
+  }
+};
+
+// Languages offered for OCR of scans and images; '' leaves it to the server default
+const OCR_LANGUAGE_OPTIONS = [
+  { value: '', label: 'Default (English)' },
+  { value: 'hin+eng', label: 'Hindi + English' },
+  { value: 'fra', label: 'French' },
+  { value: 'deu', label: 'German' },
+  { value: 'spa', label: 'Spanish' },
+  { value: 'chi_sim', label: 'Chinese (Simplified)' },
+  { value: 'ara', label: 'Arabic' }
+];
+
+// How documents are split for search; '' leaves it to the server default
+const CHUNK_STRATEGY_OPTIONS = [
+  { value: '', label: 'Default' },
+  { value: 'recursive', label: 'Paragraphs and headings' },
+  { value: 'token', label: 'Fixed token windows' },
+  { value: 'semantic', label: 'Topic shifts (slower)' }
+];
+
+// "2 pages failed, 4 skipped" for OCR pages that didn't make it into the document
+const ocrIssuesLabel = (report) => {
+  const failed = report?.failedPages?.length || 0;
+  const skipped = report?.skippedPages?.length || 0;
+  if (!failed && !skipped) return null;
+
+  const parts = [];
+  if (failed) parts.push(`${failed} page${failed === 1 ? '' : 's'} failed`);
+  if (skipped) parts.push(`${skipped} skipped (over the ${report.pageLimit}-page limit)`);
+  return `OCR: ${parts.join(', ')}`;
+};
+
 const Chat = () => {
   const location = useLocation();
   const queryParams = new URLSearchParams(location.search);
@@ -37,14 +99,26 @@ const Chat = () => {
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [isTyping, setIsTyping] = useState(false);
   const [showUploadModal, setShowUploadModal] = useState(false);
+  const [ocrLanguages, setOcrLanguages] = useState('');
+  const [chunkStrategy, setChunkStrategy] = useState('');
   const [showToast, setShowToast] = useState(false);
   const [toastMessage, setToastMessage] = useState('');
   const [currentConversationId, setCurrentConversationId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
+  const [expandedCitation, setExpandedCitation] = useState(null);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [models, setModels] = useState([]);
+  const [settingLimits, setSettingLimits] = useState(null);
+  const [defaultSettings, setDefaultSettings] = useState({});
+  const [conversationSettings, setConversationSettings] = useState({});
+  const [showSettings, setShowSettings] = useState(false);
   
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
+  const streamControllerRef = useRef(null);
+  // Open status streams by file id, so each processing file is followed once
+  const statusStreamsRef = useRef(new Map());
   const navigate = useNavigate();
   const { documentId } = useParams();
 
@@ -83,9 +157,46 @@ const Chat = () => {
       }, 100);
     } else {
       loadFiles();
+      loadModelSettings();
     }
   }, [navigate, userId]);
 
+  // Models to choose from and the user's default generation settings
+  const loadModelSettings = async () => {
+    try {
+      const [modelsResp, settingsResp] = await Promise.all([
+        apiService.getModels(),
+        apiService.getUserSettings()
+      ]);
+      setModels(modelsResp.models);
+      setSettingLimits(modelsResp.limits);
+      setDefaultSettings({
+        ...settingsResp.effectiveSettings,
+        model: settingsResp.effectiveSettings.model || modelsResp.defaults.model
+      });
+    } catch (error) {
+      console.error('Error loading model settings:', error);
+    }
+  };
+
+  // Settings for the next message: the conversation's choices over the user's defaults
+  const activeSettings = { ...defaultSettings, ...conversationSettings };
+
+  const updateConversationSetting = (key, value) => {
+    setConversationSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  const saveSettingsAsDefault = async () => {
+    try {
+      const response = await apiService.updateUserSettings(activeSettings);
+      setDefaultSettings(response.effectiveSettings);
+      showToastNotification('Saved as your default settings');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      showToastNotification('Failed to save settings');
+    }
+  };
+
   const loadFiles = async () => {
     try {
       setIsLoading(true);
@@ -109,18 +220,51 @@ const Chat = () => {
     }
   };
 
-  // Auto-refresh files to update processing status
+  // Follow files that are still processing over their status stream
   useEffect(() => {
-    const interval = setInterval(() => {
-      // Only refresh if there are files that are still processing
-      if (files.some(file => !file.processed && file.processingStatus !== 'failed')) {
-        loadFiles();
-      }
-    }, 5000); // Check every 5 seconds
+    const streams = statusStreamsRef.current;
+
+    files
+      .filter(file => !file.processed && file.processingStatus !== 'failed' && !streams.has(file.id))
+      .forEach(file => {
+        const controller = new AbortController();
+        streams.set(file.id, controller);
 
-    return () => clearInterval(interval);
+        apiService.streamDocumentStatus(file.id, {
+          signal: controller.signal,
+          onStatus: (status) => {
+            setFiles(prev => prev.map(f => f.id === file.id
+              ? {
+                  ...f,
+                  processed: status.processed,
+                  processingStatus: status.status,
+                  processingError: status.error,
+                  progress: status.progress,
+                  ocrReport: status.ocrReport
+                }
+              : f));
+          }
+        })
+          .catch(error => {
+            console.error('Error following processing status:', error);
+            // Fall back to a plain refresh
+            if (!controller.signal.aborted) setTimeout(() => loadFiles(), 5000);
+          })
+          .finally(() => {
+            if (streams.get(file.id) === controller) streams.delete(file.id);
+          });
+      });
   }, [files]);
 
+  // Close status streams when leaving the page
+  useEffect(() => {
+    const streams = statusStreamsRef.current;
+    return () => {
+      streams.forEach(controller => controller.abort());
+      streams.clear();
+    };
+  }, []);
+
   // Check for newly processed files and show notification
   useEffect(() => {
     files.forEach(file => {
@@ -152,11 +296,14 @@ const Chat = () => {
       if (existing) {
         setCurrentConversationId(existing.id);
         const msgsResp = await apiService.getConversationMessages(existing.id);
+        setConversationSettings(msgsResp.settings || {});
         const mapped = msgsResp.messages.map(m => ({
           id: String(m.id),
           content: m.content,
           sender: m.role === 'user' ? 'user' : 'ai',
-          timestamp: new Date(m.timestamp || Date.now())
+          timestamp: new Date(m.timestamp || Date.now()),
+          sources: m.sources || [],
+          model: m.model
         }));
         setMessages(mapped.length > 0 ? mapped : [
           {
@@ -169,6 +316,7 @@ const Chat = () => {
       } else {
         // No conversation yet for this document
         setCurrentConversationId(null);
+        setConversationSettings({});
         setMessages([
           {
             id: '1',
@@ -185,59 +333,117 @@ const Chat = () => {
     }
   };
 
-  const handleSendMessage = async (e) => {
-    e.preventDefault();
-    if (!inputMessage.trim()) return;
+  // Send a question and stream the answer. A retry re-sends a question whose answer failed,
+  // so the question is already on screen and only the failed answer is replaced.
+  const sendMessage = async (text, { retryOf = null } = {}) => {
+    if (retryOf) {
+      setMessages(prev => prev.filter(m => m.id !== retryOf));
+    } else {
+      setMessages(prev => [...prev, {
+        id: Date.now().toString(),
+        content: text,
+        sender: 'user',
+        timestamp: new Date()
+      }]);
+    }
+    setIsTyping(true);
 
-    const newMessage = {
-      id: Date.now().toString(),
-      content: inputMessage,
-      sender: 'user',
-      timestamp: new Date()
-    };
+    // The server forgets a conversation it opened for a failed answer, so restore ours then
+    const previousConversationId = currentConversationId;
+    const aiMessageId = (Date.now() + 1).toString();
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+    setIsStreaming(true);
 
-    setMessages(prev => [...prev, newMessage]);
-    setInputMessage('');
-    setIsTyping(true);
+    // Append streamed text to the AI message, creating it when the first token arrives
+    const appendToken = (token) => {
+      setIsTyping(false);
+      setMessages(prev => {
+        if (!prev.some(m => m.id === aiMessageId)) {
+          return [...prev, {
+            id: aiMessageId,
+            content: token,
+            sender: 'ai',
+            timestamp: new Date(),
+            sources: []
+          }];
+        }
+        return prev.map(m => m.id === aiMessageId ? { ...m, content: m.content + token } : m);
+      });
+    };
 
     try {
-      // Send message to API
-      const response = await apiService.sendMessage(
-        inputMessage, 
+      // Stream the response from the API
+      const response = await apiService.streamMessage(
+        text, 
         activeFile?.id, 
-        currentConversationId
+        currentConversationId,
+        {
+          // Changed settings are remembered on the conversation by the server
+          settings: Object.keys(conversationSettings).length > 0 ? conversationSettings : undefined,
+          // Update conversation ID if this is a new conversation
+          onStart: ({ conversationId }) => setCurrentConversationId(conversationId),
+          onToken: appendToken,
+          signal: controller.signal
+        }
       );
 
-      // Update conversation ID if this is a new conversation
-      if (response.conversationId) {
-        setCurrentConversationId(response.conversationId);
-      }
+      // Stopped before the server finished: keep whatever text already arrived
+      if (!response) return;
 
-      // Add AI response
+      // Replace the streamed text with the final message (citations validated) and its sources
       const aiResponse = {
-        id: (Date.now() + 1).toString(),
+        id: aiMessageId,
         content: response.message,
         sender: 'ai',
         timestamp: new Date(),
         sources: response.sources || [],
-        confidence: response.confidence || 0
+        confidence: response.confidence || 0,
+        model: response.model
       };
 
-      setMessages(prev => [...prev, aiResponse]);
+      setMessages(prev => prev.some(m => m.id === aiMessageId)
+        ? prev.map(m => m.id === aiMessageId ? aiResponse : m)
+        : [...prev, aiResponse]);
     } catch (error) {
       console.error('Error sending message:', error);
+      setCurrentConversationId(previousConversationId);
       const errorMessage = {
-        id: (Date.now() + 1).toString(),
-        content: "I'm sorry, I encountered an error while processing your question. Please try again.",
+        id: aiMessageId,
+        content: error.retryable
+          ? `${error.message}${error.retryAfter ? ` (try again in about ${error.retryAfter}s)` : ''}`
+          : "I'm sorry, I encountered an error while processing your question. Please try again.",
         sender: 'ai',
-        timestamp: new Date()
+        timestamp: new Date(),
+        failed: true,
+        retryText: text
       };
-      setMessages(prev => [...prev, errorMessage]);
+      setMessages(prev => [...prev.filter(m => m.id !== aiMessageId), errorMessage]);
     } finally {
+      streamControllerRef.current = null;
+      setIsStreaming(false);
       setIsTyping(false);
     }
   };
 
+  const handleSendMessage = (e) => {
+    e.preventDefault();
+    if (!inputMessage.trim() || isStreaming) return;
+
+    const text = inputMessage;
+    setInputMessage('');
+    sendMessage(text);
+  };
+
+  const handleRetry = (message) => {
+    if (isStreaming) return;
+    sendMessage(message.retryText, { retryOf: message.id });
+  };
+
+  const handleStopStreaming = () => {
+    streamControllerRef.current?.abort();
+  };
+
   const handleFileUpload = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -248,7 +454,22 @@ const Chat = () => {
   const uploadFile = async (file) => {
     try {
       setIsLoading(true);
-      const response = await apiService.uploadFile(file);
+      const response = await apiService.uploadFile(file, { ocrLanguages, chunkStrategy });
+
+      // Same content as a file already in the list: open that one instead of adding a copy.
+      // If it had failed, the server queued it for processing again.
+      if (response.duplicate) {
+        const existing = files.find(f => f.id === response.document.id);
+        if (existing) setActiveFile(existing);
+        setShowUploadModal(false);
+        if (response.job) {
+          showToastNotification(`Processing ${file.name} again`);
+          loadFiles();
+        } else {
+          showToastNotification(`${file.name} is already in your files`);
+        }
+        return;
+      }
       
       // Add new file to the list
       const newFile = {
@@ -257,7 +478,7 @@ const Chat = () => {
         type: response.document.type,
         size: `${(response.document.size / (1024 * 1024)).toFixed(1)} MB`,
         processed: response.document.processed,
-        processingStatus: 'processing'
+        processingStatus: response.document.processed ? 'ready' : 'processing'
       };
       
       setFiles(prev => [...prev, newFile]);
@@ -320,6 +541,41 @@ const Chat = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [activeFile]);
 
+  const toggleCitation = (messageId, index) => {
+    const key = `${messageId}:${index}`;
+    setExpandedCitation(prev => (prev === key ? null : key));
+  };
+
+  const renderCitedSource = (message) => {
+    if (!expandedCitation || !expandedCitation.startsWith(`${message.id}:`)) return null;
+    const index = Number(expandedCitation.split(':')[1]);
+    const source = message.sources?.find(s => s.index === index);
+    if (!source) return null;
+
+    return (
+      <div className="mt-3 p-3 rounded-lg bg-gray-900 border border-blue-500/40 text-sm">
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-blue-300 font-medium">
+            [{source.index}]{source.citation ? ` ${source.citation}` : ''}
+          </span>
+          <button
+            onClick={() => setExpandedCitation(null)}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        {source.lowConfidence && (
+          <p className="flex items-center gap-1.5 mb-2 text-xs text-amber-300">
+            <AlertTriangle className="w-3.5 h-3.5" />
+            Read by OCR with low confidence ({Math.round(source.ocrConfidence)}%) - some words may be wrong
+          </p>
+        )}
+        <p className="text-gray-300 whitespace-pre-wrap">{source.content || source.text}</p>
+      </div>
+    );
+  };
+
   const handleDeleteFile = async (fileId) => {
     if (window.confirm('Are you sure you want to delete this file?')) {
       try {
@@ -393,12 +649,36 @@ const Chat = () => {
             >
               <Upload className="w-12 h-12 text-gray-400 mx-auto mb-4" />
               <p className="text-gray-300 mb-2">Click to upload or drag and drop</p>
-              <p className="text-sm text-gray-500">PDF, DOCX files up to 10MB</p>
+              <p className="text-sm text-gray-500">PDF, Word, PowerPoint, Excel, CSV, EPUB, ODT, RTF, HTML, Markdown, text or image files up to 10MB</p>
             </div>
+            <label className="block mt-4 text-sm text-gray-400">
+              Text language in scans and images
+              <select
+                value={ocrLanguages}
+                onChange={(e) => setOcrLanguages(e.target.value)}
+                className="mt-1 w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-green-500"
+              >
+                {OCR_LANGUAGE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block mt-4 text-sm text-gray-400">
+              Split into chunks by
+              <select
+                value={chunkStrategy}
+                onChange={(e) => setChunkStrategy(e.target.value)}
+                className="mt-1 w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-green-500"
+              >
+                {CHUNK_STRATEGY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
             <input
               ref={fileInputRef}
               type="file"
-              accept=".pdf,.docx,.doc"
+              accept=".pdf,.docx,.doc,.pptx,.xlsx,.csv,.tsv,.epub,.odt,.rtf,.html,.htm,.md,.markdown,.txt,.png,.jpg,.jpeg,.tif,.tiff"
               onChange={handleFileUpload}
               className="hidden"
             />
@@ -490,14 +770,24 @@ const Chat = () => {
                               }
                             }}
                           >
-                            {file.processed ? 'Ready' : (file.processingStatus === 'failed' ? 'Failed - Click to retry' : 'Processing...')}
+                            {file.processed ? 'Ready' : (file.processingStatus === 'failed' ? 'Failed - Click to retry' : progressLabel(file.progress))}
                           </span>
-                          {!file.processed && file.processingStatus !== 'failed' && (
-                            <div className="w-3 h-3">
-                              <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-yellow-400"></div>
-                            </div>
-                          )}
                         </div>
+                        {ocrIssuesLabel(file.ocrReport) && (
+                          <p className="text-xs text-amber-400 mt-1">{ocrIssuesLabel(file.ocrReport)}</p>
+                        )}
+                        {!file.processed && file.processingStatus !== 'failed' && (
+                          <div className="mt-2 h-1.5 w-full rounded-full bg-gray-700 overflow-hidden">
+                            {file.progress?.total ? (
+                              <div
+                                className="h-full bg-yellow-400 transition-all duration-500"
+                                style={{ width: `${Math.round((file.progress.current / file.progress.total) * 100)}%` }}
+                              />
+                            ) : (
+                              <div className="h-full w-1/3 bg-yellow-400 animate-pulse" />
+                            )}
+                          </div>
+                        )}
                       </div>
                     </div>
                     <div className="flex space-x-1">
@@ -590,11 +880,52 @@ const Chat = () => {
                     <p className="leading-relaxed whitespace-pre-wrap">{message.content}</p>
                   ) : (
                     <div className="leading-relaxed whitespace-pre-wrap prose prose-invert max-w-none">
-                      <ReactMarkdown>{message.content}</ReactMarkdown>
+                      <ReactMarkdown
+                        components={{
+                          a: ({ href, children, ...props }) => {
+                            if (href?.startsWith('#cite-')) {
+                              const index = Number(href.slice('#cite-'.length));
+                              const active = expandedCitation === `${message.id}:${index}`;
+                              const source = message.sources?.find(s => s.index === index);
+                              return (
+                                <button
+                                  type="button"
+                                  onClick={() => toggleCitation(message.id, index)}
+                                  className={`inline-flex items-center justify-center min-w-[1.5rem] h-5 px-1 mx-0.5 text-xs font-medium rounded-full align-text-top transition-colors ${
+                                    active
+                                      ? 'bg-blue-500 text-white'
+                                      : source?.lowConfidence
+                                        ? 'bg-amber-500/20 text-amber-300 hover:bg-amber-500/40'
+                                        : 'bg-blue-500/20 text-blue-300 hover:bg-blue-500/40'
+                                  }`}
+                                  title={`${source?.citation || `Source ${index}`}${source?.lowConfidence ? ' (low OCR confidence)' : ''}`}
+                                >
+                                  {children}
+                                </button>
+                              );
+                            }
+                            return <a href={href} {...props}>{children}</a>;
+                          }
+                        }}
+                      >
+                        {linkCitations(message.content, message.sources)}
+                      </ReactMarkdown>
+                      {renderCitedSource(message)}
+                      {message.failed && (
+                        <button
+                          type="button"
+                          onClick={() => handleRetry(message)}
+                          disabled={isStreaming}
+                          className="mt-3 px-3 py-1 text-sm bg-blue-500/20 text-blue-300 hover:bg-blue-500/40 disabled:opacity-50 rounded-lg transition-colors"
+                        >
+                          Retry
+                        </button>
+                      )}
                     </div>
                   )}
                   <p className="text-xs mt-2 opacity-70">
                     {message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    {message.model && <span className="ml-2">· {message.model}</span>}
                   </p>
                 </div>
               </div>
@@ -622,7 +953,75 @@ const Chat = () => {
 
         {/* Input Area */}
         <div className="border-t border-gray-700 p-6">
+          {showSettings && settingLimits && (
+            <div className="mb-4 p-4 bg-gray-800 border border-gray-700 rounded-lg grid grid-cols-1 md:grid-cols-4 gap-4 text-sm text-gray-300">
+              <label className="flex flex-col space-y-1">
+                <span>Model</span>
+                <select
+                  value={activeSettings.model || ''}
+                  onChange={(e) => updateConversationSetting('model', e.target.value)}
+                  className="px-2 py-1 bg-gray-900 border border-gray-700 rounded text-white"
+                >
+                  {models.map(model => (
+                    <option key={model.id} value={model.id}>{model.id}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col space-y-1">
+                <span>Creativity (temperature): {activeSettings.temperature}</span>
+                <input
+                  type="range"
+                  min={settingLimits.temperature.min}
+                  max={settingLimits.temperature.max}
+                  step="0.1"
+                  value={activeSettings.temperature ?? 0.5}
+                  onChange={(e) => updateConversationSetting('temperature', Number(e.target.value))}
+                />
+              </label>
+              <label className="flex flex-col space-y-1">
+                <span>Answer length (max tokens): {activeSettings.maxTokens}</span>
+                <input
+                  type="range"
+                  min={settingLimits.maxTokens.min}
+                  max={settingLimits.maxTokens.max}
+                  step="64"
+                  value={activeSettings.maxTokens ?? 1024}
+                  onChange={(e) => updateConversationSetting('maxTokens', Number(e.target.value))}
+                />
+              </label>
+              <label className="flex flex-col space-y-1">
+                <span>Top P: {activeSettings.topP}</span>
+                <input
+                  type="range"
+                  min={settingLimits.topP.min}
+                  max={settingLimits.topP.max}
+                  step="0.05"
+                  value={activeSettings.topP ?? 0.9}
+                  onChange={(e) => updateConversationSetting('topP', Number(e.target.value))}
+                />
+              </label>
+              <div className="md:col-span-4 flex justify-end">
+                <button
+                  type="button"
+                  onClick={saveSettingsAsDefault}
+                  className="px-3 py-1 bg-blue-500/20 text-blue-300 hover:bg-blue-500/40 rounded-lg transition-colors"
+                >
+                  Save as my default
+                </button>
+              </div>
+            </div>
+          )}
           <form onSubmit={handleSendMessage} className="flex space-x-4">
+            <button
+              type="button"
+              onClick={() => setShowSettings(prev => !prev)}
+              className={`px-3 py-3 rounded-lg transition-colors ${
+                showSettings ? 'bg-gray-600 text-white' : 'bg-gray-800 text-gray-400 hover:text-white'
+              }`}
+              title="Model and answer settings"
+            >
+              <SlidersHorizontal className="w-5 h-5" />
+            </button>
             <div className="flex-1 relative">
               <input
                 type="text"
@@ -632,13 +1031,24 @@ const Chat = () => {
                 className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
               />
             </div>
-            <button
-              type="submit"
-              disabled={!inputMessage.trim()}
-              className="px-6 py-3 bg-gradient-to-r from-green-500 to-blue-500 hover:from-green-400 hover:to-blue-400 disabled:from-gray-600 disabled:to-gray-600 disabled:cursor-not-allowed text-white rounded-lg font-medium transition-all duration-200 transform hover:scale-105 disabled:transform-none"
-            >
-              <Send className="w-5 h-5" />
-            </button>
+            {isStreaming ? (
+              <button
+                type="button"
+                onClick={handleStopStreaming}
+                className="px-6 py-3 bg-gray-700 hover:bg-gray-600 text-white rounded-lg font-medium transition-all duration-200"
+                title="Stop generating"
+              >
+                <Square className="w-5 h-5" />
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!inputMessage.trim()}
+                className="px-6 py-3 bg-gradient-to-r from-green-500 to-blue-500 hover:from-green-400 hover:to-blue-400 disabled:from-gray-600 disabled:to-gray-600 disabled:cursor-not-allowed text-white rounded-lg font-medium transition-all duration-200 transform hover:scale-105 disabled:transform-none"
+              >
+                <Send className="w-5 h-5" />
+              </button>
+            )}
           </form>
         </div>
       </div>
@@ -12,11 +12,48 @@ const getAuthToken = () => {
 const handleResponse = async (response) => {
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    const error = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    // Keep the structured fields so callers can tell a retryable outage from a bad request
+    error.code = errorData.code;
+    error.retryable = Boolean(errorData.retryable);
+    error.retryAfter = errorData.retryAfter ?? null;
+    throw error;
   }
   return response.json();
 };
 
+// Yield { event, payload } for each Server-Sent Event in a streaming fetch response
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const raw of events) {
+      let event = 'message';
+      let data = '';
+      for (const line of raw.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) yield { event, payload: JSON.parse(data) };
+    }
+  }
+}
+
+const streamError = (payload) => Object.assign(new Error(payload.error), {
+  code: payload.code,
+  retryable: Boolean(payload.retryable),
+  retryAfter: payload.retryAfter ?? null,
+});
+
 // API service class
 class ApiService {
   // Authentication
@@ -68,9 +105,14 @@ class ApiService {
   }
 
   // File management
-  async uploadFile(file) {
+  // ocrLanguages: Tesseract codes joined with "+" ("hin+eng") for scans and images
+  // chunkStrategy/chunkSize: how the document is split for search ("recursive", "token", "semantic")
+  async uploadFile(file, { ocrLanguages, chunkStrategy, chunkSize } = {}) {
     const formData = new FormData();
     formData.append('file', file);
+    if (ocrLanguages) formData.append('ocrLanguages', ocrLanguages);
+    if (chunkStrategy) formData.append('chunkStrategy', chunkStrategy);
+    if (chunkSize) formData.append('chunkSize', chunkSize);
 
     const response = await fetch(`${API_BASE_URL}/files/upload`, {
       method: 'POST',
@@ -115,6 +157,48 @@ class ApiService {
     return handleResponse(response);
   }
 
+  async getDocumentStatus(fileId) {
+    const response = await fetch(`${API_BASE_URL}/files/${fileId}/status`, {
+      headers: {
+        'Authorization': `Bearer ${getAuthToken()}`,
+      },
+    });
+
+    return handleResponse(response);
+  }
+
+  // Follow a document's processing over Server-Sent Events. onStatus receives every update;
+  // resolves with the last status once the document is ready or has failed.
+  async streamDocumentStatus(fileId, { onStatus, signal } = {}) {
+    const response = await fetch(`${API_BASE_URL}/files/${fileId}/status/stream`, {
+      headers: {
+        'Authorization': `Bearer ${getAuthToken()}`,
+      },
+      signal,
+    });
+
+    if (!response.ok) {
+      await handleResponse(response);
+    }
+
+    let last = null;
+    try {
+      for await (const { event, payload } of readServerSentEvents(response)) {
+        if (event === 'status') {
+          last = payload;
+          onStatus?.(payload);
+        } else if (event === 'error') {
+          throw streamError(payload);
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') return last;
+      throw error;
+    }
+
+    return last;
+  }
+
   // Chat functionality
   async sendMessage(message, documentId = null, conversationId = null) {
     const response = await fetch(`${API_BASE_URL}/chat/message`, {
@@ -133,6 +217,90 @@ class ApiService {
     return handleResponse(response);
   }
 
+  // Stream an AI response over Server-Sent Events. onToken receives each piece of text;
+  // resolves with the "done" payload (or null if the request was aborted before it arrived).
+  async streamMessage(message, documentId = null, conversationId = null, { settings, onStart, onToken, signal } = {}) {
+    const response = await fetch(`${API_BASE_URL}/chat/message/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${getAuthToken()}`,
+      },
+      body: JSON.stringify({
+        message,
+        documentId,
+        conversationId,
+        settings,
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      await handleResponse(response);
+    }
+
+    try {
+      for await (const { event, payload } of readServerSentEvents(response)) {
+        if (event === 'start') onStart?.(payload);
+        else if (event === 'token') onToken?.(payload.text);
+        else if (event === 'done') return payload;
+        else if (event === 'error') throw streamError(payload);
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') return null;
+      throw error;
+    }
+
+    return null;
+  }
+
+  // Models and generation settings
+  async getModels() {
+    const response = await fetch(`${API_BASE_URL}/models`, {
+      headers: {
+        'Authorization': `Bearer ${getAuthToken()}`,
+      },
+    });
+
+    return handleResponse(response);
+  }
+
+  async getUserSettings() {
+    const response = await fetch(`${API_BASE_URL}/user/settings`, {
+      headers: {
+        'Authorization': `Bearer ${getAuthToken()}`,
+      },
+    });
+
+    return handleResponse(response);
+  }
+
+  async updateUserSettings(settings) {
+    const response = await fetch(`${API_BASE_URL}/user/settings`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${getAuthToken()}`,
+      },
+      body: JSON.stringify(settings),
+    });
+
+    return handleResponse(response);
+  }
+
+  async updateConversationSettings(conversationId, settings) {
+    const response = await fetch(`${API_BASE_URL}/chat/conversations/${conversationId}/settings`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${getAuthToken()}`,
+      },
+      body: JSON.stringify(settings),
+    });
+
+    return handleResponse(response);
+  }
+
   async getConversations() {
     const response = await fetch(`${API_BASE_URL}/chat/conversations`, {
       headers: {